@@ -3,13 +3,26 @@ import express from "express";
 import cors from "cors";
 import dotenv from "dotenv";
 import dayjs from "dayjs";
+import crypto from "crypto";
+import { promisify } from "util";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
 import { Pool } from "pg";
+import multer from "multer";
+import { parse as parseCsv } from "csv-parse/sync";
+import { stringify as stringifyCsv } from "csv-stringify/sync";
+import ExcelJS from "exceljs";
+import PDFDocument from "pdfkit";
+import nodemailer from "nodemailer";
+import sharp from "sharp";
+import { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } from "@aws-sdk/client-s3";
 
 dotenv.config();
 
 const PORT = process.env.PORT || 4000;
 const POSTGRESS_URL = process.env.POSTGRES_URL;
-const API_KEY = process.env.API_KEY || "devkey";
+const SESSION_TTL_HOURS = Number(process.env.SESSION_TTL_HOURS || 12);
 
 if (!POSTGRESS_URL) {
   console.error("PG_URL / DATABASE_URL missing in env");
@@ -44,20 +57,501 @@ pool
     if (process.env.NODE_ENV !== "production") process.exit(1);
   });
 
-
+// Launch prices (GST inclusive); only used to seed t1."T1_PLANS" on first run.
+// Prices are managed through /api/plans after that.
 const PLAN_MAP = {
-  entry: { amount: 100, valid_days: 10 },
-  silver: { amount: 1770, valid_days: 90 },
-  gold: { amount: 2950, valid_days: 180 },
-  platinum: { amount: 4720, valid_days: 365 },
+  entry: { amount: 100, valid_days: 10, flashes: 0 },
+  silver: { amount: 1770, valid_days: 90, flashes: 2 },
+  gold: { amount: 2950, valid_days: 180, flashes: 6 },
+  platinum: { amount: 4720, valid_days: 365, flashes: 12 },
 };
+const DEFAULT_GST_RATE = 18;
+
+// calendar days (plan status, reports, reminders) are counted in this zone
+const REPORT_TIMEZONE = process.env.REPORT_TIMEZONE || "Asia/Kolkata";
+const localDate = (column) => `(${column} AT TIME ZONE '${REPORT_TIMEZONE}')::date`;
+// the same calendar day on the JS side: Date -> "YYYY-MM-DD"
+const reportDayFormat = new Intl.DateTimeFormat("en-CA", {
+  timeZone: REPORT_TIMEZONE,
+  year: "numeric",
+  month: "2-digit",
+  day: "2-digit",
+});
+const reportDay = (date) => reportDayFormat.format(date);
+
+// ---------- Schema bootstrap (tables owned by this API) ----------
+// t1."T1_USERS" is managed outside this service; everything else is created here.
+// Entries are SQL strings, or async functions for steps that need JS.
+const SCHEMA_SQL = [
+  `CREATE TABLE IF NOT EXISTS t1."T1_PAYMENTS" (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER REFERENCES t1."T1_USERS"(id) ON DELETE SET NULL,
+    regno INTEGER,
+    kind TEXT NOT NULL DEFAULT 'new',
+    plan TEXT,
+    amount NUMERIC(12, 2) NOT NULL DEFAULT 0,
+    payment_mode TEXT,
+    transaction_id TEXT,
+    valid_days INTEGER,
+    period_start TIMESTAMPTZ,
+    period_end TIMESTAMPTZ,
+    paid_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    remarks TEXT,
+    created_by TEXT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+  )`,
+  `CREATE INDEX IF NOT EXISTS "T1_PAYMENTS_user_idx" ON t1."T1_PAYMENTS" (user_id, paid_at)`,
+  // seed the ledger with the payment currently stored on each member row
+  `INSERT INTO t1."T1_PAYMENTS"
+     (user_id, regno, kind, plan, amount, payment_mode, transaction_id,
+      valid_days, period_start, period_end, paid_at, created_by)
+   SELECT u.id, u.regno,
+          CASE WHEN LOWER(u.new_or_renewal) = 'renewal' THEN 'renewal' ELSE 'new' END,
+          LOWER(u.plan), u.amount, u.payment_mode, u.transaction_id,
+          u.valid_days, u.reg_date, u.expiry_date,
+          COALESCE(u.renewal_date, u.reg_date, u.created_at, now()), u.created_by
+   FROM t1."T1_USERS" u
+   WHERE u.amount IS NOT NULL
+     AND NOT EXISTS (SELECT 1 FROM t1."T1_PAYMENTS" p WHERE p.user_id = u.id)`,
+  `ALTER TABLE t1."T1_PAYMENTS"
+     ADD COLUMN IF NOT EXISTS gst_rate NUMERIC(5, 2),
+     ADD COLUMN IF NOT EXISTS gst_amount NUMERIC(12, 2)`,
+
+  // one row per plan version; the version in effect on a date is the latest
+  // effective_from <= that date. amount / promo_amount are GST inclusive.
+  `CREATE TABLE IF NOT EXISTS t1."T1_PLANS" (
+    id SERIAL PRIMARY KEY,
+    code TEXT NOT NULL,
+    name TEXT,
+    amount NUMERIC(12, 2) NOT NULL,
+    valid_days INTEGER NOT NULL,
+    gst_rate NUMERIC(5, 2) NOT NULL DEFAULT ${DEFAULT_GST_RATE},
+    effective_from DATE NOT NULL DEFAULT CURRENT_DATE,
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    promo_amount NUMERIC(12, 2),
+    promo_from DATE,
+    promo_to DATE,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    updated_at TIMESTAMPTZ,
+    UNIQUE (code, effective_from)
+  )`,
+  `INSERT INTO t1."T1_PLANS" (code, name, amount, valid_days, effective_from)
+   SELECT v.code, INITCAP(v.code), v.amount, v.valid_days, DATE '1900-01-01'
+   FROM (VALUES ${Object.entries(PLAN_MAP)
+     .map(([code, p]) => `('${code}', ${p.amount}, ${p.valid_days})`)
+     .join(", ")}) AS v (code, amount, valid_days)
+   WHERE NOT EXISTS (SELECT 1 FROM t1."T1_PLANS")`,
+  // flashes promised per term (see PROFILE FLASHING)
+  `ALTER TABLE t1."T1_PLANS" ADD COLUMN IF NOT EXISTS flashes INTEGER`,
+  `UPDATE t1."T1_PLANS" p
+   SET flashes = COALESCE(v.flashes, 0)
+   FROM (VALUES ${Object.entries(PLAN_MAP)
+     .map(([code, p]) => `('${code}', ${p.flashes})`)
+     .join(", ")}) AS v (code, flashes)
+   WHERE p.flashes IS NULL AND v.code = p.code`,
+  `UPDATE t1."T1_PLANS" SET flashes = 0 WHERE flashes IS NULL`,
+  `ALTER TABLE t1."T1_PLANS" ALTER COLUMN flashes SET DEFAULT 0, ALTER COLUMN flashes SET NOT NULL`,
+
+  // structured partner preferences; NULL / empty array = "no preference"
+  `CREATE TABLE IF NOT EXISTS t1."T1_PREFERENCES" (
+    user_id INTEGER PRIMARY KEY REFERENCES t1."T1_USERS"(id) ON DELETE CASCADE,
+    age_min INTEGER,
+    age_max INTEGER,
+    height_min_cm NUMERIC(5, 1),
+    height_max_cm NUMERIC(5, 1),
+    castes TEXT[],
+    caste_categories TEXT[],
+    education TEXT[],
+    occupations TEXT[],
+    income_min_lpa NUMERIC(10, 2),
+    income_max_lpa NUMERIC(10, 2),
+    food_habits TEXT[],
+    marital_status TEXT[],
+    locations TEXT[],
+    dosham TEXT NOT NULL DEFAULT 'any',
+    notes TEXT,
+    updated_by TEXT,
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+  )`,
+
+  // recycle bin: when a profile was soft-deleted (older deletes fall back to
+  // their last update)
+  `ALTER TABLE t1."T1_USERS" ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ`,
+  `UPDATE t1."T1_USERS"
+   SET deleted_at = COALESCE(updated_at, created_at, now())
+   WHERE is_deleted = true AND deleted_at IS NULL`,
+
+  // numeric copies of the free-text height / weight / income for range filters
+  `ALTER TABLE t1."T1_USERS"
+     ADD COLUMN IF NOT EXISTS height_cm NUMERIC(5, 1),
+     ADD COLUMN IF NOT EXISTS weight_kg NUMERIC(5, 1),
+     ADD COLUMN IF NOT EXISTS income_lpa NUMERIC(10, 2)`,
+  `CREATE INDEX IF NOT EXISTS "T1_USERS_height_cm_idx" ON t1."T1_USERS" (height_cm)`,
+  `CREATE INDEX IF NOT EXISTS "T1_USERS_income_lpa_idx" ON t1."T1_USERS" (income_lpa)`,
+  () => backfillDerivedFields(),
+  () => setupSearch(),
+  () => setupDuplicateKeys(),
+
+  // renewal follow-up: which staff member owns the call, and the due window
+  `ALTER TABLE t1."T1_USERS" ADD COLUMN IF NOT EXISTS assigned_to TEXT`,
+  `CREATE INDEX IF NOT EXISTS "T1_USERS_expiry_date_idx" ON t1."T1_USERS" (expiry_date)`,
+  `CREATE INDEX IF NOT EXISTS "T1_USERS_assigned_to_idx" ON t1."T1_USERS" (assigned_to)`,
+  `ALTER TABLE t1."T1_USERS" ADD COLUMN IF NOT EXISTS merged_into INTEGER`,
+
+  // field-level history of member rows; user_id has no FK so the "purge"
+  // entry outlives the profile
+  `CREATE TABLE IF NOT EXISTS t1."T1_USER_AUDIT" (
+    id BIGSERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL,
+    regno INTEGER,
+    action TEXT NOT NULL,
+    actor TEXT,
+    changes JSONB NOT NULL DEFAULT '{}'::jsonb,
+    snapshot JSONB,
+    note TEXT,
+    changed_at TIMESTAMPTZ NOT NULL DEFAULT now()
+  )`,
+  `CREATE INDEX IF NOT EXISTS "T1_USER_AUDIT_user_idx" ON t1."T1_USER_AUDIT" (user_id, changed_at)`,
+
+  // staff accounts and their login sessions (tokens are stored hashed)
+  `CREATE TABLE IF NOT EXISTS t1."T1_STAFF" (
+    id SERIAL PRIMARY KEY,
+    username TEXT NOT NULL UNIQUE,
+    full_name TEXT,
+    password_hash TEXT NOT NULL,
+    role TEXT NOT NULL DEFAULT 'viewer',
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    last_login_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    updated_at TIMESTAMPTZ
+  )`,
+  `CREATE TABLE IF NOT EXISTS t1."T1_SESSIONS" (
+    token_hash TEXT PRIMARY KEY,
+    staff_id INTEGER NOT NULL REFERENCES t1."T1_STAFF"(id) ON DELETE CASCADE,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    expires_at TIMESTAMPTZ NOT NULL,
+    revoked_at TIMESTAMPTZ
+  )`,
+  `CREATE INDEX IF NOT EXISTS "T1_SESSIONS_staff_idx" ON t1."T1_SESSIONS" (staff_id)`,
+
+  // renewal reminders waiting for / after delivery, and edited message texts
+  `CREATE TABLE IF NOT EXISTS t1."T1_OUTBOX" (
+    id BIGSERIAL PRIMARY KEY,
+    user_id INTEGER REFERENCES t1."T1_USERS"(id) ON DELETE SET NULL,
+    regno INTEGER,
+    channel TEXT NOT NULL,
+    recipient TEXT NOT NULL,
+    subject TEXT,
+    body TEXT NOT NULL,
+    reminder_key TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'pending',
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    last_error TEXT,
+    provider_ref TEXT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    sent_at TIMESTAMPTZ,
+    UNIQUE (user_id, channel, reminder_key)
+  )`,
+  `CREATE INDEX IF NOT EXISTS "T1_OUTBOX_due_idx" ON t1."T1_OUTBOX" (status, next_attempt_at)`,
+  `CREATE TABLE IF NOT EXISTS t1."T1_REMINDER_TEMPLATES" (
+    key TEXT NOT NULL,
+    channel TEXT NOT NULL,
+    subject TEXT,
+    body TEXT NOT NULL,
+    updated_by TEXT,
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    PRIMARY KEY (key, channel)
+  )`,
+  // photos / horoscope charts; the files themselves are in attachmentStorage()
+  `CREATE TABLE IF NOT EXISTS t1."T1_ATTACHMENTS" (
+    id BIGSERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES t1."T1_USERS"(id) ON DELETE CASCADE,
+    kind TEXT NOT NULL,
+    file_name TEXT NOT NULL,
+    content_type TEXT NOT NULL,
+    size_bytes INTEGER NOT NULL,
+    storage_key TEXT NOT NULL,
+    thumb_key TEXT,
+    is_primary BOOLEAN NOT NULL DEFAULT false,
+    sort_order INTEGER NOT NULL DEFAULT 0,
+    uploaded_by TEXT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+  )`,
+  `CREATE INDEX IF NOT EXISTS "T1_ATTACHMENTS_user_idx" ON t1."T1_ATTACHMENTS" (user_id, sort_order)`,
+  `CREATE UNIQUE INDEX IF NOT EXISTS "T1_ATTACHMENTS_primary_idx"
+     ON t1."T1_ATTACHMENTS" (user_id) WHERE is_primary`,
+
+  // profiles shared between members (see PROPOSALS) and their status history;
+  // a purged member's side goes NULL and from_regno / to_regno stay the record
+  `CREATE TABLE IF NOT EXISTS t1."T1_PROPOSALS" (
+    id SERIAL PRIMARY KEY,
+    from_user_id INTEGER REFERENCES t1."T1_USERS"(id) ON DELETE SET NULL,
+    to_user_id INTEGER REFERENCES t1."T1_USERS"(id) ON DELETE SET NULL,
+    from_regno INTEGER,
+    to_regno INTEGER,
+    sent_via TEXT NOT NULL,
+    sent_by TEXT,
+    status TEXT NOT NULL DEFAULT 'sent',
+    notes TEXT,
+    sent_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    responded_at TIMESTAMPTZ,
+    closed_at TIMESTAMPTZ,
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+  )`,
+  `CREATE INDEX IF NOT EXISTS "T1_PROPOSALS_from_idx" ON t1."T1_PROPOSALS" (from_user_id, sent_at)`,
+  `CREATE INDEX IF NOT EXISTS "T1_PROPOSALS_to_idx" ON t1."T1_PROPOSALS" (to_user_id, sent_at)`,
+  // tables created before purges kept proposals had ON DELETE CASCADE
+  `DO $$
+   BEGIN
+     IF EXISTS (
+       SELECT 1 FROM pg_constraint
+       WHERE conrelid = 't1."T1_PROPOSALS"'::regclass AND contype = 'f' AND confdeltype = 'c'
+     ) THEN
+       ALTER TABLE t1."T1_PROPOSALS"
+         ALTER COLUMN from_user_id DROP NOT NULL,
+         ALTER COLUMN to_user_id DROP NOT NULL,
+         DROP CONSTRAINT IF EXISTS "T1_PROPOSALS_from_user_id_fkey",
+         DROP CONSTRAINT IF EXISTS "T1_PROPOSALS_to_user_id_fkey",
+         ADD CONSTRAINT "T1_PROPOSALS_from_user_id_fkey"
+           FOREIGN KEY (from_user_id) REFERENCES t1."T1_USERS"(id) ON DELETE SET NULL,
+         ADD CONSTRAINT "T1_PROPOSALS_to_user_id_fkey"
+           FOREIGN KEY (to_user_id) REFERENCES t1."T1_USERS"(id) ON DELETE SET NULL;
+     END IF;
+   END $$`,
+  `CREATE TABLE IF NOT EXISTS t1."T1_PROPOSAL_EVENTS" (
+    id BIGSERIAL PRIMARY KEY,
+    proposal_id INTEGER NOT NULL REFERENCES t1."T1_PROPOSALS"(id) ON DELETE CASCADE,
+    from_status TEXT,
+    to_status TEXT NOT NULL,
+    actor TEXT,
+    note TEXT,
+    at TIMESTAMPTZ NOT NULL DEFAULT now()
+  )`,
+  `CREATE INDEX IF NOT EXISTS "T1_PROPOSAL_EVENTS_proposal_idx" ON t1."T1_PROPOSAL_EVENTS" (proposal_id)`,
+
+  // flash log: one row per profile featured on a channel (see PROFILE FLASHING);
+  // earlier flashed_date values are carried over as "legacy" entries
+  `CREATE TABLE IF NOT EXISTS t1."T1_FLASH_BATCHES" (
+    id SERIAL PRIMARY KEY,
+    flash_date DATE NOT NULL,
+    channel TEXT NOT NULL,
+    created_by TEXT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+  )`,
+  `CREATE TABLE IF NOT EXISTS t1."T1_FLASHES" (
+    id BIGSERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES t1."T1_USERS"(id) ON DELETE CASCADE,
+    regno INTEGER,
+    flashed_on DATE NOT NULL,
+    channel TEXT NOT NULL,
+    batch_id INTEGER REFERENCES t1."T1_FLASH_BATCHES"(id) ON DELETE SET NULL,
+    created_by TEXT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    UNIQUE (user_id, flashed_on, channel)
+  )`,
+  `CREATE INDEX IF NOT EXISTS "T1_FLASHES_batch_idx" ON t1."T1_FLASHES" (batch_id)`,
+  `INSERT INTO t1."T1_FLASHES" (user_id, regno, flashed_on, channel)
+   SELECT u.id, u.regno, ${localDate("u.flashed_date")}, 'legacy'
+   FROM t1."T1_USERS" u
+   WHERE u.flashed_date IS NOT NULL
+     AND NOT EXISTS (SELECT 1 FROM t1."T1_FLASHES" f WHERE f.user_id = u.id)`,
+
+  // tax invoices / receipts and credit notes (see INVOICES); numbers come from
+  // T1_INVOICE_SEQUENCES, bumped inside the paying transaction so they never skip
+  `CREATE TABLE IF NOT EXISTS t1."T1_INVOICE_SEQUENCES" (
+    series TEXT NOT NULL,
+    fy TEXT NOT NULL,
+    last_no INTEGER NOT NULL,
+    PRIMARY KEY (series, fy)
+  )`,
+  `CREATE TABLE IF NOT EXISTS t1."T1_INVOICES" (
+    id SERIAL PRIMARY KEY,
+    number TEXT NOT NULL UNIQUE,
+    kind TEXT NOT NULL DEFAULT 'invoice',
+    fy TEXT NOT NULL,
+    seq INTEGER NOT NULL,
+    payment_id INTEGER REFERENCES t1."T1_PAYMENTS"(id) ON DELETE SET NULL,
+    user_id INTEGER REFERENCES t1."T1_USERS"(id) ON DELETE SET NULL,
+    regno INTEGER,
+    original_id INTEGER REFERENCES t1."T1_INVOICES"(id),
+    billed_name TEXT,
+    billed_address TEXT,
+    billed_state TEXT,
+    place_of_supply TEXT NOT NULL,
+    description TEXT,
+    taxable_amount NUMERIC(12, 2) NOT NULL,
+    gst_rate NUMERIC(5, 2) NOT NULL,
+    cgst NUMERIC(12, 2) NOT NULL DEFAULT 0,
+    sgst NUMERIC(12, 2) NOT NULL DEFAULT 0,
+    igst NUMERIC(12, 2) NOT NULL DEFAULT 0,
+    total NUMERIC(12, 2) NOT NULL,
+    amount_in_words TEXT NOT NULL,
+    payment_mode TEXT,
+    transaction_id TEXT,
+    paid_at TIMESTAMPTZ,
+    status TEXT NOT NULL DEFAULT 'issued',
+    issued_by TEXT,
+    issued_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    cancelled_by TEXT,
+    cancelled_at TIMESTAMPTZ,
+    cancel_reason TEXT
+  )`,
+  `CREATE INDEX IF NOT EXISTS "T1_INVOICES_user_idx" ON t1."T1_INVOICES" (user_id, issued_at)`,
+  `CREATE INDEX IF NOT EXISTS "T1_INVOICES_fy_idx" ON t1."T1_INVOICES" (kind, fy, seq)`,
+  `CREATE UNIQUE INDEX IF NOT EXISTS "T1_INVOICES_payment_idx"
+     ON t1."T1_INVOICES" (payment_id) WHERE kind = 'invoice' AND status = 'issued'`,
+
+  // one row per background job run (see JOBS)
+  `CREATE TABLE IF NOT EXISTS t1."T1_JOB_RUNS" (
+    id BIGSERIAL PRIMARY KEY,
+    job TEXT NOT NULL,
+    triggered_by TEXT,
+    started_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    finished_at TIMESTAMPTZ,
+    status TEXT NOT NULL DEFAULT 'running',
+    result JSONB,
+    error TEXT
+  )`,
+  `CREATE INDEX IF NOT EXISTS "T1_JOB_RUNS_job_idx" ON t1."T1_JOB_RUNS" (job, started_at DESC)`,
+
+  // ranges regnos are allocated from (see REGNO SERIES); next_no only moves
+  // forward. The first series carries on after the highest regno in use.
+  `CREATE TABLE IF NOT EXISTS t1."T1_REGNO_SERIES" (
+    code TEXT PRIMARY KEY,
+    name TEXT,
+    gender TEXT,
+    range_start INTEGER NOT NULL,
+    range_end INTEGER,
+    next_no INTEGER NOT NULL,
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    updated_at TIMESTAMPTZ,
+    CHECK (range_start > 0 AND (range_end IS NULL OR range_end >= range_start))
+  )`,
+  `INSERT INTO t1."T1_REGNO_SERIES" (code, name, range_start, next_no)
+   SELECT 'default', 'Default', 1, COALESCE(MAX(regno), 0) + 1
+   FROM t1."T1_USERS"
+   WHERE NOT EXISTS (SELECT 1 FROM t1."T1_REGNO_SERIES")`,
+  `CREATE TABLE IF NOT EXISTS t1."T1_REGNO_RESERVATIONS" (
+    id SERIAL PRIMARY KEY,
+    series TEXT NOT NULL REFERENCES t1."T1_REGNO_SERIES"(code),
+    range_start INTEGER NOT NULL,
+    range_end INTEGER NOT NULL,
+    note TEXT,
+    reserved_by TEXT,
+    reserved_at TIMESTAMPTZ NOT NULL DEFAULT now()
+  )`,
+
+  // franchise offices (see BRANCHES). Members, staff and regno series belong
+  // to one; payments and invoices keep the branch they were taken at. Rows
+  // from before branches existed go to the head office.
+  `CREATE TABLE IF NOT EXISTS t1."T1_BRANCHES" (
+    code TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    is_head_office BOOLEAN NOT NULL DEFAULT false,
+    address TEXT,
+    city TEXT,
+    phone TEXT,
+    email TEXT,
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    updated_at TIMESTAMPTZ
+  )`,
+  `INSERT INTO t1."T1_BRANCHES" (code, name, is_head_office)
+   SELECT 'ho', 'Head Office', true
+   WHERE NOT EXISTS (SELECT 1 FROM t1."T1_BRANCHES")`,
+  `ALTER TABLE t1."T1_USERS" ADD COLUMN IF NOT EXISTS branch TEXT REFERENCES t1."T1_BRANCHES"(code)`,
+  `UPDATE t1."T1_USERS"
+   SET branch = (SELECT code FROM t1."T1_BRANCHES" WHERE is_head_office ORDER BY code LIMIT 1)
+   WHERE branch IS NULL`,
+  `CREATE INDEX IF NOT EXISTS "T1_USERS_branch_idx" ON t1."T1_USERS" (branch)`,
+  // staff without a branch work across all of them, like head office
+  `ALTER TABLE t1."T1_STAFF" ADD COLUMN IF NOT EXISTS branch TEXT REFERENCES t1."T1_BRANCHES"(code)`,
+  `ALTER TABLE t1."T1_PAYMENTS" ADD COLUMN IF NOT EXISTS branch TEXT`,
+  `UPDATE t1."T1_PAYMENTS" x SET branch = u.branch
+   FROM t1."T1_USERS" u
+   WHERE x.branch IS NULL AND u.id = x.user_id`,
+  `ALTER TABLE t1."T1_INVOICES" ADD COLUMN IF NOT EXISTS branch TEXT`,
+  `UPDATE t1."T1_INVOICES" i SET branch = x.branch
+   FROM t1."T1_PAYMENTS" x
+   WHERE i.branch IS NULL AND x.id = i.payment_id`,
+  `ALTER TABLE t1."T1_REGNO_SERIES" ADD COLUMN IF NOT EXISTS branch TEXT REFERENCES t1."T1_BRANCHES"(code)`,
+  // NULL: a head office batch, which may span branches
+  `ALTER TABLE t1."T1_FLASH_BATCHES" ADD COLUMN IF NOT EXISTS branch TEXT`,
+  () => seedAdminAccount(),
+];
+
+let schemaReady = null;
+function ensureSchema() {
+  if (!schemaReady) {
+    schemaReady = (async () => {
+      for (const step of SCHEMA_SQL) {
+        if (typeof step === "function") await step();
+        else await pool.query(step);
+      }
+    })().catch((err) => {
+      schemaReady = null; // retry on next request
+      throw err;
+    });
+  }
+  return schemaReady;
+}
+
+// run fn(client) inside BEGIN/COMMIT on a dedicated client
+async function withTransaction(fn) {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const result = await fn(client);
+    await client.query("COMMIT");
+    return result;
+  } catch (err) {
+    await client.query("ROLLBACK").catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+}
 
 // ---------- Utilities (date parsing & plan calculations) ----------
 function parseAnyDate(value) {
-  // If falsy or null -> return current date (matching your original behavior)
-  if (!value) return new Date();
+  // If falsy or unparseable -> return current date (matching your original behavior)
+  return tryParseDate(value) || new Date();
+}
+
+const MONTH_NAMES = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+const DMY_DATE = /^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})$/;
+const D_MON_Y_DATE = /^(\d{1,2})[-/ ]([a-z]{3,9})[-/ ,]+(\d{2}|\d{4})$/i;
+
+// "YYYY-MM-DD" for a real calendar day, null for rolled-over ones like 31/02
+function calendarDate(y, m, d) {
+  const date = new Date(Date.UTC(y, m - 1, d));
+  if (date.getUTCFullYear() !== y || date.getUTCMonth() !== m - 1 || date.getUTCDate() !== d) return null;
+  return date.toISOString().slice(0, 10);
+}
 
-  if (value instanceof Date && !isNaN(value)) return value;
+// two-digit years up to this year are 20xx, later ones 19xx
+function expandYear(text) {
+  if (text.length === 4) return Number(text);
+  const yy = Number(text);
+  return yy <= new Date().getFullYear() % 100 ? 2000 + yy : 1900 + yy;
+}
+
+// 1-Jan-20, 01 January 2020 -> "YYYY-MM-DD" or null
+function dayMonthNameDate(text) {
+  const m = text.match(D_MON_Y_DATE);
+  const month = m && MONTH_NAMES.indexOf(m[2].slice(0, 3).toLowerCase()) + 1;
+  return month ? calendarDate(expandYear(m[3]), month, Number(m[1])) : null;
+}
+
+// same formats as parseAnyDate, but null when the value can't be read.
+// Day-first forms are tried before Date's own parser, which would read
+// 01/02/2000 as 2 January.
+function tryParseDate(value) {
+  if (!value) return null;
+
+  if (value instanceof Date) return isNaN(value) ? null : value;
 
   // If value is already a number (timestamp)
   if (!isNaN(value) && String(value).length >= 10) {
@@ -66,130 +560,564 @@ function parseAnyDate(value) {
     return new Date(num > 1e12 ? num : num * 1000);
   }
 
-  // Try direct Date parse first
-  const direct = new Date(value);
-  if (!isNaN(direct)) return direct;
+  const text = String(value).trim();
 
-  // DMY pattern 01-02-2000 or 1/2/2000
-  const dmy = /^(\d{1,2})[-/](\d{1,2})[-/](\d{4})$/;
-  if (dmy.test(value)) {
-    const m = value.match(dmy);
-    const d = m[1].padStart(2, "0");
-    const mo = m[2].padStart(2, "0");
-    const y = m[3];
-    return new Date(`${y}-${mo}-${d}`);
+  // DMY pattern 01-02-2000, 1/2/2000 or 1.2.2000
+  const dmy = text.match(DMY_DATE);
+  if (dmy) {
+    const day = calendarDate(Number(dmy[3]), Number(dmy[2]), Number(dmy[1]));
+    return day ? new Date(day) : null;
   }
 
   // 1-Jan-20 or 1-Jan-2020
-  const dmy2 = /^(\d{1,2})[-/](\w{3,})[-/](\d{2,4})$/i;
-  if (dmy2.test(value)) {
-    const m = value.match(dmy2);
-    let d = m[1];
-    let mon = m[2];
-    let y = m[3];
-    if (y.length === 2) y = "20" + y;
-    // format "1 Jan 2020"
-    return new Date(`${d} ${mon} ${y}`);
+  if (D_MON_Y_DATE.test(text)) {
+    const day = dayMonthNameDate(text);
+    return day ? new Date(day) : null;
   }
 
-  // fallback
-  return new Date();
+  const direct = new Date(text);
+  return isNaN(direct) ? null : direct;
+}
+
+// ---------- Plans (versioned pricing from t1."T1_PLANS") ----------
+const round2 = (n) => Math.round(Number(n) * 100) / 100;
+
+// plan version in effect for `code` on `onDate`; null when unknown, retired or
+// not yet effective
+async function resolvePlan(code, onDate, db = pool) {
+  const day = dayjs(parseAnyDate(onDate)).format("YYYY-MM-DD");
+  const { rows } = await db.query(
+    `SELECT * FROM t1."T1_PLANS"
+     WHERE code = $1 AND effective_from <= $2::date
+     ORDER BY effective_from DESC
+     LIMIT 1`,
+    [String(code || "").trim().toLowerCase(), day]
+  );
+  const plan = rows[0];
+  return plan && plan.is_active ? plan : null;
 }
 
-function calculateexpiry_date(reg_date, plan) {
-  const rule = PLAN_MAP[(plan || "entry").toLowerCase()] || PLAN_MAP.entry;
+// price payable for a plan version on a date, with the GST split
+function planPricing(plan, onDate) {
+  const day = dayjs(parseAnyDate(onDate)).format("YYYY-MM-DD");
+  const from = plan.promo_from ? dayjs(plan.promo_from).format("YYYY-MM-DD") : null;
+  const to = plan.promo_to ? dayjs(plan.promo_to).format("YYYY-MM-DD") : null;
+  const is_promo =
+    plan.promo_amount != null && (!from || from <= day) && (!to || day <= to);
+
+  const amount = round2(is_promo ? plan.promo_amount : plan.amount);
+  const gst_rate = Number(plan.gst_rate || 0);
+  const base_amount = round2((amount * 100) / (100 + gst_rate));
+  return {
+    amount,
+    base_amount,
+    gst_rate,
+    gst_amount: round2(amount - base_amount),
+    is_promo,
+  };
+}
+
+// Expiry and price for `plan` starting on reg_date. The price is taken from the
+// plan version in effect on priceDate (defaults to reg_date). Returns null for
+// an unknown or retired plan.
+async function calculateexpiry_date(reg_date, plan, { priceDate, db = pool } = {}) {
   const reg = parseAnyDate(reg_date);
+  const rule = await resolvePlan(plan || "entry", priceDate || reg, db);
+  if (!rule) return null;
+
   const expiry = new Date(reg);
   expiry.setDate(expiry.getDate() + rule.valid_days);
+  const pricing = planPricing(rule, priceDate || reg);
   return {
     expiry_date: expiry,
-    amount: rule.amount,
+    amount: pricing.amount,
     valid_days: rule.valid_days,
+    gst_rate: pricing.gst_rate,
+    gst_amount: pricing.gst_amount,
   };
 }
 
+// getplan_status in SQL, for reads and the expire-plans sweep; rows without an
+// expiry_date keep what is stored
+const PLAN_STATUS_SQL = `(CASE
+  WHEN expiry_date IS NULL THEN COALESCE(NULLIF(LOWER(plan_status), ''), 'active')
+  WHEN ${localDate("expiry_date")} < ${localDate("now()")} THEN 'expired'
+  ELSE 'active'
+END)`;
+
 function getplan_status(expiry_date) {
-  const exp = parseAnyDate(expiry_date);
-  const today = new Date();
-  today.setHours(0, 0, 0, 0);
-  return exp < today ? "expired" : "active";
+  // compared as calendar days in REPORT_TIMEZONE, like PLAN_STATUS_SQL
+  return reportDay(parseAnyDate(expiry_date)) < reportDay(new Date()) ? "expired" : "active";
+}
+
+// age in whole years from dob, else yob, else the stored age
+function computeAge(row, onDate = new Date()) {
+  if (row.dob) {
+    const dob = dayjs(parseAnyDate(row.dob));
+    return dayjs(onDate).diff(dob, "year");
+  }
+  const yob = parseInt(row.yob, 10);
+  if (!isNaN(yob)) return dayjs(onDate).year() - yob;
+  const age = parseInt(row.age, 10);
+  return isNaN(age) ? null : age;
+}
+
+// Height in cm from register formats: 5'6", 5 ft 6 in, 5.6 (= 5'6"), 168 cm
+function parseHeightCm(value) {
+  if (value === null || value === undefined || value === "") return null;
+  const v = String(value).trim().toLowerCase();
+
+  const ftIn = v.match(/^(\d)\s*(?:'|ft|feet|foot)\s*(?:(\d{1,2}(?:\.\d+)?)\s*(?:"|''|in|inch|inches)?)?$/);
+  if (ftIn) {
+    const inches = Number(ftIn[1]) * 12 + Number(ftIn[2] || 0);
+    return Math.round(inches * 2.54 * 10) / 10;
+  }
+
+  const num = parseFloat(v.replace(/[^\d.]/g, ""));
+  if (isNaN(num)) return null;
+  if (/cm/.test(v) || num >= 100) return Math.round(num * 10) / 10;
+  if (num >= 4 && num < 8) {
+    // 5.6 / 5.10 in the registers mean feet.inches
+    const dec = v.match(/\.(\d{1,2})/);
+    const inches = Math.floor(num) * 12 + Number(dec ? dec[1] : 0);
+    return Math.round(inches * 2.54 * 10) / 10;
+  }
+  return null;
 }
 
-// mapping helpers: convert DB row (snake_case) -> API object (camelCase)
+// Annual income in lakhs (LPA) from "6 LPA", "6 lakhs", "50000 pm", "1.2 crore", "600000"
+function parseIncomeLpa(value) {
+  if (value === null || value === undefined || value === "") return null;
+  const v = String(value).trim().toLowerCase().replace(/,/g, "");
+  const m = v.match(/(\d+(?:\.\d+)?)/);
+  if (!m) return null;
+  let num = Number(m[1]);
+
+  if (/cr/.test(v)) num *= 100;
+  else if (/(lpa|lakh|lac|\bl\b)/.test(v)) num *= 1;
+  else if (/\d\s*k\b/.test(v)) num = (num * 1000) / 1e5;
+  else if (num >= 1000) num = num / 1e5; // plain rupees
+  // small bare numbers are already in lakhs
+
+  if (/(per\s*month|\/\s*month|\bpm\b|monthly|p\.m)/.test(v)) num *= 12;
+  return Math.round(num * 100) / 100;
+}
+
+// Weight in kg from "60 kg", "60kgs", "132 lbs", "60"
+function parseWeightKg(value) {
+  if (value === null || value === undefined || value === "") return null;
+  const v = String(value).trim().toLowerCase();
+  const m = v.match(/(\d+(?:\.\d+)?)/);
+  if (!m) return null;
+  let num = Number(m[1]);
+  if (/(lb|pound)/.test(v)) num *= 0.4536;
+  if (num < 25 || num > 250) return null;
+  return Math.round(num * 10) / 10;
+}
+
+// ---------- Member field registry ----------
+// One entry per column of t1."T1_USERS". Drives the API response shape, the
+// columns create / update write, request validation and the simple list
+// filters, so a new column only needs adding here.
+//   type     text | int | number | date | bool | enum | plan | phone | email | pincode
+//   aliases  other request keys accepted for the field (old UI spellings)
+//   values   allowed enum values, matched ignoring case / punctuation;
+//            synonyms maps other spellings onto them
+//   source   "client" (accepted from requests), "system" (set by the server)
+//            or "db" (never written by insert / update)
+//   filter   "eq" | "in" (comma separated) | "like" on GET /api/users, read
+//            from ?<param || key>=
+//   search   part of the ?q= full-text / fuzzy search (the generated
+//            search_key column; changing the set needs that column re-created)
+//   derive   (system fields) computed from the `from` field whenever it is written
+//   allocated  (required fields) may be left out on create; the server assigns
+//            it (regno comes from a REGNO SERIES)
+const field = (type, opts = {}) => ({ type, source: "client", ...opts });
+
+const USER_FIELDS = {
+  id: field("int", { source: "db" }),
+  regno: field("int", { required: true, allocated: true, min: 1 }),
+  name: field("text", { required: true, search: true }),
+  gender: field("enum", {
+    values: ["Male", "Female"],
+    synonyms: { m: "Male", groom: "Male", boy: "Male", f: "Female", bride: "Female", girl: "Female" },
+    filter: "eq",
+  }),
+  caste: field("text", { filter: "in", search: true }),
+  caste_category: field("text"),
+  gothram: field("text", { filter: "in", search: true }),
+  food_habits: field("enum", {
+    values: ["Vegetarian", "Non-Vegetarian", "Eggetarian", "Vegan"],
+    synonyms: { veg: "Vegetarian", nonveg: "Non-Vegetarian", egg: "Eggetarian" },
+    filter: "eq",
+  }),
+  reg_date: field("date"),
+  plan: field("plan", { filter: "eq" }),
+  amount: field("number", { min: 0 }),
+  payment_mode: field("text"),
+  transaction_id: field("text"),
+  valid_days: field("int", { min: 1 }),
+  expiry_date: field("date"),
+  plan_status: field("text", { source: "system", filter: "in", sql: PLAN_STATUS_SQL }),
+  new_or_renewal: field("enum", { values: ["New", "Renewal"] }),
+  marital_status: field("enum", {
+    values: ["Never Married", "Divorced", "Widowed", "Separated", "Awaiting Divorce"],
+    synonyms: { unmarried: "Never Married", single: "Never Married", widow: "Widowed", widower: "Widowed" },
+    filter: "eq",
+  }),
+  dob: field("date"),
+  yob: field("int", { min: 1900, filter: "in" }),
+  age: field("int", { min: 18, max: 100 }),
+  time_of_birth: field("text"),
+  place_of_birth: field("text", { search: true }),
+  height: field("text", { filter: "in" }),
+  height_cm: field("number", { source: "system", from: "height", derive: parseHeightCm }),
+  weight: field("text", { filter: "in" }),
+  weight_kg: field("number", { source: "system", from: "weight", derive: parseWeightKg }),
+  star: field("text", { filter: "in" }),
+  paadham: field("int", { min: 1, max: 4 }),
+  rasi: field("text", { filter: "in" }),
+  lagnam: field("text"),
+  dosham: field("text", { filter: "in" }),
+  education: field("text", { filter: "eq" }),
+  ug_degree: field("text"),
+  ug_specialization: field("text"),
+  pg_degree: field("text"),
+  pg_specialization: field("text"),
+  occupation: field("text", { filter: "in", search: true }),
+  annual_income: field("text", { filter: "in" }),
+  income_lpa: field("number", { source: "system", from: "annual_income", derive: parseIncomeLpa }),
+  father_name: field("text", { search: true }),
+  father_occupation: field("text", { search: true }),
+  mother_name: field("text", { search: true }),
+  mother_occupation: field("text"),
+  sibling_details: field("text"),
+  native_place: field("text", { search: true }),
+  current_residence: field("text", { filter: "like", param: "currentResidingLocation", search: true }),
+  address: field("text"),
+  city: field("text", { search: true }),
+  pincode: field("pincode"),
+  state: field("text"),
+  country: field("text"),
+  own_house: field("text", { aliases: ["ownHouse"] }),
+  property_details: field("text"),
+  expectations: field("text"),
+  remarks: field("text"),
+  // latest entry of the flash log (T1_FLASHES)
+  flashed_date: field("date", { source: "system" }),
+  renewal_date: field("date"),
+  renewal_amount: field("number", { min: 0 }),
+  contact1: field("phone"),
+  contact2: field("phone"),
+  contact3: field("phone"),
+  email: field("email"),
+  created_by: field("text", { source: "system" }),
+  // staff username following up this member's renewal
+  assigned_to: field("text", { filter: "eq" }),
+  // office the member belongs to; changed only by a transfer (see BRANCHES)
+  branch: field("text", { source: "system", filter: "eq" }),
+  modified_by: field("text", { source: "system" }),
+  deleted_by: field("text", { source: "system" }),
+  is_deleted: field("bool", { source: "system" }),
+  deleted_at: field("date", { source: "db" }),
+  // id of the profile this one was merged into (see /api/users/:regno/merge)
+  merged_into: field("int", { source: "db" }),
+  created_at: field("date", { source: "system" }),
+  updated_at: field("date", { source: "db" }),
+};
+
+const USER_FIELD_ALIASES = Object.fromEntries(
+  Object.entries(USER_FIELDS).flatMap(([key, def]) =>
+    (def.aliases || []).map((alias) => [alias, key])
+  )
+);
+
+// columns an INSERT / UPDATE may write (client and system fields)
+const WRITABLE_USER_FIELDS = Object.keys(USER_FIELDS).filter((k) => USER_FIELDS[k].source !== "db");
+
+// DB row -> API object
 function rowToUser(row) {
   if (!row) return null;
-  return {
-    id: row.id,
-    regno: row.regno,
-    name: row.name,
-    gender: row.gender,
-    caste: row.caste,
-    caste_category: row.caste_category,
-    gothram: row.gothram,
-    food_habits: row.food_habits,
-    reg_date: row.reg_date,
-    plan: row.plan,
-    amount: row.amount,
-    payment_mode: row.payment_mode,
-    transaction_id: row.transaction_id,
-    valid_days: row.valid_days,
-    expiry_date: row.expiry_date,
-    plan_status: row.plan_status,
-    new_or_renewal: row.new_or_renewal,
-    marital_status: row.marital_status,
-    dob: row.dob,
-    yob: row.yob,
-    age: row.age,
-    time_of_birth: row.time_of_birth,
-    place_of_birth: row.place_of_birth,
-    height: row.height,
-    weight: row.weight,
-    star: row.star,
-    paadham: row.paadham,
-    rasi: row.rasi,
-    lagnam: row.lagnam,
-    dosham: row.dosham,
-    education: row.education,
-    ug_degree: row.ug_degree,
-    ug_specialization: row.ug_specialization,
-    pg_degree: row.pg_degree,
-    pg_specialization: row.pg_specialization,
-    occupation: row.occupation,
-    annual_income: row.annual_income,
-    father_name: row.father_name,
-    father_occupation: row.father_occupation,
-    mother_name: row.mother_name,
-    mother_occupation: row.mother_occupation,
-    sibling_details: row.sibling_details,
-    native_place: row.native_place,
-    current_residence: row.current_residence,
-    address: row.address,
-    city: row.city,
-    pincode: row.pincode,
-    state: row.state,
-    country: row.country,
-    ownHouse: row.ownHouse,
-    property_details: row.property_details,
-    expectations: row.expectations,
-    remarks: row.remarks,
-    flashed_date: row.flashed_date,
-    renewal_date: row.renewal_date,
-    renewal_amount: row.renewal_amount,
-    contact1: row.contact1,
-    contact2: row.contact2,
-    contact3: row.contact3,
-    email: row.email,
-    created_by: row.created_by,
-    modified_by: row.modified_by,
-    deleted_by: row.deleted_by,
-    is_deleted: row.is_deleted,
-    created_at: row.created_at,
-    updated_at: row.updated_at,
-  };
+  return Object.fromEntries(Object.keys(USER_FIELDS).map((key) => [key, row[key]]));
+}
+
+// whether a submitted value equals what the row already holds
+function sameFieldValue(value, current) {
+  if (current instanceof Date) {
+    const d = tryParseDate(value);
+    return Boolean(d) && d.getTime() === current.getTime();
+  }
+  if (value === null || value === "" || current === null || current === undefined) {
+    return (value ?? "") === "" && (current ?? "") === "";
+  }
+  if (!isNaN(Number(value)) && !isNaN(Number(current))) return Number(value) === Number(current);
+  return String(value).trim().toLowerCase() === String(current).trim().toLowerCase();
+}
+
+const enumKey = (v) => String(v).toLowerCase().replace(/[^a-z0-9]/g, "");
+
+// -> { value } or { error } for one non-empty value
+function parseFieldValue(def, raw) {
+  const text = String(raw).trim();
+  switch (def.type) {
+    case "int":
+    case "number": {
+      const n = Number(text.replace(/,/g, ""));
+      if (!Number.isFinite(n) || (def.type === "int" && !Number.isInteger(n))) {
+        return { error: def.type === "int" ? "must be a whole number" : "must be a number" };
+      }
+      if (def.min !== undefined && n < def.min) return { error: `must be at least ${def.min}` };
+      if (def.max !== undefined && n > def.max) return { error: `must be at most ${def.max}` };
+      return { value: n };
+    }
+    case "date": {
+      const d = tryParseDate(raw instanceof Date ? raw : text);
+      if (!d || d.getFullYear() < 1900 || d.getFullYear() > 2100) return { error: "is not a valid date" };
+      return { value: d };
+    }
+    case "bool":
+      if (["true", "yes", "1"].includes(text.toLowerCase())) return { value: true };
+      if (["false", "no", "0"].includes(text.toLowerCase())) return { value: false };
+      return { error: "must be true or false" };
+    case "enum": {
+      const key = enumKey(text);
+      const match = def.values.find((v) => enumKey(v) === key) || def.synonyms?.[key];
+      return match ? { value: match } : { error: `must be one of: ${def.values.join(", ")}` };
+    }
+    case "plan":
+      return { value: text.toLowerCase() };
+    case "phone": {
+      const phone = text.replace(/[\s\-().]/g, "");
+      return /^\+?\d{10,15}$/.test(phone)
+        ? { value: phone }
+        : { error: "must be a phone number of 10-15 digits" };
+    }
+    case "email":
+      return /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/.test(text)
+        ? { value: text.toLowerCase() }
+        : { error: "must be a valid email address" };
+    case "pincode": {
+      const pin = text.replace(/\s/g, "");
+      return /^[1-9]\d{5}$/.test(pin) ? { value: pin } : { error: "must be a 6-digit pincode" };
+    }
+    default:
+      return { value: text };
+  }
+}
+
+// Validates a create (current = null) or update body against USER_FIELDS.
+// Returns { values, errors }: values holds the parsed client fields (unknown
+// and server-managed keys dropped) plus any derived fields they feed, errors
+// maps field -> message. On update
+// only fields whose value actually changes are checked and returned, so old
+// rows with legacy data stay editable.
+async function validateUserInput(input, { current = null, db = pool } = {}) {
+  const values = {};
+  const errors = {};
+
+  for (const [rawKey, raw] of Object.entries(input || {})) {
+    const key = USER_FIELD_ALIASES[rawKey] || rawKey;
+    const def = USER_FIELDS[key];
+    if (!def || def.source !== "client" || raw === undefined) continue;
+    if (current && sameFieldValue(raw, current[key])) continue;
+
+    if (raw === null || String(raw).trim() === "") {
+      values[key] = null;
+      continue;
+    }
+    const { value, error } = parseFieldValue(def, raw);
+    if (error) errors[key] = `${key} ${error}`;
+    else values[key] = value;
+  }
+
+  for (const [key, def] of Object.entries(USER_FIELDS)) {
+    if (!def.required || errors[key]) continue;
+    const missing = current
+      ? values[key] === null
+      : !def.allocated && (values[key] === undefined || values[key] === null);
+    if (missing) errors[key] = `${key} is required`;
+  }
+
+  if (values.plan && !errors.plan) {
+    const { rowCount } = await db.query(`SELECT 1 FROM t1."T1_PLANS" WHERE code = $1 LIMIT 1`, [values.plan]);
+    if (!rowCount) errors.plan = `plan "${values.plan}" does not exist`;
+  }
+  if (values.assigned_to && !errors.assigned_to) {
+    const { rowCount } = await db.query(
+      `SELECT 1 FROM t1."T1_STAFF" WHERE username = $1 AND is_active = true LIMIT 1`,
+      [values.assigned_to]
+    );
+    if (!rowCount) errors.assigned_to = `assigned_to "${values.assigned_to}" is not an active staff member`;
+  }
+
+  for (const [key, def] of Object.entries(USER_FIELDS)) {
+    if (def.derive && values[def.from] !== undefined) values[key] = def.derive(values[def.from]);
+  }
+
+  // dob / yob / age must tell the same story; checked on the merged row
+  const merged = { ...current, ...values };
+  const dob = merged.dob ? dayjs(parseAnyDate(merged.dob)) : null;
+  if (dob && !errors.dob) {
+    if (dob.isAfter(dayjs())) errors.dob = "dob cannot be in the future";
+    else if (!merged.yob && !errors.yob) values.yob = dob.year();
+    else if (!errors.yob && Number(merged.yob) !== dob.year()) {
+      errors.yob = `yob ${merged.yob} does not match dob (${dob.year()})`;
+    }
+  }
+  if (merged.yob && !errors.yob && Number(merged.yob) > dayjs().year()) {
+    errors.yob = "yob cannot be in the future";
+  }
+  if (merged.age !== null && merged.age !== undefined && !errors.age && !errors.dob && !errors.yob) {
+    const expected = computeAge({ dob: merged.dob, yob: merged.yob });
+    // the register stores age at registration, so allow for a birthday or two
+    const asOfReg = merged.reg_date ? computeAge({ dob: merged.dob, yob: merged.yob }, parseAnyDate(merged.reg_date)) : expected;
+    const age = Number(merged.age);
+    if (expected !== null && (age < Math.min(asOfReg, expected) - 1 || age > expected + 1)) {
+      errors.age = `age ${age} does not match ${merged.dob ? "dob" : "yob"} (expected about ${expected})`;
+    }
+  }
+
+  return { values, errors };
+}
+
+// 422 body for a failed validation
+const validationFailed = (errors) => ({ message: "Validation failed", errors });
+
+// Fills height_cm / weight_kg / income_lpa on rows saved before those
+// columns existed. Values that don't parse stay NULL (and are retried on the
+// next start, which is cheap: only such rows are read).
+async function backfillDerivedFields() {
+  const derived = Object.keys(USER_FIELDS).filter((k) => USER_FIELDS[k].derive);
+  const pending = derived
+    .map((k) => `("${USER_FIELDS[k].from}" IS NOT NULL AND "${k}" IS NULL)`)
+    .join(" OR ");
+  const { rows } = await pool.query(
+    `SELECT id, ${derived.map((k) => `"${USER_FIELDS[k].from}"`).join(", ")}
+     FROM t1."T1_USERS"
+     WHERE ${pending}`
+  );
+
+  const ids = [];
+  const columns = derived.map(() => []);
+  for (const row of rows) {
+    const computed = derived.map((k) => USER_FIELDS[k].derive(row[USER_FIELDS[k].from]));
+    if (computed.every((v) => v === null)) continue;
+    ids.push(row.id);
+    computed.forEach((v, i) => columns[i].push(v));
+  }
+  if (!ids.length) return;
+
+  await pool.query(
+    `UPDATE t1."T1_USERS" u
+     SET ${derived.map((k) => `"${k}" = COALESCE(u."${k}", v."${k}")`).join(", ")}
+     FROM unnest($1::int[], ${derived.map((_, i) => `$${i + 2}::numeric[]`).join(", ")})
+       AS v (id, ${derived.map((k) => `"${k}"`).join(", ")})
+     WHERE u.id = v.id`,
+    [ids, ...columns]
+  );
+}
+
+
+// ---------- Staff auth helpers ----------
+// lowest to highest; a role can do everything the roles before it can
+const ROLES = ["viewer", "data-entry", "manager", "admin"];
+const MIN_PASSWORD_LENGTH = 8;
+const scryptAsync = promisify(crypto.scrypt);
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scryptAsync(String(password), salt, 64);
+  return `scrypt$${salt.toString("hex")}$${hash.toString("hex")}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, saltHex, hashHex] = String(stored || "").split("$");
+  if (scheme !== "scrypt" || !saltHex || !hashHex) return false;
+  const expected = Buffer.from(hashHex, "hex");
+  const actual = await scryptAsync(String(password), Buffer.from(saltHex, "hex"), expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+function bearerToken(req) {
+  const match = (req.header("authorization") || "").match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : null;
+}
+
+// active staff member behind a live session token, or null
+async function findSessionStaff(token) {
+  if (!token) return null;
+  const { rows } = await pool.query(
+    `SELECT s.id, s.username, s.full_name, s.role, s.branch,
+            (s.branch IS NULL OR COALESCE(b.is_head_office, false)) AS all_branches
+     FROM t1."T1_SESSIONS" x
+     JOIN t1."T1_STAFF" s ON s.id = x.staff_id
+     LEFT JOIN t1."T1_BRANCHES" b ON b.code = s.branch
+     WHERE x.token_hash = $1
+       AND x.revoked_at IS NULL
+       AND x.expires_at > now()
+       AND s.is_active = true`,
+    [hashToken(token)]
+  );
+  return rows[0] || null;
+}
+
+function hasRole(staff, minimum) {
+  return Boolean(staff) && ROLES.indexOf(staff.role) >= ROLES.indexOf(minimum);
+}
+
+function requireRole(minimum) {
+  return (req, res, next) =>
+    hasRole(req.staff, minimum)
+      ? next()
+      : res.status(403).json({ message: `Forbidden: requires ${minimum} role` });
+}
+
+// username recorded in created_by / modified_by / deleted_by
+const actorOf = (req) => req.staff?.username ?? null;
+
+// the branch a caller's data is limited to, or null for head office staff
+// (and scheduled jobs), who see every branch
+const branchScopeOf = (req) => (!req.staff || req.staff.all_branches !== false ? null : req.staff.branch);
+
+function requireHeadOffice(req, res, next) {
+  return branchScopeOf(req) === null
+    ? next()
+    : res.status(403).json({ message: "Forbidden: head office only" });
+}
+
+// "AND <column> = $n" for a branch-scoped caller; pushes the param
+function branchFilter(req, column, params) {
+  const scope = branchScopeOf(req);
+  if (scope === null) return "";
+  params.push(scope);
+  return ` AND ${column} = $${params.length}`;
+}
+
+// branch a list or report is narrowed to: the caller's own, else ?branch=
+// (head office may look at any one branch), else null for all of them
+function branchParamOf(req) {
+  const scope = branchScopeOf(req);
+  if (scope !== null) return scope;
+  const requested = String(req.query.branch ?? "").trim().toLowerCase();
+  return requested || null;
 }
 
+// first admin comes from ADMIN_USERNAME / ADMIN_PASSWORD while no staff exist
+async function seedAdminAccount() {
+  const username = String(process.env.ADMIN_USERNAME || "").trim().toLowerCase();
+  const password = process.env.ADMIN_PASSWORD;
+  if (!username || !password) return;
+  await pool.query(
+    `INSERT INTO t1."T1_STAFF" (username, full_name, password_hash, role)
+     SELECT $1, $1, $2, 'admin'
+     WHERE NOT EXISTS (SELECT 1 FROM t1."T1_STAFF")`,
+    [username, await hashPassword(password)]
+  );
+}
 
-// ---------- Middleware: CORS + API Key ----------
+// ---------- Middleware: CORS + staff session ----------
 app.use(
   cors({
     origin: [
@@ -201,20 +1129,23 @@ app.use(
       "http://localhost:3000",
     ],
     methods: ["GET", "POST", "PUT", "PATCH", "DELETE"],
-    allowedHeaders: ["Content-Type", "x-api-key"],
+    allowedHeaders: ["Content-Type", "Authorization"],
     credentials: true,
   })
 );
 
-app.use((req, res, next) => {
-  // allow preflight through
-  if (req.method === "OPTIONS") return next();
+// Session check: every route except login needs "Authorization: Bearer <token>".
+// Reads are open to every role, writes need data-entry or above; stricter
+// routes add requireRole(...) themselves.
+const PUBLIC_ROUTES = ["POST /api/auth/login"];
 
-  const key = req.header("x-api-key");
-  if (!key || key !== API_KEY) {
-    return res.status(401).json({ message: "Unauthorized: Invalid API Key" });
-  }
-  next();
+// requests with no token at all are turned away before the DB check, so they
+// never reach Postgres or the schema bootstrap
+app.use((req, res, next) => {
+  if (req.method === "OPTIONS" || bearerToken(req)) return next();
+  if (PUBLIC_ROUTES.includes(`${req.method} ${req.path}`)) return next();
+  if (req.path.startsWith("/api/jobs/") && isCronRequest(req)) return next();
+  return res.status(401).json({ message: "Unauthorized: please log in" });
 });
 
 // DB check middleware (calls pool.query simple ping)
@@ -223,6 +1154,7 @@ app.use(async (req, res, next) => {
   try {
     // simple query to ensure pool is available
     await pool.query("SELECT 1");
+    await ensureSchema();
     next();
   } catch (err) {
     console.error("DB connect error in middleware:", err.message);
@@ -230,142 +1162,235 @@ app.use(async (req, res, next) => {
   }
 });
 
-// ---------- Helper: updateplan_statusInDB (given a user row) ----------
-async function updateplan_statusInDB(row) {
-  if (!row || !row.id) return null;
+// the session behind the token
+app.use(async (req, res, next) => {
+  // allow preflight through
+  if (req.method === "OPTIONS") return next();
+  if (PUBLIC_ROUTES.includes(`${req.method} ${req.path}`)) return next();
+  if (req.path.startsWith("/api/jobs/") && isCronRequest(req)) {
+    req.staff = CRON_STAFF;
+    return next();
+  }
+
+  try {
+    const staff = await findSessionStaff(bearerToken(req));
+    if (!staff) {
+      return res.status(401).json({ message: "Unauthorized: please log in" });
+    }
+    req.staff = staff;
+
+    // every role may manage its own session / password
+    const readOnly = ["GET", "HEAD"].includes(req.method) || req.path.startsWith("/api/auth/");
+    const minimum = readOnly ? "viewer" : "data-entry";
+    if (!hasRole(staff, minimum)) {
+      return res.status(403).json({ message: "Forbidden: your role is read-only" });
+    }
+    next();
+  } catch (err) {
+    console.error("Auth middleware error:", err.message);
+    return res.status(503).json({ message: "Could not verify session" });
+  }
+});
+
+// Branch staff only reach members of their own branch: for anyone else's
+// regno every /api/users/:regno/... route answers 404 (see BRANCHES). The
+// regno is read the way the handlers read it, so "0123" or "123abc" is 123
+// here too; the handlers' own lookups carry the branch as well.
+app.use("/api/users/:regno", async (req, res, next) => {
+  const scope = branchScopeOf(req);
+  const regno = parseInt(req.params.regno, 10);
+  if (scope === null || isNaN(regno)) return next();
   try {
-    const status = getplan_status(row.expiry_date);
-    if (status !== (row.plan_status || "").toLowerCase()) {
-      const q = `UPDATE t1."T1_USERS" SET plan_status = $1, updateAt = now() WHERE id = $2`;
-      await pool.query(q, [status.toLowerCase(), row.id]);
+    const { rows } = await pool.query(`SELECT branch FROM t1."T1_USERS" WHERE regno = $1`, [regno]);
+    if (rows.length && !rows.some((r) => r.branch === scope)) {
+      return res.status(404).json({ message: "User not found" });
     }
-    return status.toLowerCase();
+    next();
   } catch (err) {
-    console.error("updateplan_statusInDB error:", err.message);
-    return (row.plan_status || "expired").toLowerCase();
+    console.error("Branch check error:", err.message);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// ---------- Helper: recordPayment (append to the payment ledger) ----------
+// `user` is the member row as saved after the payment was applied. The
+// receipt is issued in the same transaction (see INVOICES) unless `invoice`
+// is false: backfilled history is billed later, if at all, through
+// POST /api/payments/:id/invoice.
+async function recordPayment(
+  client,
+  user,
+  { kind, period_start, paid_at, gst_rate, gst_amount, remarks, created_by, invoice = true } = {}
+) {
+  const sql = `
+    INSERT INTO t1."T1_PAYMENTS"
+      (user_id, regno, kind, plan, amount, payment_mode, transaction_id,
+       valid_days, period_start, period_end, paid_at, remarks, created_by,
+       gst_rate, gst_amount, branch)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)
+    RETURNING *
+  `;
+  const { rows } = await client.query(sql, [
+    user.id,
+    user.regno,
+    kind || "new",
+    user.plan,
+    user.amount || 0,
+    user.payment_mode,
+    user.transaction_id,
+    user.valid_days,
+    period_start || user.reg_date,
+    user.expiry_date,
+    paid_at || new Date(),
+    remarks || null,
+    created_by || null,
+    gst_rate ?? null,
+    gst_amount ?? null,
+    user.branch ?? null,
+  ]);
+  const issued = invoice ? await issueInvoice(client, rows[0], user, created_by) : null;
+  return { ...rows[0], invoice_number: issued?.number ?? null };
+}
+
+// ---------- Helper: recordAudit (field-level history) ----------
+// columns that change on every write and would only add noise to the diff
+const AUDIT_IGNORED_COLUMNS = [
+  "updated_at",
+  "search_key",
+  "search_tsv",
+  "dup_name_key",
+  "dup_father_key",
+  "dup_email",
+  "dup_phones",
+];
+
+const auditValue = (v) => (v instanceof Date ? v.toISOString() : v === undefined ? null : v);
+
+// { column: { old, new } } for every column that differs between two rows
+function diffRows(before, after) {
+  const changes = {};
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  for (const key of keys) {
+    if (AUDIT_IGNORED_COLUMNS.includes(key)) continue;
+    const oldValue = auditValue(before?.[key]);
+    const newValue = auditValue(after?.[key]);
+    if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+      changes[key] = { old: oldValue, new: newValue };
+    }
   }
+  return changes;
 }
 
-// ---------- POST /api/users (create) ----------
+// `before` is null for a create; updates that change nothing are not recorded
+async function recordAudit(db, action, before, after, actor, note = null) {
+  const row = after || before;
+  const changes = diffRows(before, after);
+  if (before && after && !Object.keys(changes).length) return null;
 
-app.post("/api/users", async (req, res) => {
-  try {
-    const body = { ...req.body };
-
-    // -------------------- Normalize dates --------------------
-    if (body.reg_date) body.reg_date = parseAnyDate(body.reg_date);
-    if (body.dob) body.dob = parseAnyDate(body.dob);
-    if (body.flashed_date) body.flashed_date = parseAnyDate(body.flashed_date);
-    if (body.renewal_date) body.renewal_date = parseAnyDate(body.renewal_date);
-
-    // -------------------- Plan calculation --------------------
-    const plan = (body.plan || "entry").toLowerCase();
-    const { expiry_date, amount, valid_days } =
-      calculateexpiry_date(body.reg_date, plan);
-
-    body.amount = amount;
-    body.valid_days = valid_days;
-    body.expiry_date = expiry_date;
-    body.plan_status = getplan_status(expiry_date).toLowerCase();
-
-    // -------------------- SYSTEM VALUES (FORCED) --------------------
-    body.is_deleted = false;       // ✅ FORCE
-    body.created_at = new Date();  // ✅ FORCE
-
-    // -------------------- COLUMN MAP (MATCHES DB EXACTLY) --------------------
-    const mapping = {
-      regno: "regno",
-      name: "name",
-      gender: "gender",
-      caste: "caste",
-      caste_category: "caste_category",
-      gothram: "gothram",
-      food_habits: "food_habits",
-      reg_date: "reg_date",
-      plan: "plan",
-      amount: "amount",
-      payment_mode: "payment_mode",
-      transaction_id: "transaction_id",
-      valid_days: "valid_days",
-      expiry_date: "expiry_date",
-      plan_status: "plan_status",
-      new_or_renewal: "new_or_renewal",
-      marital_status: "marital_status",
-      dob: "dob",
-      yob: "yob",
-      age: "age",
-      time_of_birth: "time_of_birth",
-      place_of_birth: "place_of_birth",
-      height: "height",
-      weight: "weight",
-      star: "star",
-      paadham: "paadham",
-      rasi: "rasi",
-      lagnam: "lagnam",
-      dosham: "dosham",
-      education: "education",
-      ug_degree: "ug_degree",
-      ug_specialization: "ug_specialization",
-      pg_degree: "pg_degree",
-      pg_specialization: "pg_specialization",
-      occupation: "occupation",
-      annual_income: "annual_income",
-      father_name: "father_name",
-      father_occupation: "father_occupation",
-      mother_name: "mother_name",
-      mother_occupation: "mother_occupation",
-      sibling_details: "sibling_details",
-      native_place: "native_place",
-      current_residence: "current_residence",
-      address: "address",
-      city: "city",
-      pincode: "pincode",
-      state: "state",
-      country: "country",
-      own_house: "own_house",              // ✅ FIXED
-      property_details: "property_details",
-      expectations: "expectations",
-      remarks: "remarks",
-      flashed_date: "flashed_date",
-      renewal_date: "renewal_date",
-      renewal_amount: "renewal_amount",
-      contact1: "contact1",
-      contact2: "contact2",
-      contact3: "contact3",
-      email: "email",
-      created_by: "created_by",
-      is_deleted: "is_deleted",             // ✅ SYSTEM
-      created_at: "created_at"              // ✅ SYSTEM
-    };
+  const { rows } = await db.query(
+    `INSERT INTO t1."T1_USER_AUDIT" (user_id, regno, action, actor, changes, snapshot, note)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     RETURNING *`,
+    [row.id, row.regno, action, actor || null, JSON.stringify(changes), JSON.stringify(row), note]
+  );
+  return rows[0];
+}
 
-    // -------------------- BUILD INSERT SAFELY --------------------
-    const cols = [];
-    const values = [];
-    const placeholders = [];
+// ---------- Helper: prepareNewUser (validation, plan and system values) ----------
+// Returns { body, pricing } ready for insertUser, or { errors } (field ->
+// message) when the input fails validation or the plan is retired.
+async function prepareNewUser(input, { created_by = null, db = pool } = {}) {
+  const { values: body, errors } = await validateUserInput(input, { db });
+  if (Object.keys(errors).length) return { errors };
 
-    Object.entries(mapping).forEach(([key, col]) => {
-      if (body[key] !== undefined) {
-        cols.push(`"${col}"`);
-        values.push(body[key]);
-        placeholders.push(`$${values.length}`);
-      }
-    });
+  // -------------------- Plan calculation --------------------
+  const plan = (body.plan || "entry").toLowerCase();
+  const pricing = await calculateexpiry_date(body.reg_date, plan, { db });
+  if (!pricing) return { errors: { plan: `plan "${plan}" is retired or not yet effective` } };
+  const { expiry_date, amount, valid_days } = pricing;
+
+  body.plan = plan;
+  body.amount = amount;
+  body.valid_days = valid_days;
+  body.expiry_date = expiry_date;
+  body.plan_status = getplan_status(expiry_date).toLowerCase();
 
-    if (!cols.length) {
+  // -------------------- SYSTEM VALUES (FORCED) --------------------
+  body.created_by = created_by;
+  body.is_deleted = false;       // ✅ FORCE
+  body.created_at = new Date();  // ✅ FORCE
+
+  return { body, pricing };
+}
+
+// ---------- Helper: insertUser (INSERT + opening ledger entry) ----------
+// `invoice: false` records the opening payment without a tax invoice (imports
+// of the existing register)
+async function insertUser(client, body, pricing, { invoice = true } = {}) {
+  const cols = [];
+  const values = [];
+  const placeholders = [];
+
+  WRITABLE_USER_FIELDS.forEach((key) => {
+    if (body[key] !== undefined) {
+      cols.push(`"${key}"`);
+      values.push(body[key]);
+      placeholders.push(`$${values.length}`);
+    }
+  });
+
+  const sql = `
+    INSERT INTO t1."T1_USERS" (${cols.join(", ")})
+    VALUES (${placeholders.join(", ")})
+    RETURNING *
+  `;
+  const { rows } = await client.query(sql, values);
+  await recordPayment(client, rows[0], {
+    kind: (body.new_or_renewal || "").toLowerCase() === "renewal" ? "renewal" : "new",
+    paid_at: body.reg_date,
+    gst_rate: pricing.gst_rate,
+    gst_amount: pricing.gst_amount,
+    created_by: body.created_by,
+    invoice,
+  });
+  await recordAudit(client, "create", null, rows[0], body.created_by);
+  return rows[0];
+}
+
+// ---------- POST /api/users (create) ----------
+
+app.post("/api/users", async (req, res) => {
+  try {
+    if (!Object.keys(req.body || {}).length) {
       return res.status(400).json({ message: "No fields provided" });
     }
 
-    const sql = `
-      INSERT INTO t1."T1_USERS" (${cols.join(", ")})
-      VALUES (${placeholders.join(", ")})
-      RETURNING *
-    `;
+    const { body, pricing, errors } = await prepareNewUser(req.body, { created_by: actorOf(req) });
+    if (errors) return res.status(422).json(validationFailed(errors));
+    const placed = await branchForNewMember(req, req.body.branch);
+    if (placed.error) return res.status(422).json(validationFailed({ branch: placed.error }));
+    body.branch = placed.branch;
 
-    const { rows } = await pool.query(sql, values);
-    res.status(201).json(rowToUser(rows[0]));
+    // no regno given: take the next one from ?regno_series= / the member's series
+    const result = await withTransaction(async (client) => {
+      if (body.regno === undefined || body.regno === null) {
+        const allocated = await allocateRegno(client, {
+          series: req.body.regno_series,
+          gender: body.gender,
+          branch: body.branch,
+        });
+        if (allocated.error) return { status: 422, message: allocated.error };
+        body.regno = allocated.regno;
+      }
+      return { user: await insertUser(client, body, pricing) };
+    });
+    if (result.status) return res.status(result.status).json(validationFailed({ regno: result.message }));
+    res.status(201).json(rowToUser(result.user));
 
   } catch (err) {
-    if (err.code === "23505") {
+    // the invoice and ledger rows are inserted in the same transaction, so
+    // only the member table's regno constraint means the regno is taken
+    if (err.code === "23505" && err.table === "T1_USERS" && /regno/i.test(err.constraint || "")) {
       return res.status(409).json({ message: "Duplicate regno" });
     }
     console.error("POST /api/users error:", err);
@@ -373,112 +1398,189 @@ app.post("/api/users", async (req, res) => {
   }
 });
 
+// ---------- Search: transliteration key, full-text and trigram ----------
+// Spelling variants of transliterated names collapse to one key, so
+// Lakshmi / Laxmi / Lakshmy all become "laxmi": x for ksh/ks, l for zh,
+// aspirates lose their h, w -> v, ee/ie/final y -> i, oo/ou -> u and
+// doubled letters are squeezed.
+const TRANSLIT_KEY_SQL = `
+  CREATE OR REPLACE FUNCTION t1.translit_key(input TEXT) RETURNS TEXT
+  LANGUAGE sql IMMUTABLE PARALLEL SAFE
+  AS $fn$
+    SELECT trim(regexp_replace(regexp_replace(regexp_replace(regexp_replace(
+           regexp_replace(regexp_replace(regexp_replace(regexp_replace(
+           regexp_replace(lower(coalesce(input, '')), '[[:punct:]]+', ' ', 'g'),
+           'ksh|ks|x', 'x', 'g'),
+           'zh', 'l', 'g'),
+           '([bdgkpst])h', '\\1', 'g'),
+           'w', 'v', 'g'),
+           'ee|ie|y\\M', 'i', 'g'),
+           'oo|ou', 'u', 'g'),
+           '([a-z])\\1+', '\\1', 'g'),
+           '\\s+', ' ', 'g'))
+  $fn$`;
 
+// false when pg_trgm can't be installed; fuzzy matching then falls back to
+// a substring match on search_key
+let trigramSearch = false;
 
-app.get("/api/users", async (req, res) => {
+// search_key / search_tsv are generated from the USER_FIELDS marked `search`
+async function setupSearch() {
+  await pool.query(TRANSLIT_KEY_SQL);
+  const text = Object.keys(USER_FIELDS)
+    .filter((k) => USER_FIELDS[k].search)
+    .map((k) => `coalesce("${k}", '')`)
+    .join(" || ' ' || ");
+  await pool.query(
+    `ALTER TABLE t1."T1_USERS"
+       ADD COLUMN IF NOT EXISTS search_key TEXT
+         GENERATED ALWAYS AS (t1.translit_key(${text})) STORED,
+       ADD COLUMN IF NOT EXISTS search_tsv TSVECTOR
+         GENERATED ALWAYS AS (to_tsvector('simple', t1.translit_key(${text}))) STORED`
+  );
+  await pool.query(
+    `CREATE INDEX IF NOT EXISTS "T1_USERS_search_tsv_idx" ON t1."T1_USERS" USING GIN (search_tsv)`
+  );
   try {
-    const {
-      q = "",
-      plan,
-      food_habits,
-      caste,
-      yob,
-      currentResidingLocation,
-      gender,
-      education,
-      marital_status,
-
-      gothram,
-      height,
-      weight,
-      star,
-      rasi,
-      dosham,
-      occupation,
-      annual_income,
-      dob,
-
-      page = 1,
-      limit = 100,
-    } = req.query;
+    await pool.query(`CREATE EXTENSION IF NOT EXISTS pg_trgm`);
+    await pool.query(
+      `CREATE INDEX IF NOT EXISTS "T1_USERS_search_key_trgm_idx"
+       ON t1."T1_USERS" USING GIN (search_key gin_trgm_ops)`
+    );
+    trigramSearch = true;
+  } catch (err) {
+    console.error("pg_trgm unavailable, fuzzy search uses substring match:", err.message);
+  }
+}
 
-    const filters = [`is_deleted = false`];
-    const params = [];
-    let idx = 1;
+// the last 10 digits of a contact column, or NULL when it has fewer
+const phoneKeySql = (col) =>
+  `CASE WHEN length(regexp_replace(${col}, '\\D', '', 'g')) >= 10
+        THEN right(regexp_replace(${col}, '\\D', '', 'g'), 10) END`;
 
-    // ---------- GLOBAL SEARCH ----------
-    if (q) {
-      const numeric = parseInt(q, 10);
-      const orClauses = [];
+// normalized match keys for the duplicate finder, stored so its self-joins
+// run on indexes instead of recomputing every row
+async function setupDuplicateKeys() {
+  await pool.query(
+    `ALTER TABLE t1."T1_USERS"
+       ADD COLUMN IF NOT EXISTS dup_name_key TEXT
+         GENERATED ALWAYS AS (NULLIF(t1.translit_key(name), '')) STORED,
+       ADD COLUMN IF NOT EXISTS dup_father_key TEXT
+         GENERATED ALWAYS AS (NULLIF(t1.translit_key(father_name), '')) STORED,
+       ADD COLUMN IF NOT EXISTS dup_email TEXT
+         GENERATED ALWAYS AS (NULLIF(lower(trim(email)), '')) STORED,
+       ADD COLUMN IF NOT EXISTS dup_phones TEXT[]
+         GENERATED ALWAYS AS (array_remove(ARRAY[
+           ${phoneKeySql("contact1")}, ${phoneKeySql("contact2")}, ${phoneKeySql("contact3")}
+         ], NULL)) STORED`
+  );
+  await pool.query(
+    `CREATE INDEX IF NOT EXISTS "T1_USERS_dup_name_key_idx" ON t1."T1_USERS" (dup_name_key)
+     WHERE is_deleted = false`
+  );
+  await pool.query(
+    `CREATE INDEX IF NOT EXISTS "T1_USERS_dup_email_idx" ON t1."T1_USERS" (dup_email)
+     WHERE is_deleted = false`
+  );
+  await pool.query(
+    `CREATE INDEX IF NOT EXISTS "T1_USERS_dup_phones_idx" ON t1."T1_USERS" USING GIN (dup_phones)
+     WHERE is_deleted = false`
+  );
+}
 
-      if (!isNaN(numeric)) {
-        orClauses.push(`regno = $${idx}`);
-        params.push(numeric);
-        idx++;
-      }
+// age in years right now: from dob, else yob, else the age typed at registration
+const AGE_SQL = `COALESCE(
+  EXTRACT(YEAR FROM age(CURRENT_DATE, CASE WHEN dob::text ~ '^[0-9]{4}-[0-9]{2}-[0-9]{2}' THEN substr(dob::text, 1, 10)::date END))::int,
+  EXTRACT(YEAR FROM CURRENT_DATE)::int - CASE WHEN yob::text ~ '^[0-9]{4}$' THEN yob::text::int END,
+  CASE WHEN age::text ~ '^[0-9]{1,3}$' THEN age::text::int END
+)`;
 
-      orClauses.push(`name ILIKE $${idx}`);
-      params.push(`%${q}%`);
-      idx++;
+// ?<param>_min / _max pairs; values are parsed like the stored text
+const RANGE_FILTERS = {
+  age: { sql: AGE_SQL, parse: (v) => (/^\d{1,3}$/.test(String(v).trim()) ? Number(v) : null) },
+  height: { sql: "height_cm", parse: parseHeightCm },
+  weight: { sql: "weight_kg", parse: parseWeightKg },
+  income: { sql: "income_lpa", parse: parseIncomeLpa },
+};
 
-      orClauses.push(`email ILIKE $${idx}`);
-      params.push(`%${q}%`);
-      idx++;
+// ?income_band=0-5,5-10,20+ (LPA); a row matches if it is in any band
+function parseIncomeBand(band) {
+  const m = String(band).trim().match(/^(\d+(?:\.\d+)?)?\s*(?:-\s*(\d+(?:\.\d+)?)|(\+))$/);
+  if (!m || (!m[1] && !m[2])) return null;
+  return { min: m[1] ? Number(m[1]) : null, max: m[2] ? Number(m[2]) : null };
+}
 
-      orClauses.push(`contact1 ILIKE $${idx}`);
-      params.push(`%${q}%`);
-      idx++;
+// ---------- Helper: buildUserFilters (search + filters of GET /api/users) ----------
+// Shared by the listing and the export so both accept exactly the same query.
+// -> { filters, params, idx, score }, or { error } for an unreadable range
+// value. score is a SQL relevance expression when ?q= is given, else null.
+function buildUserFilters(query, branch = null) {
+  const { q = "", dob, income_band } = query;
 
-      orClauses.push(`currentResidance ILIKE $${idx}`);
-      params.push(`%${q}%`);
-      idx++;
+  const filters = [`is_deleted = false`];
+  const params = [];
+  let idx = 1;
+  let score = null;
 
-      orClauses.push(`caste ILIKE $${idx}`);
-      params.push(`%${q}%`);
-      idx++;
+  // branch staff only ever see their own branch (see BRANCHES)
+  if (branch !== null) {
+    filters.push(`branch = $${idx}`);
+    params.push(branch);
+    idx++;
+  }
 
-      filters.push(`(${orClauses.join(" OR ")})`);
-    }
+  // ---------- GLOBAL SEARCH ----------
+  // prefix full-text match on the transliteration key plus trigram similarity
+  // for misspellings (both indexed); regno, phone and email match directly
+  const text = String(q).trim();
+  if (text) {
+    const key = `t1.translit_key($${idx})`;
+    params.push(text);
+    idx++;
+    // "lakshmi chennai" -> 'laxmi:* & chenai:*'
+    const tsq = `to_tsquery('simple', NULLIF(regexp_replace(${key}, '\\s+', ':* & ', 'g') || ':*', ':*'))`;
+    const orClauses = [
+      `search_tsv @@ ${tsq}`,
+      trigramSearch ? `${key} <% search_key` : `search_key LIKE '%' || ${key} || '%'`,
+    ];
+    const scoreParts = [
+      `COALESCE(ts_rank(search_tsv, ${tsq}), 0)`,
+      trigramSearch ? `word_similarity(${key}, search_key)` : "0",
+    ];
 
-    // ---------- SIMPLE EQUAL FILTERS ----------
-    if (plan) {
-      filters.push(`plan = $${idx}`);
-      params.push(plan);
+    if (/^\d+$/.test(text)) {
+      orClauses.push(`regno = $${idx}`);
+      scoreParts.push(`CASE WHEN regno = $${idx} THEN 10 ELSE 0 END`);
+      params.push(parseInt(text, 10));
       idx++;
     }
-
-    if (food_habits) {
-      filters.push(`food_habits = $${idx}`);
-      params.push(food_habits);
+    if (/\d{4}/.test(text) || text.includes("@")) {
+      const like = `$${idx}`;
+      orClauses.push(`contact1 ILIKE ${like}`, `contact2 ILIKE ${like}`, `contact3 ILIKE ${like}`, `email ILIKE ${like}`);
+      params.push(`%${text.replace(/[\s\-()]/g, "")}%`);
       idx++;
     }
 
-    if (gender) {
-      filters.push(`gender = $${idx}`);
-      params.push(gender);
-      idx++;
-    }
+    filters.push(`(${orClauses.join(" OR ")})`);
+    score = `(${scoreParts.join(" + ")})`;
+  }
 
-    if (education) {
-      filters.push(`education = $${idx}`);
-      params.push(education);
-      idx++;
-    }
+  // ---------- FIELD FILTERS (see USER_FIELDS.filter) ----------
+  for (const [key, def] of Object.entries(USER_FIELDS)) {
+    const value = def.filter && query[def.param || key];
+    if (!value) continue;
+    const column = def.sql || `"${key}"`;
 
-    if (marital_status) {
-      filters.push(`marital_status = $${idx}`);
-      params.push(marital_status);
+    if (def.filter === "eq") {
+      filters.push(`${column} = $${idx}`);
+      params.push(value);
       idx++;
-    }
-
-    if (currentResidingLocation) {
-      filters.push(`currentResidance ILIKE $${idx}`);
-      params.push(`%${currentResidingLocation}%`);
+    } else if (def.filter === "like") {
+      filters.push(`${column} ILIKE $${idx}`);
+      params.push(`%${value}%`);
       idx++;
-    }
-
-    // ---------- MULTI SELECT FILTERS ----------
-    const addMultiFilter = (column, value) => {
+    } else if (def.filter === "in") {
+      // multi select: comma separated
       const values = String(value)
         .split(",")
         .map(v => v.trim())
@@ -489,64 +1591,209 @@ app.get("/api/users", async (req, res) => {
         params.push(...values);
         filters.push(`${column} IN (${placeholders.join(", ")})`);
       }
-    };
+    }
+  }
 
-    if (caste) addMultiFilter("caste", caste);
-    if (yob) addMultiFilter("yob", yob);
-    if (gothram) addMultiFilter("gothram", gothram);
-    if (height) addMultiFilter("height", height);
-    if (weight) addMultiFilter("weight", weight);
-    if (star) addMultiFilter("star", star);
-    if (rasi) addMultiFilter("rasi", rasi);
-    if (dosham) addMultiFilter("dosham", dosham);
-    if (occupation) addMultiFilter("occupation", occupation);
-    if (annual_income) addMultiFilter("annual_income", annual_income);
-
-    // ---------- DOB (STRING OR TIMESTAMP) ----------
-    if (dob) {
-      filters.push(`DATE(dob) = DATE($${idx})`);
-      params.push(dob);
+  // ---------- RANGES ----------
+  for (const [name, range] of Object.entries(RANGE_FILTERS)) {
+    for (const [suffix, op] of [["min", ">="], ["max", "<="]]) {
+      const raw = query[`${name}_${suffix}`];
+      if (raw === undefined || raw === "") continue;
+      const value = range.parse(raw);
+      if (value === null) return { error: `${name}_${suffix}: cannot read "${raw}"` };
+      filters.push(`${range.sql} ${op} $${idx}`);
+      params.push(value);
       idx++;
     }
+  }
 
-    const where = filters.length ? `WHERE ${filters.join(" AND ")}` : "";
+  if (income_band) {
+    const bands = [];
+    for (const band of String(income_band).split(",").filter((b) => b.trim())) {
+      const parsed = parseIncomeBand(band);
+      if (!parsed) return { error: `income_band: cannot read "${band}"` };
+      const parts = [];
+      if (parsed.min !== null) {
+        parts.push(`income_lpa >= $${idx++}`);
+        params.push(parsed.min);
+      }
+      if (parsed.max !== null) {
+        parts.push(`income_lpa < $${idx++}`);
+        params.push(parsed.max);
+      }
+      bands.push(`(${parts.join(" AND ")})`);
+    }
+    if (bands.length) filters.push(`(${bands.join(" OR ")})`);
+  }
 
-    const pageInt = Math.max(1, parseInt(page, 10) || 1);
-    const perPage = Math.min(1000, Math.max(1, parseInt(limit, 10) || 100));
-    const offset = (pageInt - 1) * perPage;
+  // ---------- DOB (STRING OR TIMESTAMP) ----------
+  if (dob) {
+    filters.push(`DATE(dob) = DATE($${idx})`);
+    params.push(dob);
+    idx++;
+  }
 
-    // ---------- TOTAL COUNT ----------
-    const countSql = `SELECT COUNT(*)::int AS total FROM t1."T1_USERS" ${where}`;
-    const countRes = await pool.query(countSql, params);
-    const total = countRes.rows[0]?.total || 0;
+  return { filters, params, idx, score };
+}
 
-    // ---------- MAIN QUERY ----------
-    const dataSql = `
-      SELECT *
-      FROM t1."T1_USERS"
-      ${where}
-      ORDER BY created_at DESC
-      LIMIT $${idx} OFFSET $${idx + 1}
-    `;
+// ---------- Sorting and cursors for GET /api/users ----------
+// ?sort=expiry_date,-name or name:desc (multi-key, ascending by default)
+const SORT_KEYS = {
+  regno: "regno",
+  name: "name",
+  reg_date: "reg_date",
+  expiry_date: "expiry_date",
+  age: AGE_SQL,
+  updated_at: "updated_at",
+  created_at: "created_at",
+};
 
-    const finalParams = [...params, perPage, offset];
-    const { rows } = await pool.query(dataSql, finalParams);
+// -> { keys: [{ name, sql, desc }] } always ending with id, or { error };
+// extraKeys adds route-specific sort keys to SORT_KEYS
+function parseSort(sort, score, extraKeys = {}) {
+  const sortKeys = { ...SORT_KEYS, ...extraKeys };
+  const keys = [];
+  for (const part of String(sort || "").split(",").map((p) => p.trim()).filter(Boolean)) {
+    const m = part.match(/^(-)?([a-z_]+)(?::(asc|desc))?$/i);
+    const name = m ? m[2].toLowerCase() : null;
+    if (name === "relevance" && !score) return { error: "sort=relevance needs a search (?q=)" };
+    const sql = name === "relevance" ? score : sortKeys[name];
+    if (!sql) {
+      return { error: `Cannot sort by "${part}"; use ${[...Object.keys(sortKeys), "relevance"].join(", ")}` };
+    }
+    keys.push({ name, sql, desc: Boolean(m[1]) || m[3]?.toLowerCase() === "desc" });
+  }
+  // best matches first when searching, newest first otherwise
+  if (!keys.length) {
+    keys.push({ name: score ? "relevance" : "created_at", sql: score || "created_at", desc: true });
+  }
+  keys.push({ name: "id", sql: "id", desc: keys[0].desc });
+  return { keys };
+}
 
-    // ---------- POST PROCESS ----------
+const sortSignature = (keys) => keys.map((k) => `${k.desc ? "-" : ""}${k.name}`).join(",");
+
+const encodeCursor = (keys, values) =>
+  Buffer.from(JSON.stringify({ s: sortSignature(keys), v: values })).toString("base64url");
+
+// -> { values } or { error }; a cursor only continues the sort it came from
+function decodeCursor(cursor, keys) {
+  try {
+    const { s, v } = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+    if (s !== sortSignature(keys) || !Array.isArray(v) || v.length !== keys.length) {
+      return { error: "Cursor does not match this sort; start again without after=" };
+    }
+    return { values: v };
+  } catch {
+    return { error: "Invalid cursor" };
+  }
+}
+
+// SQL for "row comes after `values`" under ORDER BY keys ... NULLS LAST.
+// Values are the text form of each key (full timestamp precision) and are
+// pushed onto `params`.
+function keysetCondition(keys, values, params) {
+  let condition = null;
+  for (let i = keys.length - 1; i >= 0; i--) {
+    const expr = `(${keys[i].sql})`;
+    let after = null;
+    let equal = `${expr} IS NULL`;
+    if (values[i] !== null) {
+      params.push(values[i]);
+      const p = `$${params.length}`;
+      after = `(${expr} IS NULL OR ${expr} ${keys[i].desc ? "<" : ">"} ${p})`;
+      equal = `${expr} = ${p}`;
+    }
+    const parts = [after, condition && `(${equal} AND ${condition})`].filter(Boolean);
+    condition = parts.length ? `(${parts.join(" OR ")})` : "false";
+  }
+  return condition;
+}
+
+// Two paging modes:
+//   ?page=&limit=          numbered pages with total / totalPages (the UI)
+//   ?after=<cursor>&limit= keyset paging; pass after= (empty) for the first
+//                          page, then the returned nextCursor until it is null
+// ?with_total=true|false overrides whether the COUNT(*) runs (default: page
+// mode yes, cursor mode no).
+app.get("/api/users", async (req, res) => {
+  try {
+    const { page = 1, limit = 100, after, sort } = req.query;
+    const { filters, params, score, error } = buildUserFilters(req.query, branchScopeOf(req));
+    if (error) return res.status(400).json({ message: error });
+
+    const sorted = parseSort(sort, score);
+    if (sorted.error) return res.status(400).json({ message: sorted.error });
+    const { keys } = sorted;
+
+    const cursorMode = after !== undefined;
+    const withTotal = req.query.with_total === undefined ? !cursorMode : req.query.with_total === "true";
+
+    const where = filters.length ? `WHERE ${filters.join(" AND ")}` : "";
+
+    const pageInt = Math.max(1, parseInt(page, 10) || 1);
+    const perPage = Math.min(1000, Math.max(1, parseInt(limit, 10) || 100));
+    const offset = (pageInt - 1) * perPage;
+
+    // ---------- TOTAL COUNT ----------
+    let total;
+    if (withTotal) {
+      const countSql = `SELECT COUNT(*)::int AS total FROM t1."T1_USERS" ${where}`;
+      const countRes = await pool.query(countSql, params);
+      total = countRes.rows[0]?.total || 0;
+    }
+
+    // ---------- MAIN QUERY ----------
+    const finalParams = [...params];
+    const conditions = [...filters];
+    if (cursorMode && after) {
+      const decoded = decodeCursor(after, keys);
+      if (decoded.error) return res.status(400).json({ message: decoded.error });
+      conditions.push(keysetCondition(keys, decoded.values, finalParams));
+    }
+    finalParams.push(cursorMode ? perPage + 1 : perPage);
+    const limitSql = `LIMIT $${finalParams.length}`;
+    if (!cursorMode) finalParams.push(offset);
+
+    const dataSql = `
+      SELECT *, ${PLAN_STATUS_SQL} AS current_plan_status${score ? `, ${score} AS relevance` : ""},
+             ${keys.map((k, i) => `(${k.sql})::text AS sort_${i}`).join(", ")}
+      FROM t1."T1_USERS"
+      WHERE ${conditions.join(" AND ")}
+      ORDER BY ${keys.map((k) => `${k.sql} ${k.desc ? "DESC" : "ASC"} NULLS LAST`).join(", ")}
+      ${limitSql}${cursorMode ? "" : ` OFFSET $${finalParams.length}`}
+    `;
+
+    const { rows } = await pool.query(dataSql, finalParams);
+    const hasMore = cursorMode && rows.length > perPage;
+    if (hasMore) rows.pop();
+
+    // ---------- POST PROCESS ----------
     const users = [];
     for (const r of rows) {
-      const currentStatus = await updateplan_statusInDB(r);
       const mapped = rowToUser(r);
-      mapped.plan_status = currentStatus || mapped.plan_status;
+      mapped.plan_status = r.current_plan_status;
+      if (score) mapped.relevance = round2(r.relevance);
       users.push(mapped);
     }
 
+    if (cursorMode) {
+      const last = rows[rows.length - 1];
+      return res.json({
+        users,
+        limit: perPage,
+        sort: sortSignature(keys),
+        nextCursor: hasMore ? encodeCursor(keys, keys.map((_, i) => last[`sort_${i}`])) : null,
+        ...(withTotal ? { total } : {}),
+      });
+    }
+
     res.json({
       users,
       total,
       page: pageInt,
       limit: perPage,
-      totalPages: Math.ceil(total / perPage),
+      totalPages: withTotal ? Math.ceil(total / perPage) : undefined,
     });
   } catch (err) {
     console.error("GET /api/users error:", err);
@@ -558,82 +1805,85 @@ app.get("/api/users", async (req, res) => {
 
 app.get("/api/users/filters", async (req, res) => {
   try {
+    // branch staff get the values of their own members only
+    const scope = branchScopeOf(req);
+    const users = scope === null ? `t1."T1_USERS"` : `(SELECT * FROM t1."T1_USERS" WHERE branch = $1) AS scoped`;
     const queries = {
       caste: `
         SELECT DISTINCT caste 
-        FROM t1."T1_USERS"
+        FROM ${users}
         WHERE caste IS NOT NULL AND caste <> ''
         ORDER BY caste
       `,
       gothram: `
         SELECT DISTINCT gothram
-        FROM t1."T1_USERS"
+        FROM ${users}
         WHERE gothram IS NOT NULL AND gothram <> ''
         ORDER BY gothram
       `,
       height: `
         SELECT DISTINCT height
-        FROM t1."T1_USERS"
+        FROM ${users}
         WHERE height IS NOT NULL AND height <> ''
         ORDER BY height
       `,
       weight: `
         SELECT DISTINCT weight
-        FROM t1."T1_USERS"
+        FROM ${users}
         WHERE weight IS NOT NULL AND weight <> ''
         ORDER BY weight
       `,
       star: `
         SELECT DISTINCT star
-        FROM t1."T1_USERS"
+        FROM ${users}
         WHERE star IS NOT NULL AND star <> ''
         ORDER BY star
       `,
       rasi: `
         SELECT DISTINCT rasi
-        FROM t1."T1_USERS"
+        FROM ${users}
         WHERE rasi IS NOT NULL AND rasi <> ''
         ORDER BY rasi
       `,
       dosham: `
         SELECT DISTINCT dosham
-        FROM t1."T1_USERS"
+        FROM ${users}
         WHERE dosham IS NOT NULL AND dosham <> ''
         ORDER BY dosham
       `,
       occupation: `
         SELECT DISTINCT occupation
-        FROM t1."T1_USERS"
+        FROM ${users}
         WHERE occupation IS NOT NULL AND occupation <> ''
         ORDER BY occupation
       `,
       annual_income: `
         SELECT DISTINCT annual_income
-        FROM t1."T1_USERS"
+        FROM ${users}
         WHERE annual_income IS NOT NULL AND annual_income <> ''
         ORDER BY annual_income
       `,
       education: `
         SELECT DISTINCT education
-        FROM t1."T1_USERS"
+        FROM ${users}
         WHERE education IS NOT NULL AND education <> ''
         ORDER BY education
       `,
       gender: `
         SELECT DISTINCT gender
-        FROM t1."T1_USERS"
+        FROM ${users}
         WHERE gender IS NOT NULL AND gender <> ''
         ORDER BY gender
       `,
       marital_status: `
         SELECT DISTINCT marital_status
-        FROM t1."T1_USERS"
+        FROM ${users}
         WHERE marital_status IS NOT NULL AND marital_status <> ''
         ORDER BY marital_status
       `,
       yob: `
         SELECT DISTINCT yob
-        FROM t1."T1_USERS"
+        FROM ${users}
         WHERE yob IS NOT NULL
         ORDER BY yob
       `,
@@ -644,13 +1894,13 @@ app.get("/api/users/filters", async (req, res) => {
               THEN dob::date
             ELSE NULL
           END AS dob
-        FROM t1."T1_USERS"
+        FROM ${users}
         WHERE dob IS NOT NULL
         ORDER BY dob
       `,
       current_residence: `
         SELECT DISTINCT current_residence
-        FROM t1."T1_USERS"
+        FROM ${users}
         WHERE current_residence IS NOT NULL AND current_residence <> ''
         ORDER BY current_residence
       `
@@ -659,7 +1909,7 @@ app.get("/api/users/filters", async (req, res) => {
     const results = {};
 
     for (const key of Object.keys(queries)) {
-      const { rows } = await pool.query(queries[key]);
+      const { rows } = await pool.query(queries[key], scope === null ? [] : [scope]);
       results[key] = rows
         .map(r => Object.values(r)[0])
         .filter(v => v !== null);
@@ -673,36 +1923,863 @@ app.get("/api/users/filters", async (req, res) => {
 });
 
 
-// ---------- GET /api/users/renewals-due ----------
-app.get("/api/users/renewals-due", async (req, res) => {
+// ============ EXPORT (CSV / XLSX / PDF) ============
+
+const EXPORT_FORMATS = ["csv", "xlsx", "pdf"];
+const EXPORT_BATCH_SIZE = 1000;
+const EXPORT_DEFAULT_COLUMNS = [
+  "regno",
+  "name",
+  "gender",
+  "dob",
+  "age",
+  "star",
+  "rasi",
+  "caste",
+  "education",
+  "occupation",
+  "annual_income",
+  "current_residence",
+  "contact1",
+  "plan",
+  "expiry_date",
+  "plan_status",
+];
+const EXPORT_DATE_COLUMNS = [
+  "reg_date",
+  "dob",
+  "expiry_date",
+  "flashed_date",
+  "renewal_date",
+  "created_at",
+  "updated_at",
+];
+const EXPORT_LABELS = {
+  regno: "Reg No",
+  dob: "Date of Birth",
+  yob: "Year of Birth",
+  reg_date: "Registered On",
+  expiry_date: "Expires On",
+  plan_status: "Status",
+  new_or_renewal: "New / Renewal",
+  ug_degree: "UG Degree",
+  ug_specialization: "UG Specialization",
+  pg_degree: "PG Degree",
+  pg_specialization: "PG Specialization",
+  contact1: "Contact 1",
+  contact2: "Contact 2",
+  contact3: "Contact 3",
+  own_house: "Own House",
+};
+
+const exportLabel = (col) =>
+  EXPORT_LABELS[col] ||
+  col.replace(/_/g, " ").replace(/\b\w/g, (c) => c.toUpperCase());
+
+function exportValue(user, col) {
+  const value = user[col];
+  if (value === null || value === undefined) return "";
+  if (EXPORT_DATE_COLUMNS.includes(col)) {
+    const d = dayjs(value);
+    return d.isValid() ? d.format("DD-MM-YYYY") : String(value);
+  }
+  if (typeof value === "boolean") return value ? "Yes" : "No";
+  return value;
+}
+
+// every matching row, in id order, a batch at a time (keyset, no OFFSET)
+async function* exportBatches(filters, params, idx) {
+  let lastId = 0;
+  for (;;) {
+    const sql = `
+      SELECT *
+      FROM t1."T1_USERS"
+      WHERE ${[...filters, `id > $${idx}`].join(" AND ")}
+      ORDER BY id
+      LIMIT ${EXPORT_BATCH_SIZE}
+    `;
+    const { rows } = await pool.query(sql, [...params, lastId]);
+    if (!rows.length) return;
+
+    yield rows.map((r) => {
+      const mapped = rowToUser(r);
+      if (r.expiry_date) mapped.plan_status = getplan_status(r.expiry_date);
+      if (mapped.age === null || mapped.age === undefined) mapped.age = computeAge(r);
+      return mapped;
+    });
+
+    if (rows.length < EXPORT_BATCH_SIZE) return;
+    lastId = rows[rows.length - 1].id;
+  }
+}
+
+// simple ruled table for pdfkit that repeats the heading row on each page
+function createPdfTable(doc, headers) {
+  const left = doc.page.margins.left;
+  const width = doc.page.width - left - doc.page.margins.right;
+  const colWidth = width / headers.length;
+  const rowHeight = 14;
+
+  const drawRow = (cells, bold = false) => {
+    if (doc.y + rowHeight > doc.page.height - doc.page.margins.bottom) {
+      doc.addPage();
+      drawRow(headers, true);
+    }
+    const y = doc.y;
+    doc.font(bold ? "Helvetica-Bold" : "Helvetica").fontSize(7).fillColor("#000000");
+    cells.forEach((cell, i) => {
+      doc.text(String(cell), left + i * colWidth + 2, y + 4, {
+        width: colWidth - 4,
+        height: rowHeight - 4,
+        ellipsis: true,
+        lineBreak: false,
+      });
+    });
+    doc
+      .moveTo(left, y + rowHeight)
+      .lineTo(left + width, y + rowHeight)
+      .strokeColor("#cccccc")
+      .stroke();
+    doc.x = left;
+    doc.y = y + rowHeight;
+  };
+
+  drawRow(headers, true);
+  return drawRow;
+}
+
+// ---------- GET /api/users/export?format=csv|xlsx|pdf ----------
+// Accepts the same filters as GET /api/users (no page cap), plus
+// columns=regno,name,... to pick and order the columns.
+app.get("/api/users/export", async (req, res) => {
+  try {
+    const format = String(req.query.format || "csv").toLowerCase();
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ message: `format must be one of ${EXPORT_FORMATS.join(", ")}` });
+    }
+
+    const allowed = Object.keys(rowToUser({}));
+    const columns = toList(req.query.columns) || EXPORT_DEFAULT_COLUMNS;
+    const unknown = columns.filter((c) => !allowed.includes(c));
+    if (unknown.length) {
+      return res.status(400).json({ message: `Unknown columns: ${unknown.join(", ")}` });
+    }
+
+    const { filters, params, idx, error } = buildUserFilters(req.query, branchScopeOf(req));
+    if (error) return res.status(400).json({ message: error });
+    const headers = columns.map(exportLabel);
+    const toCells = (user) => columns.map((c) => exportValue(user, c));
+    const filename = `members-${dayjs().format("YYYYMMDD-HHmm")}.${format}`;
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+
+    if (format === "csv") {
+      res.setHeader("Content-Type", "text/csv; charset=utf-8");
+      res.write("\ufeff"); // BOM so Excel reads Tamil/Telugu text correctly
+      res.write(stringifyCsv([headers]));
+      for await (const users of exportBatches(filters, params, idx)) {
+        res.write(stringifyCsv(users.map(toCells)));
+      }
+      return res.end();
+    }
+
+    if (format === "xlsx") {
+      res.setHeader(
+        "Content-Type",
+        "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+      );
+      const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+      const sheet = workbook.addWorksheet("Members", { views: [{ state: "frozen", ySplit: 1 }] });
+      sheet.columns = columns.map((c, i) => ({ header: headers[i], key: c, width: 18 }));
+      sheet.getRow(1).font = { bold: true };
+      sheet.getRow(1).commit();
+      for await (const users of exportBatches(filters, params, idx)) {
+        for (const user of users) sheet.addRow(toCells(user)).commit();
+      }
+      sheet.commit();
+      return await workbook.commit();
+    }
+
+    // pdf
+    res.setHeader("Content-Type", "application/pdf");
+    const doc = new PDFDocument({ size: "A4", layout: "landscape", margin: 30 });
+    doc.pipe(res);
+    doc
+      .font("Helvetica-Bold")
+      .fontSize(12)
+      .text(`Member list - ${dayjs().format("DD-MM-YYYY HH:mm")}`);
+    doc.moveDown(0.5);
+    const drawRow = createPdfTable(doc, headers);
+    let count = 0;
+    for await (const users of exportBatches(filters, params, idx)) {
+      for (const user of users) drawRow(toCells(user));
+      count += users.length;
+    }
+    doc.moveDown().font("Helvetica").fontSize(8).text(`${count} member(s)`);
+    doc.end();
+  } catch (err) {
+    console.error("GET /api/users/export error:", err);
+    if (res.headersSent) return res.end();
+    res.status(500).json({ message: "Error exporting users" });
+  }
+});
+
+// ============ RECYCLE BIN (DELETED PROFILES) ============
+
+// profiles deleted longer than this are removed by the purge unless the
+// request passes its own older_than_days
+const RECYCLE_BIN_RETENTION_DAYS = Number(process.env.RECYCLE_BIN_RETENTION_DAYS || 90);
+
+// ---------- GET /api/users/deleted ----------
+// ?q= (name / regno), ?deleted_by=, paged like /api/users; newest deletes first
+app.get("/api/users/deleted", async (req, res) => {
+  try {
+    const { page = 1, limit = 100, q, deleted_by } = req.query;
+
+    const filters = [`u.is_deleted = true`];
+    const params = [];
+    if (q && String(q).trim()) {
+      params.push(`%${String(q).trim()}%`);
+      filters.push(`(u.name ILIKE $${params.length} OR u.regno::text ILIKE $${params.length})`);
+    }
+    if (deleted_by) {
+      params.push(deleted_by);
+      filters.push(`u.deleted_by = $${params.length}`);
+    }
+    const where = `WHERE ${filters.join(" AND ")}${branchFilter(req, "u.branch", params)}`;
+
+    const pageInt = Math.max(1, parseInt(page, 10) || 1);
+    const perPage = Math.min(1000, Math.max(1, parseInt(limit, 10) || 100));
+    const offset = (pageInt - 1) * perPage;
+
+    const countRes = await pool.query(
+      `SELECT COUNT(*)::int AS total FROM t1."T1_USERS" u ${where}`,
+      params
+    );
+    const total = countRes.rows[0]?.total || 0;
+
+    const { rows } = await pool.query(
+      `SELECT u.*,
+              EXISTS (
+                SELECT 1 FROM t1."T1_USERS" l WHERE l.regno = u.regno AND l.is_deleted = false
+              ) AS regno_reused
+       FROM t1."T1_USERS" u
+       ${where}
+       ORDER BY u.deleted_at DESC NULLS LAST, u.id DESC
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, perPage, offset]
+    );
+
+    res.json({
+      users: rows.map((r) => ({
+        ...rowToUser(r),
+        regno_reused: r.regno_reused,
+        purge_after: r.deleted_at
+          ? dayjs(r.deleted_at).add(RECYCLE_BIN_RETENTION_DAYS, "day").toDate()
+          : null,
+      })),
+      total,
+      page: pageInt,
+      limit: perPage,
+      totalPages: Math.ceil(total / perPage),
+    });
+  } catch (err) {
+    console.error("GET /api/users/deleted error:", err);
+    res.status(500).json({ message: "Server error fetching deleted users" });
+  }
+});
+
+// ---------- DELETE /api/users/deleted (admin purge) ----------
+// ?older_than_days=N (default RECYCLE_BIN_RETENTION_DAYS), ?dry_run=true to
+// only list what would go. Rows and attachment files are removed for good;
+// the payment ledger keeps its entries (user_id is set to NULL), and so do
+// proposals, which are closed first so the other member's history stays. The audit
+// trail outlives the profile: its entries stay, with snapshots dropped and
+// every value outside PURGE_KEPT_AUDIT_COLUMNS redacted, plus a "purge" entry.
+const PURGE_KEPT_AUDIT_COLUMNS = [
+  "id", "regno", "plan", "amount", "valid_days", "reg_date", "expiry_date", "plan_status",
+  "renewal_date", "renewal_amount", "new_or_renewal", "branch", "assigned_to",
+  "created_at", "created_by", "modified_by", "is_deleted", "deleted_by", "deleted_at",
+];
+
+app.delete("/api/users/deleted", requireRole("admin"), async (req, res) => {
   try {
-    const days = Number(req.query.days || 10);
+    const days =
+      req.query.older_than_days === undefined
+        ? RECYCLE_BIN_RETENTION_DAYS
+        : Number(req.query.older_than_days);
+    if (!Number.isInteger(days) || days < 0) {
+      return res.status(400).json({ message: "older_than_days must be a whole number of days" });
+    }
+    const dryRun = req.query.dry_run === "true";
+    const cutoff = dayjs().subtract(days, "day").toDate();
+
+    let files = [];
+    const params = [cutoff];
+    const scoped = branchFilter(req, "branch", params);
+    const purged = await withTransaction(async (client) => {
+      const { rows } = await client.query(
+        `SELECT id, regno, name, deleted_at
+         FROM t1."T1_USERS"
+         WHERE is_deleted = true AND deleted_at <= $1${scoped}
+         ORDER BY deleted_at ASC
+         FOR UPDATE`,
+        params
+      );
+      if (dryRun || !rows.length) return rows;
 
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    const limitDate = new Date(today);
-    limitDate.setDate(today.getDate() + days);
+      const ids = rows.map((r) => r.id);
+      const filesRes = await client.query(
+        `DELETE FROM t1."T1_ATTACHMENTS" WHERE user_id = ANY($1::int[]) RETURNING storage_key, thumb_key`,
+        [ids]
+      );
+      files = filesRes.rows.flatMap((f) => [f.storage_key, f.thumb_key]);
+      await client.query(
+        `UPDATE t1."T1_USER_AUDIT"
+         SET snapshot = NULL,
+             changes = COALESCE(
+               (SELECT jsonb_object_agg(
+                         key,
+                         CASE WHEN key = ANY($2::text[]) THEN value
+                              ELSE jsonb_build_object('old', 'redacted', 'new', 'redacted') END
+                       )
+                FROM jsonb_each(changes)),
+               '{}'::jsonb
+             )
+         WHERE user_id = ANY($1::int[])`,
+        [ids, PURGE_KEPT_AUDIT_COLUMNS]
+      );
+      const closed = await client.query(
+        `UPDATE t1."T1_PROPOSALS" p
+         SET status = 'closed', closed_at = now(), updated_at = now()
+         FROM (
+           SELECT id, status FROM t1."T1_PROPOSALS"
+           WHERE status <> 'closed' AND (from_user_id = ANY($1::int[]) OR to_user_id = ANY($1::int[]))
+         ) o
+         WHERE p.id = o.id
+         RETURNING p.id, o.status AS previous_status`,
+        [ids]
+      );
+      for (const row of closed.rows) {
+        await recordProposalEvent(client, row.id, row.previous_status, "closed", actorOf(req), "member profile purged");
+      }
+      await client.query(`DELETE FROM t1."T1_USERS" WHERE id = ANY($1::int[])`, [ids]);
+      await client.query(
+        `INSERT INTO t1."T1_USER_AUDIT" (user_id, regno, action, actor, note)
+         SELECT x.id, x.regno, 'purge', $3, $4
+         FROM unnest($1::int[], $2::int[]) AS x (id, regno)`,
+        [ids, rows.map((r) => r.regno), actorOf(req), `purged after ${days} day(s) in the recycle bin`]
+      );
+      return rows;
+    });
+    await removeAttachmentFiles(files);
+
+    res.json({
+      message: dryRun
+        ? `${purged.length} profile(s) would be purged`
+        : `${purged.length} profile(s) permanently purged`,
+      dry_run: dryRun,
+      older_than_days: days,
+      cutoff,
+      profiles: purged.map((r) => ({ regno: r.regno, name: r.name, deleted_at: r.deleted_at })),
+    });
+  } catch (err) {
+    console.error("DELETE /api/users/deleted error:", err);
+    res.status(500).json({ message: "Server error while purging deleted users" });
+  }
+});
 
-    // fetch users with expiry_date not null and not deleted
-    const sql = `SELECT * FROM t1."T1_USERS" WHERE is_deleted = false AND expiry_date IS NOT NULL`;
-    const { rows } = await pool.query(sql);
+// ---------- POST /api/users/:regno/restore ----------
+// body: { id?, new_regno? }. Restores the most recently deleted profile with
+// this regno (or the one with `id`). If the regno has been given to another
+// live profile since, the restore needs a free new_regno.
+app.post("/api/users/:regno/restore", requireRole("manager"), async (req, res) => {
+  try {
+    const regno = parseInt(req.params.regno, 10);
+    if (isNaN(regno)) return res.status(400).json({ message: "Invalid regno" });
+
+    const body = req.body || {};
+    const id = body.id === undefined ? null : parseInt(body.id, 10);
+    const newRegno = body.new_regno === undefined ? null : parseInt(body.new_regno, 10);
+    if (Number.isNaN(id)) return res.status(400).json({ message: "Invalid id" });
+    if (Number.isNaN(newRegno)) return res.status(400).json({ message: "Invalid new_regno" });
 
-    const dueUsers = rows
-      .map((u) => {
-        const expiry = u.expiry_date ? new Date(u.expiry_date) : null;
-        if (!expiry) return null;
-        expiry.setHours(0, 0, 0, 0);
-        const diffDays = Math.ceil((expiry - today) / (1000 * 60 * 60 * 24));
+    const params = [regno, id];
+    const scoped = branchFilter(req, "branch", params);
+    const result = await withTransaction(async (client) => {
+      const curRes = await client.query(
+        `SELECT * FROM t1."T1_USERS"
+         WHERE regno = $1 AND is_deleted = true AND ($2::int IS NULL OR id = $2)${scoped}
+         ORDER BY deleted_at DESC NULLS LAST, id DESC
+         LIMIT 1
+         FOR UPDATE`,
+        params
+      );
+      const current = curRes.rows[0];
+      if (!current) return { status: 404, message: "No deleted profile with this regno" };
+      if (current.merged_into) {
+        const survivorRes = await client.query(`SELECT regno FROM t1."T1_USERS" WHERE id = $1`, [current.merged_into]);
         return {
-          ...rowToUser(u),
-          expiry_date: expiry,
-          daysLeft: diffDays >= 0 ? diffDays : 0,
-          plan_status: diffDays >= 0 ? "active" : "expired",
+          status: 409,
+          message: `This profile was merged into regno ${survivorRes.rows[0]?.regno ?? current.merged_into} and cannot be restored`,
         };
-      })
-      .filter((u) => u && u.expiry_date >= today && u.expiry_date <= limitDate);
+      }
+
+      const targetRegno = newRegno ?? regno;
+      const takenRes = await client.query(
+        `SELECT 1 FROM t1."T1_USERS" WHERE regno = $1 AND is_deleted = false LIMIT 1`,
+        [targetRegno]
+      );
+      if (takenRes.rowCount) {
+        return {
+          status: 409,
+          message:
+            newRegno === null
+              ? `Regno ${regno} is now used by another profile; pass new_regno to restore under a different number`
+              : `Regno ${targetRegno} is already in use`,
+        };
+      }
+
+      const { rows } = await client.query(
+        `UPDATE t1."T1_USERS"
+         SET is_deleted = false, deleted_at = NULL, deleted_by = NULL,
+             regno = $1, modified_by = $2, "updated_at" = now()
+         WHERE id = $3
+         RETURNING *`,
+        [targetRegno, actorOf(req), current.id]
+      );
+      const note = targetRegno !== regno ? `restored under new regno ${targetRegno} (was ${regno})` : null;
+      if (targetRegno !== regno) await syncProposalRegnos(client, current.id, targetRegno);
+      await recordAudit(client, "restore", current, rows[0], actorOf(req), note);
+      return { user: rowToUser(rows[0]), message: "User restored" };
+    });
+
+    if (result.status) return res.status(result.status).json({ message: result.message });
+    res.json(result);
+  } catch (err) {
+    if (err.code === "23505") {
+      return res.status(409).json({ message: "That regno is already in use" });
+    }
+    console.error("POST /api/users/:regno/restore error:", err);
+    res.status(400).json({ message: "Bad request during restore" });
+  }
+});
+
+// ============ DUPLICATES & MERGE ============
+// Likely duplicates among live profiles, from three signals: a shared phone
+// number (last 10 digits of contact1/2/3), the same email, or the same name
+// (by transliteration key) with the same dob / yob and no conflicting
+// father_name. Signal weights combine as 1 - (1 - w1)(1 - w2)...
+
+const DUPLICATE_WEIGHTS = { phone: 0.7, email: 0.7, name_birth_father: 0.8, name_birth: 0.5 };
+
+// A phone, email or name-and-birth-year shared by more live profiles than this
+// (an agent's number, a family address) stops counting as a signal; it would
+// otherwise pair everyone in the group with everyone else
+const DUPLICATE_GROUP_CAP = 10;
+
+// a_id < b_id pairs with their reasons and score. With `focus` (a SQL param
+// holding a regno) only that member's own candidates are looked up, through
+// the dup_* key indexes.
+function duplicatePairsSql(focus = null) {
+  // the focus member's own keys, so crowding is only counted for those
+  const only = (sql) => (focus ? `AND ${sql}` : "");
+  const birthYear = (t) => `COALESCE(EXTRACT(YEAR FROM ${t}.dob)::int, ${t}.yob)`;
+  return `
+  WITH focus AS (
+    SELECT id, dob, yob, dup_name_key, dup_father_key, dup_email, dup_phones
+    FROM t1."T1_USERS"
+    WHERE is_deleted = false ${only(`regno = ${focus}`)}
+  ),
+  crowded_phones AS (
+    SELECT phone FROM t1."T1_USERS" u, unnest(u.dup_phones) AS phone
+    WHERE u.is_deleted = false ${only("u.dup_phones && ARRAY(SELECT unnest(dup_phones) FROM focus)")}
+    GROUP BY phone HAVING COUNT(*) > ${DUPLICATE_GROUP_CAP}
+  ),
+  crowded_emails AS (
+    SELECT dup_email AS email FROM t1."T1_USERS" u
+    WHERE u.is_deleted = false AND u.dup_email IS NOT NULL ${only("u.dup_email IN (SELECT dup_email FROM focus)")}
+    GROUP BY dup_email HAVING COUNT(*) > ${DUPLICATE_GROUP_CAP}
+  ),
+  crowded_names AS (
+    SELECT dup_name_key AS name_key, ${birthYear("u")} AS birth_year FROM t1."T1_USERS" u
+    WHERE u.is_deleted = false AND u.dup_name_key IS NOT NULL
+      ${only("u.dup_name_key IN (SELECT dup_name_key FROM focus)")}
+    GROUP BY 1, 2 HAVING COUNT(*) > ${DUPLICATE_GROUP_CAP}
+  ),
+  signals AS (
+    SELECT LEAST(a.id, b.id) AS a_id, GREATEST(a.id, b.id) AS b_id,
+           'phone' AS reason, ${DUPLICATE_WEIGHTS.phone}::float8 AS weight
+    FROM focus a
+    JOIN t1."T1_USERS" b ON b.is_deleted = false AND b.dup_phones && a.dup_phones
+    WHERE ${focus ? "b.id <> a.id" : "b.id > a.id"}
+      AND EXISTS (
+        SELECT 1 FROM unnest(a.dup_phones) AS phone
+        WHERE phone = ANY(b.dup_phones) AND phone NOT IN (SELECT phone FROM crowded_phones)
+      )
+    UNION
+    SELECT LEAST(a.id, b.id), GREATEST(a.id, b.id), 'email', ${DUPLICATE_WEIGHTS.email}
+    FROM focus a
+    JOIN t1."T1_USERS" b ON b.is_deleted = false AND b.dup_email = a.dup_email
+    WHERE ${focus ? "b.id <> a.id" : "b.id > a.id"}
+      AND a.dup_email NOT IN (SELECT email FROM crowded_emails)
+    UNION
+    SELECT LEAST(a.id, b.id), GREATEST(a.id, b.id),
+           CASE WHEN a.dup_father_key = b.dup_father_key THEN 'name_birth_father' ELSE 'name_birth' END,
+           CASE WHEN a.dup_father_key = b.dup_father_key
+                THEN ${DUPLICATE_WEIGHTS.name_birth_father} ELSE ${DUPLICATE_WEIGHTS.name_birth} END
+    FROM focus a
+    JOIN t1."T1_USERS" b ON b.is_deleted = false AND b.dup_name_key = a.dup_name_key
+    WHERE ${focus ? "b.id <> a.id" : "b.id > a.id"}
+      AND (a.dob = b.dob OR ((a.dob IS NULL OR b.dob IS NULL) AND a.yob = b.yob))
+      AND (a.dup_father_key IS NULL OR b.dup_father_key IS NULL OR a.dup_father_key = b.dup_father_key)
+      AND NOT EXISTS (
+        SELECT 1 FROM crowded_names c
+        WHERE c.name_key = a.dup_name_key AND c.birth_year IS NOT DISTINCT FROM ${birthYear("a")}
+      )
+  )
+  SELECT a_id, b_id,
+         array_agg(reason ORDER BY reason) AS reasons,
+         round((1 - exp(sum(ln(1 - weight))))::numeric, 2)::float8 AS score
+  FROM signals
+  GROUP BY a_id, b_id`;
+}
+
+// ---------- GET /api/users/duplicates ----------
+// ?regno= (pairs involving one member), ?min_score= (default 0.5), paged;
+// best matches first. Each pair: { score, reasons, users: [older, newer] }
+app.get("/api/users/duplicates", async (req, res) => {
+  try {
+    const { page = 1, limit = 100, regno } = req.query;
+    const minScore = req.query.min_score === undefined ? 0.5 : Number(req.query.min_score);
+    if (isNaN(minScore)) return res.status(400).json({ message: "min_score must be a number" });
+
+    const params = [minScore];
+    const filters = ["p.score >= $1"];
+    let focus = null;
+    if (regno !== undefined) {
+      const r = parseInt(regno, 10);
+      if (isNaN(r)) return res.status(400).json({ message: "Invalid regno" });
+      params.push(r);
+      focus = `$${params.length}`;
+    }
+    // branch staff see pairs within their branch; head office also across
+    const scope = branchScopeOf(req);
+    if (scope !== null) {
+      params.push(scope);
+      filters.push(`a.branch = $${params.length} AND b.branch = $${params.length}`);
+    }
+
+    const pageInt = Math.max(1, parseInt(page, 10) || 1);
+    const perPage = Math.min(1000, Math.max(1, parseInt(limit, 10) || 100));
+    const offset = (pageInt - 1) * perPage;
+
+    const { rows } = await pool.query(
+      `WITH pairs AS (${duplicatePairsSql(focus)})
+       SELECT p.score, p.reasons, to_jsonb(a) AS a, to_jsonb(b) AS b, COUNT(*) OVER ()::int AS total
+       FROM pairs p
+       JOIN t1."T1_USERS" a ON a.id = p.a_id
+       JOIN t1."T1_USERS" b ON b.id = p.b_id
+       WHERE ${filters.join(" AND ")}
+       ORDER BY p.score DESC, a.regno, b.regno
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, perPage, offset]
+    );
+
+    const total = rows[0]?.total || 0;
+    res.json({
+      pairs: rows.map((r) => ({ score: r.score, reasons: r.reasons, users: [rowToUser(r.a), rowToUser(r.b)] })),
+      total,
+      page: pageInt,
+      limit: perPage,
+      totalPages: Math.ceil(total / perPage),
+    });
+  } catch (err) {
+    console.error("GET /api/users/duplicates error:", err);
+    res.status(500).json({ message: "Error finding duplicates" });
+  }
+});
+
+// plan / payment fields move together, from whichever profile runs longer
+const MERGE_PLAN_FIELDS = [
+  "plan",
+  "amount",
+  "payment_mode",
+  "transaction_id",
+  "valid_days",
+  "expiry_date",
+  "new_or_renewal",
+  "renewal_date",
+  "renewal_amount",
+];
+const CONTACT_FIELDS = ["contact1", "contact2", "contact3"];
+
+const isBlank = (v) => v === null || v === undefined || v === "" || (Array.isArray(v) && !v.length);
+
+// Column updates that fold `duplicate` into `survivor`: blanks are filled,
+// contacts are pooled, the later expiry wins and reg_date is the earlier one.
+function mergeProfiles(survivor, duplicate) {
+  const updates = {};
+  for (const [key, def] of Object.entries(USER_FIELDS)) {
+    if (def.source !== "client" || key === "regno") continue;
+    if (MERGE_PLAN_FIELDS.includes(key) || CONTACT_FIELDS.includes(key)) continue;
+    if (isBlank(survivor[key]) && !isBlank(duplicate[key])) updates[key] = duplicate[key];
+  }
+
+  if (duplicate.expiry_date && (!survivor.expiry_date || duplicate.expiry_date > survivor.expiry_date)) {
+    for (const key of MERGE_PLAN_FIELDS) updates[key] = duplicate[key];
+    updates.plan_status = getplan_status(duplicate.expiry_date);
+  }
+  if (duplicate.reg_date && survivor.reg_date && duplicate.reg_date < survivor.reg_date) {
+    updates.reg_date = duplicate.reg_date;
+  }
+
+  // same number written differently counts once; what doesn't fit goes to remarks
+  const digits = (v) => String(v || "").replace(/\D/g, "").slice(-10);
+  const contacts = [];
+  for (const value of [...CONTACT_FIELDS.map((k) => survivor[k]), ...CONTACT_FIELDS.map((k) => duplicate[k])]) {
+    if (!isBlank(value) && !contacts.some((c) => digits(c) === digits(value))) contacts.push(value);
+  }
+  CONTACT_FIELDS.forEach((key, i) => {
+    if ((contacts[i] ?? null) !== (survivor[key] ?? null)) updates[key] = contacts[i] ?? null;
+  });
+
+  const notes = [`Merged duplicate regno ${duplicate.regno}`];
+  if (contacts.length > CONTACT_FIELDS.length) {
+    notes.push(`other contacts: ${contacts.slice(CONTACT_FIELDS.length).join(", ")}`);
+  }
+  if (!isBlank(duplicate.remarks) && !isBlank(survivor.remarks) && duplicate.remarks !== survivor.remarks) {
+    notes.push(`its remarks: ${duplicate.remarks}`);
+  }
+  const remarks = updates.remarks ?? survivor.remarks;
+  updates.remarks = [remarks, notes.join("; ")].filter((v) => !isBlank(v)).join("\n");
+
+  for (const [key, def] of Object.entries(USER_FIELDS)) {
+    if (def.derive && updates[def.from] !== undefined) updates[key] = def.derive(updates[def.from]);
+  }
+  return updates;
+}
+
+// ---------- POST /api/users/:regno/merge ----------
+// body: { duplicate_regno }. Keeps :regno, folds the duplicate into it (see
+// mergeProfiles), moves its payments, preferences, proposals and attachments
+// over, and sends the duplicate to the recycle bin with merged_into pointing
+// at the survivor.
+app.post("/api/users/:regno/merge", requireRole("manager"), async (req, res) => {
+  try {
+    const regno = parseInt(req.params.regno, 10);
+    const duplicateRegno = parseInt(req.body?.duplicate_regno, 10);
+    if (isNaN(regno)) return res.status(400).json({ message: "Invalid regno" });
+    if (isNaN(duplicateRegno)) return res.status(400).json({ message: "duplicate_regno is required" });
+    if (regno === duplicateRegno) return res.status(400).json({ message: "Cannot merge a profile into itself" });
+
+    const actor = actorOf(req);
+    const scope = branchScopeOf(req);
+    const result = await withTransaction(async (client) => {
+      const { rows } = await client.query(
+        `SELECT * FROM t1."T1_USERS"
+         WHERE regno = ANY($1::int[]) AND is_deleted = false
+         ORDER BY id
+         FOR UPDATE`,
+        [[regno, duplicateRegno]]
+      );
+      const survivor = rows.find((r) => r.regno === regno);
+      const duplicate = rows.find((r) => r.regno === duplicateRegno);
+      if (!survivor || (scope !== null && survivor.branch !== scope)) {
+        return { status: 404, message: `User ${regno} not found` };
+      }
+      if (!duplicate || (scope !== null && duplicate.branch !== scope)) {
+        return { status: 404, message: `User ${duplicateRegno} not found` };
+      }
+
+      const updates = mergeProfiles(survivor, duplicate);
+      const keys = Object.keys(updates);
+      const survivorRes = await client.query(
+        `UPDATE t1."T1_USERS"
+         SET ${keys.map((k, i) => `"${k}" = $${i + 1}`).join(", ")},
+             modified_by = $${keys.length + 1}, "updated_at" = now()
+         WHERE id = $${keys.length + 2}
+         RETURNING *`,
+        [...keys.map((k) => updates[k]), actor, survivor.id]
+      );
+
+      const paymentsRes = await client.query(
+        `UPDATE t1."T1_PAYMENTS" SET user_id = $1 WHERE user_id = $2`,
+        [survivor.id, duplicate.id]
+      );
+      // invoices keep the regno and name they were billed to
+      await client.query(`UPDATE t1."T1_INVOICES" SET user_id = $1 WHERE user_id = $2`, [survivor.id, duplicate.id]);
+      await client.query(
+        `UPDATE t1."T1_PREFERENCES" SET user_id = $1
+         WHERE user_id = $2
+           AND NOT EXISTS (SELECT 1 FROM t1."T1_PREFERENCES" WHERE user_id = $1)`,
+        [survivor.id, duplicate.id]
+      );
+      await client.query(`UPDATE t1."T1_PROPOSALS" SET from_user_id = $1 WHERE from_user_id = $2`, [survivor.id, duplicate.id]);
+      await client.query(`UPDATE t1."T1_PROPOSALS" SET to_user_id = $1 WHERE to_user_id = $2`, [survivor.id, duplicate.id]);
+      await syncProposalRegnos(client, survivor.id, survivor.regno);
+      await closeDuplicateProposals(client, survivor.id, actor, `duplicate after merging regno ${duplicate.regno} into ${survivor.regno}`);
+      // flashes count toward the survivor's plan; where both were flashed on
+      // the same day and channel the survivor's entry is kept
+      await client.query(
+        `UPDATE t1."T1_FLASHES" f SET user_id = $1
+         WHERE f.user_id = $2
+           AND NOT EXISTS (
+             SELECT 1 FROM t1."T1_FLASHES" s
+             WHERE s.user_id = $1 AND s.flashed_on = f.flashed_on AND s.channel = f.channel
+           )`,
+        [survivor.id, duplicate.id]
+      );
+      await syncFlashedDate(client, [survivor.id, duplicate.id]);
+      // after the survivor's own; its primary photo stays primary if it has one
+      await client.query(
+        `UPDATE t1."T1_ATTACHMENTS" a
+         SET user_id = $1,
+             sort_order = a.sort_order + s.next_order,
+             is_primary = a.is_primary AND NOT s.has_primary
+         FROM (
+           SELECT COALESCE(MAX(sort_order) + 1, 0) AS next_order, COALESCE(bool_or(is_primary), false) AS has_primary
+           FROM t1."T1_ATTACHMENTS" WHERE user_id = $1
+         ) s
+         WHERE a.user_id = $2`,
+        [survivor.id, duplicate.id]
+      );
+
+      const duplicateRes = await client.query(
+        `UPDATE t1."T1_USERS"
+         SET is_deleted = true, deleted_at = now(), deleted_by = $1, modified_by = $1,
+             merged_into = $2, "updated_at" = now()
+         WHERE id = $3
+         RETURNING *`,
+        [actor, survivor.id, duplicate.id]
+      );
+
+      await recordAudit(client, "merge", survivor, survivorRes.rows[0], actor, `merged regno ${duplicate.regno} into this profile`);
+      await recordAudit(client, "merge", duplicate, duplicateRes.rows[0], actor, `merged into regno ${survivor.regno}`);
+      return {
+        message: `Regno ${duplicate.regno} merged into ${survivor.regno}`,
+        user: rowToUser(survivorRes.rows[0]),
+        merged: rowToUser(duplicateRes.rows[0]),
+        payments_moved: paymentsRes.rowCount,
+      };
+    });
 
-    res.json(dueUsers);
+    if (result.status) return res.status(result.status).json({ message: result.message });
+    res.json(result);
+  } catch (err) {
+    console.error("POST /api/users/:regno/merge error:", err);
+    res.status(500).json({ message: "Error merging profiles" });
+  }
+});
+
+// ---------- GET /api/users/renewals-due ----------
+// Members whose expiry_date falls ?from= .. ?to= days from today (negative =
+// already expired; the old ?days=N means from=0&to=N). Each row gets daysLeft
+// and renewal_status: due (not yet expired), grace (expired within
+// RENEWAL_GRACE_DAYS) or lapsed. ?status= picks one of those, with its own
+// default window. Takes the list filters too (plan, gender, assigned_to, q,
+// ...); assigned_to=me is the caller. ?sort= as on /api/users plus days_left
+// (the default). With ?page= or ?limit= the answer is paged like /api/users,
+// otherwise it is the plain array the renewals screen reads.
+const RENEWAL_GRACE_DAYS = Number(process.env.RENEWAL_GRACE_DAYS || 15);
+const DAYS_LEFT_SQL = `(${localDate("expiry_date")} - ${localDate("now()")})`;
+const RENEWAL_STATUS_SQL = `(CASE
+  WHEN ${DAYS_LEFT_SQL} >= 0 THEN 'due'
+  WHEN ${DAYS_LEFT_SQL} >= -${RENEWAL_GRACE_DAYS} THEN 'grace'
+  ELSE 'lapsed'
+END)`;
+// status -> default [from, to] in days; null = open ended
+const RENEWAL_WINDOWS = {
+  due: [0, 10],
+  grace: [-RENEWAL_GRACE_DAYS, -1],
+  lapsed: [null, -RENEWAL_GRACE_DAYS - 1],
+};
+
+app.get("/api/users/renewals-due", async (req, res) => {
+  try {
+    const { status, sort, page, limit } = req.query;
+    if (status && !Object.hasOwn(RENEWAL_WINDOWS, status)) {
+      return res.status(400).json({ message: `status must be one of ${Object.keys(RENEWAL_WINDOWS).join(", ")}` });
+    }
+
+    const range = [...RENEWAL_WINDOWS[status || "due"]];
+    if (req.query.days !== undefined) range[1] = req.query.days;
+    if (req.query.from !== undefined) range[0] = req.query.from;
+    if (req.query.to !== undefined) range[1] = req.query.to;
+    const [from, to] = range.map((v) => (v === null || v === "" ? null : Number(v)));
+    if (![from, to].every((v) => v === null || Number.isInteger(v))) {
+      return res.status(400).json({ message: "from / to / days must be whole numbers of days" });
+    }
+    if (from !== null && to !== null && from > to) {
+      return res.status(400).json({ message: "from must not be after to" });
+    }
+
+    const query = { ...req.query };
+    if (query.assigned_to === "me") query.assigned_to = actorOf(req);
+    const { filters, params, score, error } = buildUserFilters(query, branchScopeOf(req));
+    if (error) return res.status(400).json({ message: error });
+
+    // day bounds as timestamps so the expiry_date index is used
+    const dayStart = (param) =>
+      `((${localDate("now()")} + ${param}::int)::timestamp AT TIME ZONE '${REPORT_TIMEZONE}')`;
+    filters.push("expiry_date IS NOT NULL");
+    if (from !== null) {
+      params.push(from);
+      filters.push(`expiry_date >= ${dayStart(`$${params.length}`)}`);
+    }
+    if (to !== null) {
+      params.push(to + 1);
+      filters.push(`expiry_date < ${dayStart(`$${params.length}`)}`);
+    }
+    if (status) {
+      params.push(status);
+      filters.push(`${RENEWAL_STATUS_SQL} = $${params.length}`);
+    }
+    const where = `WHERE ${filters.join(" AND ")}`;
+
+    const sorted = parseSort(sort || "days_left", score, { days_left: DAYS_LEFT_SQL });
+    if (sorted.error) return res.status(400).json({ message: sorted.error });
+    const orderBy = sorted.keys.map((k) => `${k.sql} ${k.desc ? "DESC" : "ASC"} NULLS LAST`).join(", ");
+
+    const paged = page !== undefined || limit !== undefined;
+    const pageInt = Math.max(1, parseInt(page, 10) || 1);
+    const perPage = Math.min(1000, Math.max(1, parseInt(limit, 10) || 100));
+
+    const dataParams = [...params];
+    let limitSql = "";
+    if (paged) {
+      dataParams.push(perPage, (pageInt - 1) * perPage);
+      limitSql = `LIMIT $${dataParams.length - 1} OFFSET $${dataParams.length}`;
+    }
+    const { rows } = await pool.query(
+      `SELECT *, ${DAYS_LEFT_SQL} AS days_left, ${RENEWAL_STATUS_SQL} AS renewal_status,
+              ${PLAN_STATUS_SQL} AS current_plan_status
+       FROM t1."T1_USERS"
+       ${where}
+       ORDER BY ${orderBy}
+       ${limitSql}`,
+      dataParams
+    );
+
+    const users = rows.map((u) => ({
+      ...rowToUser(u),
+      daysLeft: u.days_left,
+      plan_status: u.current_plan_status,
+      renewal_status: u.renewal_status,
+    }));
+    if (!paged) return res.json(users);
+
+    const countRes = await pool.query(`SELECT COUNT(*)::int AS total FROM t1."T1_USERS" ${where}`, params);
+    const total = countRes.rows[0]?.total || 0;
+    res.json({
+      users,
+      total,
+      page: pageInt,
+      limit: perPage,
+      totalPages: Math.ceil(total / perPage),
+      from,
+      to,
+      grace_days: RENEWAL_GRACE_DAYS,
+    });
   } catch (err) {
     console.error("Error fetching renewals:", err);
     res.status(500).json({ message: "Error fetching renewal due users" });
@@ -710,175 +2787,159 @@ app.get("/api/users/renewals-due", async (req, res) => {
 });
 
 // ---------- GET /api/users/check-regno/:regno ----------
+// `reservation` is the paper-form block the number was reserved in, if any
 app.get("/api/users/check-regno/:regno", async (req, res) => {
   try {
     const regno = parseInt(req.params.regno, 10);
     if (isNaN(regno)) return res.status(400).json({ message: "Invalid regno" });
     const sql = `SELECT 1 FROM t1."T1_USERS" WHERE regno = $1 LIMIT 1`;
     const { rowCount } = await pool.query(sql, [regno]);
-    res.json({ exists: rowCount > 0 });
+    const reserved = await pool.query(
+      `SELECT * FROM t1."T1_REGNO_RESERVATIONS" WHERE $1 BETWEEN range_start AND range_end LIMIT 1`,
+      [regno]
+    );
+    res.json({ exists: rowCount > 0, reservation: reserved.rows[0] || null });
   } catch (err) {
     console.error("GET /api/users/check-regno error:", err);
     res.status(500).json({ message: "Error checking Reg No" });
   }
 });
 
-// ---------- GET /api/users/:id ----------
+// ---------- GET /api/users/next-regno ----------
+// ?gender= ?series= ?branch=. The regno a create would get now; nothing is
+// taken, so a create in between may still claim it.
+app.get("/api/users/next-regno", async (req, res) => {
+  try {
+    const placed = await branchForNewMember(req, req.query.branch);
+    if (placed.error) return res.status(400).json({ message: placed.error });
+    const picked = await pickRegnoSeries(pool, {
+      series: req.query.series,
+      gender: req.query.gender,
+      branch: placed.branch,
+    });
+    if (picked.error) return res.status(404).json({ message: picked.error });
+    const regno = await firstFreeRegno(pool, picked.series);
+    if (regno === null) return res.status(409).json({ message: `regno series "${picked.series.code}" is used up` });
+    res.json({ series: picked.series.code, branch: placed.branch, regno });
+  } catch (err) {
+    console.error("GET /api/users/next-regno error:", err);
+    res.status(500).json({ message: "Error previewing regno" });
+  }
+});
+
+// ---------- GET /api/users/:regno ----------
+// the profile, with its attachments and primary photo
 app.get("/api/users/:regno", async (req, res) => {
   try {
-    const id = parseInt(req.params.id, 10);
-    if (isNaN(id)) return res.status(400).json({ message: "Invalid ID" });
-    const sql = `SELECT * FROM t1."T1_USERS" WHERE id = $1 LIMIT 1`;
-    const { rows } = await pool.query(sql, [id]);
+    const regno = parseInt(req.params.regno, 10);
+    if (isNaN(regno)) return res.status(400).json({ message: "Invalid regno" });
+    const sql = `
+      SELECT *, ${PLAN_STATUS_SQL} AS current_plan_status
+      FROM t1."T1_USERS"
+      WHERE regno = $1 AND is_deleted = false AND ($2::text IS NULL OR branch = $2)
+      LIMIT 1
+    `;
+    const { rows } = await pool.query(sql, [regno, branchScopeOf(req)]);
     const doc = rows[0];
-    if (!doc || doc.is_deleted) return res.status(404).json({ message: "User not found" });
-
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    const isActive = doc.expiry_date && new Date(doc.expiry_date) >= today;
+    if (!doc) return res.status(404).json({ message: "User not found" });
 
     const mapped = rowToUser(doc);
-    mapped.plan_status = isActive ? "active" : "expired";
+    mapped.plan_status = doc.current_plan_status;
+    mapped.attachments = await listAttachments(doc.id, doc.regno);
+    mapped.photo = mapped.attachments.find((a) => a.is_primary) || null;
     res.json(mapped);
   } catch (err) {
-    console.error("GET /api/users/:id error:", err);
-    res.status(400).json({ message: "Bad request or invalid ID" });
+    console.error("GET /api/users/:regno error:", err);
+    res.status(500).json({ message: "Error fetching user" });
   }
 });
 
 // ---------- PUT /api/users/:id (update) ----------
+// plan / payment fields need a manager; reg_date too, since expiry_date and
+// amount are recomputed from it
+const MANAGER_ONLY_FIELDS = [
+  "plan",
+  "amount",
+  "valid_days",
+  "expiry_date",
+  "renewal_amount",
+  "reg_date",
+];
+
 app.put("/api/users/:regno", async (req, res) => {
   try {
     const regno = parseInt(req.params.regno, 10);
     if (isNaN(regno)) return res.status(400).json({ message: "Invalid regno" });
-
-    const updates = { ...req.body };
-
-    if (updates.reg_date) updates.reg_date = parseAnyDate(updates.reg_date);
-    if (updates.dob) updates.dob = parseAnyDate(updates.dob);
+    if (!Object.keys(req.body || {}).length) {
+      return res.status(400).json({ message: "No fields provided" });
+    }
 
     // fetch current row by regno
     const curRes = await pool.query(
-      `SELECT * FROM t1."T1_USERS" WHERE regno = $1 LIMIT 1`,
-      [regno]
+      `SELECT * FROM t1."T1_USERS" WHERE regno = $1 AND is_deleted = false
+       AND ($2::text IS NULL OR branch = $2) LIMIT 1`,
+      [regno, branchScopeOf(req)]
     );
 
     const currentDoc = curRes.rows[0];
-    if (!currentDoc || currentDoc.is_deleted)
-      return res.status(404).json({ message: "User not found for update" });
+    if (!currentDoc) return res.status(404).json({ message: "User not found for update" });
+
+    // only fields that actually change come back, so a resubmitted form is fine
+    const { values: updates, errors } = await validateUserInput(req.body, { current: currentDoc });
+    if (Object.keys(errors).length) return res.status(422).json(validationFailed(errors));
+    if (!Object.keys(updates).length) return res.json(rowToUser(currentDoc));
+
+    const restricted = MANAGER_ONLY_FIELDS.filter((f) => updates[f] !== undefined);
+    if (restricted.length && !hasRole(req.staff, "manager")) {
+      return res.status(403).json({ message: `Only managers may change: ${restricted.join(", ")}` });
+    }
 
     // plan recalculation
     if (updates.plan || updates.reg_date) {
       const reg_date = updates.reg_date || currentDoc.reg_date;
       const plan = (updates.plan || currentDoc.plan || "entry").toLowerCase();
-      const { expiry_date, amount, valid_days } = calculateexpiry_date(reg_date, plan);
+      const pricing = await calculateexpiry_date(reg_date, plan);
+      if (!pricing) {
+        return res.status(422).json(validationFailed({ plan: `plan "${plan}" is retired or not yet effective` }));
+      }
+      const { expiry_date, amount, valid_days } = pricing;
 
+      updates.plan = plan;
       updates.expiry_date = expiry_date;
       updates.amount = amount;
       updates.valid_days = valid_days;
       updates.plan_status = getplan_status(expiry_date).toLowerCase();
     }
+    updates.modified_by = actorOf(req);
 
     // build SQL SET clause
     const setParts = [];
     const values = [];
-    let idx = 1;
-
-    const mapping = {
-      regno: "regno",
-      name: "name",
-      gender: "gender",
-      caste: "caste",
-      caste_category: "caste_category",
-      gothram: "gothram",
-      food_habits: "food_habits",
-      reg_date: "reg_date",
-      plan: "plan",
-      amount: "amount",
-      payment_mode: "payment_mode",
-      transaction_id: "transaction_id",
-      valid_days: "valid_days",
-      expiry_date: "expiry_date",
-      plan_status: "plan_status",
-      new_or_renewal: "new_or_renewal",
-      marital_status: "marital_status",
-      dob: "dob",
-      yob: "yob",
-      age: "age",
-      time_of_birth: "time_of_birth",
-      place_of_birth: "place_of_birth",
-      height: "height",
-      weight: "weight",
-      star: "star",
-      paadham: "paadham",
-      rasi: "rasi",
-      lagnam: "lagnam",
-      dosham: "dosham",
-      education: "education",
-      ug_degree: "ug_degree",
-      ug_specialization: "ug_specialization",
-      pg_degree: "pg_degree",
-      pg_specialization: "pg_specialization",
-      occupation: "occupation",
-      annual_income: "annual_income",
-      father_name: "father_name",
-      father_occupation: "father_occupation",
-      mother_name: "mother_name",
-      mother_occupation: "mother_occupation",
-      sibling_details: "sibling_details",
-      native_place: "native_place",
-      current_residence: "current_residence",
-      address: "address",
-      city: "city",
-      pincode: "pincode",
-      state: "state",
-      country: "country",
-      ownHouse: "ownHouse",
-      property_details: "property_details",
-      expectations: "expectations",
-      remarks: "remarks",
-      flashed_date: "flashed_date",
-      renewal_date: "renewal_date",
-      renewal_amount: "renewal_amount",
-      contact1: "contact1",
-      contact2: "contact2",
-      contact3: "contact3",
-      email: "email",
-      created_by: "created_by",
-      modified_by: "modified_by",
-      deleted_by: "deleted_by",
-      is_deleted: "is_deleted"
-    };
-
-    // generate dynamic SET parts
-    for (const [key, col] of Object.entries(mapping)) {
+    for (const key of WRITABLE_USER_FIELDS) {
       if (updates[key] !== undefined) {
-        setParts.push(`"${col}" = $${idx}`);
         values.push(updates[key]);
-        idx++;
+        setParts.push(`"${key}" = $${values.length}`);
       }
     }
-
-    if (setParts.length === 0)
-      return res.status(400).json({ message: "No valid fields provided for update" });
-
-    setParts.push(`"updated_at" = now()`);
+    setParts.push(`"updated_at" = now()`);
+    values.push(currentDoc.id);
 
     const sql = `
       UPDATE t1."T1_USERS"
       SET ${setParts.join(", ")}
-      WHERE regno = $${idx} AND is_deleted = false
+      WHERE id = $${values.length} AND is_deleted = false
       RETURNING *
     `;
-    values.push(regno);
 
-    const { rows } = await pool.query(sql, values);
-    const updated = rows[0];
+    const updated = await withTransaction(async (client) => {
+      const { rows } = await client.query(sql, values);
+      if (rows[0] && updates.regno !== undefined) await syncProposalRegnos(client, currentDoc.id, rows[0].regno);
+      if (rows[0]) await recordAudit(client, "update", currentDoc, rows[0], updates.modified_by);
+      return rows[0];
+    });
 
     if (!updated) return res.status(404).json({ message: "User not found for update" });
 
-    await updateplan_statusInDB(updated);
-
     res.json(rowToUser(updated));
   } catch (err) {
     if (err.code === "23505") {
@@ -889,19 +2950,151 @@ app.put("/api/users/:regno", async (req, res) => {
   }
 });
 
-app.patch("/api/users/:regno/delete", async (req, res) => {
+// ---------- POST /api/users/:regno/renew ----------
+// Extends validity from the current expiry_date (or today if already expired)
+// and appends the payment to the ledger instead of overwriting history.
+app.post("/api/users/:regno/renew", async (req, res) => {
   try {
     const regno = parseInt(req.params.regno, 10);
     if (isNaN(regno)) return res.status(400).json({ message: "Invalid regno" });
 
-    const sql = `
-      UPDATE t1."T1_USERS"
-      SET is_deleted = true, "updated_at" = now(), deleted_by = $1
-      WHERE regno = $2
-      RETURNING *
-    `;
-    const { rows } = await pool.query(sql, [req.body.deleted_by, regno]);
-    const doc = rows[0];
+    const body = req.body || {};
+    const paid_at = body.renewal_date ? tryParseDate(body.renewal_date) : new Date();
+    if (!paid_at) return res.status(400).json({ message: "renewal_date must be a date" });
+
+    const result = await withTransaction(async (client) => {
+      const curRes = await client.query(
+        `SELECT * FROM t1."T1_USERS" WHERE regno = $1 AND is_deleted = false
+         AND ($2::text IS NULL OR branch = $2) LIMIT 1 FOR UPDATE`,
+        [regno, branchScopeOf(req)]
+      );
+      const current = curRes.rows[0];
+      if (!current) return null;
+
+      // calendar days in REPORT_TIMEZONE, like getplan_status
+      const today = reportDay(new Date());
+      const currentExpiry = current.expiry_date ? new Date(current.expiry_date) : null;
+      const period_start =
+        currentExpiry && reportDay(currentExpiry) >= today ? currentExpiry : new Date(today);
+
+      const plan = (body.plan || current.plan || "entry").toLowerCase();
+      if (plan !== String(current.plan || "entry").toLowerCase() && !hasRole(req.staff, "manager")) {
+        return { status: 403, message: "Only managers may change the plan" };
+      }
+      // validity runs on from period_start, but the price is today's
+      const pricing = await calculateexpiry_date(period_start, plan, {
+        priceDate: paid_at,
+        db: client,
+      });
+      if (!pricing) return { error: `Unknown or retired plan: ${plan}` };
+      const { expiry_date, amount, valid_days } = pricing;
+
+      const sql = `
+        UPDATE t1."T1_USERS"
+        SET plan = $1, amount = $2, valid_days = $3, expiry_date = $4,
+            plan_status = $5, payment_mode = $6, transaction_id = $7,
+            renewal_date = $8, renewal_amount = $2, new_or_renewal = 'Renewal',
+            modified_by = $9, "updated_at" = now()
+        WHERE id = $10
+        RETURNING *
+      `;
+      const { rows } = await client.query(sql, [
+        plan,
+        amount,
+        valid_days,
+        expiry_date,
+        getplan_status(expiry_date).toLowerCase(),
+        body.payment_mode ?? null,
+        body.transaction_id ?? null,
+        paid_at,
+        actorOf(req),
+        current.id,
+      ]);
+      const updated = rows[0];
+      await recordAudit(client, "renew", current, updated, actorOf(req));
+
+      const payment = await recordPayment(client, updated, {
+        kind: "renewal",
+        period_start,
+        paid_at,
+        gst_rate: pricing.gst_rate,
+        gst_amount: pricing.gst_amount,
+        remarks: body.remarks,
+        created_by: actorOf(req),
+      });
+
+      return { user: rowToUser(updated), payment };
+    });
+
+    if (!result) return res.status(404).json({ message: "User not found for renewal" });
+    if (result.status) return res.status(result.status).json({ message: result.message });
+    if (result.error) return res.status(400).json({ message: result.error });
+    res.status(201).json(result);
+  } catch (err) {
+    console.error("POST /api/users/:regno/renew error:", err);
+    res.status(400).json({ message: "Bad request during renewal" });
+  }
+});
+
+// ---------- GET /api/users/:regno/payments ----------
+app.get("/api/users/:regno/payments", async (req, res) => {
+  try {
+    const regno = parseInt(req.params.regno, 10);
+    if (isNaN(regno)) return res.status(400).json({ message: "Invalid regno" });
+
+    const userRes = await pool.query(
+      `SELECT id FROM t1."T1_USERS" WHERE regno = $1 AND is_deleted = false
+       AND ($2::text IS NULL OR branch = $2) LIMIT 1`,
+      [regno, branchScopeOf(req)]
+    );
+    const user = userRes.rows[0];
+    if (!user) return res.status(404).json({ message: "User not found" });
+
+    const { rows } = await pool.query(
+      `SELECT p.*, i.number AS invoice_number
+       FROM t1."T1_PAYMENTS" p
+       LEFT JOIN t1."T1_INVOICES" i
+         ON i.payment_id = p.id AND i.kind = 'invoice' AND i.status = 'issued'
+       WHERE p.user_id = $1
+       ORDER BY p.paid_at DESC, p.id DESC`,
+      [user.id]
+    );
+
+    res.json({
+      regno,
+      payments: rows,
+      total_paid: rows.reduce((sum, p) => sum + Number(p.amount || 0), 0),
+    });
+  } catch (err) {
+    console.error("GET /api/users/:regno/payments error:", err);
+    res.status(500).json({ message: "Error fetching payment history" });
+  }
+});
+
+app.patch("/api/users/:regno/delete", requireRole("manager"), async (req, res) => {
+  try {
+    const regno = parseInt(req.params.regno, 10);
+    if (isNaN(regno)) return res.status(400).json({ message: "Invalid regno" });
+
+    const doc = await withTransaction(async (client) => {
+      const curRes = await client.query(
+        `SELECT * FROM t1."T1_USERS" WHERE regno = $1 AND is_deleted = false
+         AND ($2::text IS NULL OR branch = $2) FOR UPDATE`,
+        [regno, branchScopeOf(req)]
+      );
+      const current = curRes.rows[0];
+      if (!current) return null;
+
+      const sql = `
+        UPDATE t1."T1_USERS"
+        SET is_deleted = true, deleted_at = now(), "updated_at" = now(), deleted_by = $1
+        WHERE id = $2
+        RETURNING *
+      `;
+      const { rows } = await client.query(sql, [actorOf(req), current.id]);
+      await recordAudit(client, "delete", current, rows[0], actorOf(req));
+      return rows[0];
+    });
 
     if (!doc) return res.status(404).json({ message: "User not found" });
 
@@ -912,6 +3105,4701 @@ app.patch("/api/users/:regno/delete", async (req, res) => {
   }
 });
 
+// ============ PLANS ============
+
+const PLAN_COLUMNS = [
+  "code",
+  "name",
+  "amount",
+  "valid_days",
+  "gst_rate",
+  "effective_from",
+  "is_active",
+  "promo_amount",
+  "promo_from",
+  "promo_to",
+  "flashes",
+];
+
+// validate / normalize a plan payload; returns { values } or { error }
+function readPlanBody(body, { partial = false } = {}) {
+  const values = {};
+  for (const col of PLAN_COLUMNS) {
+    if (body[col] !== undefined) values[col] = body[col];
+  }
+
+  if (values.code !== undefined) {
+    values.code = String(values.code || "").trim().toLowerCase();
+    if (!values.code) return { error: "code is required" };
+  }
+  for (const col of ["amount", "promo_amount", "gst_rate"]) {
+    if (values[col] === undefined || values[col] === null) continue;
+    const num = Number(values[col]);
+    if (isNaN(num) || num < 0) return { error: `${col} must be a non-negative number` };
+    values[col] = num;
+  }
+  if (values.gst_rate > 100) return { error: "gst_rate must be a percentage" };
+  if (values.flashes !== undefined) {
+    const flashes = Number(values.flashes);
+    if (!Number.isInteger(flashes) || flashes < 0) return { error: "flashes must be a whole number" };
+    values.flashes = flashes;
+  }
+  if (values.valid_days !== undefined) {
+    const days = parseInt(values.valid_days, 10);
+    if (isNaN(days) || days <= 0) return { error: "valid_days must be a positive integer" };
+    values.valid_days = days;
+  }
+  for (const col of ["effective_from", "promo_from", "promo_to"]) {
+    if (values[col] === "") values[col] = null;
+    if (values[col] === undefined || values[col] === null) continue;
+    values[col] = dayjs(parseAnyDate(values[col])).format("YYYY-MM-DD");
+  }
+  if (values.effective_from === null) delete values.effective_from; // column default
+  if (values.promo_from && values.promo_to && values.promo_to < values.promo_from) {
+    return { error: "promo_to must not be before promo_from" };
+  }
+  if (values.is_active !== undefined) values.is_active = values.is_active === true || values.is_active === "true";
+
+  if (!partial) {
+    for (const col of ["code", "amount", "valid_days"]) {
+      if (values[col] === undefined || values[col] === null) {
+        return { error: `${col} is required` };
+      }
+    }
+  }
+  return { values };
+}
+
+function planToResponse(row, onDate = new Date()) {
+  return { ...row, pricing: planPricing(row, onDate) };
+}
+
+// ---------- GET /api/plans (all versions) ----------
+app.get("/api/plans", async (req, res) => {
+  try {
+    const { code, include_inactive } = req.query;
+    const filters = [];
+    const params = [];
+    if (code) {
+      params.push(String(code).toLowerCase());
+      filters.push(`code = $${params.length}`);
+    }
+    if (include_inactive !== "true") filters.push(`is_active = true`);
+
+    const where = filters.length ? `WHERE ${filters.join(" AND ")}` : "";
+    const { rows } = await pool.query(
+      `SELECT * FROM t1."T1_PLANS" ${where} ORDER BY code, effective_from DESC`,
+      params
+    );
+    res.json(rows.map((r) => planToResponse(r)));
+  } catch (err) {
+    console.error("GET /api/plans error:", err);
+    res.status(500).json({ message: "Error fetching plans" });
+  }
+});
+
+// ---------- GET /api/plans/effective?on=YYYY-MM-DD ----------
+// the version of every plan that is in effect (and sellable) on a date
+app.get("/api/plans/effective", async (req, res) => {
+  try {
+    const on = parseAnyDate(req.query.on);
+    const { rows } = await pool.query(
+      `SELECT DISTINCT ON (code) *
+       FROM t1."T1_PLANS"
+       WHERE effective_from <= $1::date
+       ORDER BY code, effective_from DESC`,
+      [dayjs(on).format("YYYY-MM-DD")]
+    );
+    res.json(rows.filter((r) => r.is_active).map((r) => planToResponse(r, on)));
+  } catch (err) {
+    console.error("GET /api/plans/effective error:", err);
+    res.status(500).json({ message: "Error fetching plans" });
+  }
+});
+
+// ---------- GET /api/plans/:id ----------
+app.get("/api/plans/:id", async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id)) return res.status(400).json({ message: "Invalid plan id" });
+    const { rows } = await pool.query(`SELECT * FROM t1."T1_PLANS" WHERE id = $1`, [id]);
+    if (!rows[0]) return res.status(404).json({ message: "Plan not found" });
+    res.json(planToResponse(rows[0]));
+  } catch (err) {
+    console.error("GET /api/plans/:id error:", err);
+    res.status(500).json({ message: "Error fetching plan" });
+  }
+});
+
+// ---------- POST /api/plans (new plan, or new price version of a code) ----------
+app.post("/api/plans", requireRole("manager"), async (req, res) => {
+  try {
+    const { values, error } = readPlanBody(req.body || {});
+    if (error) return res.status(400).json({ message: error });
+
+    const cols = Object.keys(values);
+    const sql = `
+      INSERT INTO t1."T1_PLANS" (${cols.map((c) => `"${c}"`).join(", ")})
+      VALUES (${cols.map((_, i) => `$${i + 1}`).join(", ")})
+      RETURNING *
+    `;
+    const { rows } = await pool.query(sql, Object.values(values));
+    res.status(201).json(planToResponse(rows[0]));
+  } catch (err) {
+    if (err.code === "23505") {
+      return res.status(409).json({ message: "A version of this plan already starts on that date" });
+    }
+    console.error("POST /api/plans error:", err);
+    res.status(400).json({ message: "Bad request creating plan" });
+  }
+});
+
+// ---------- PUT /api/plans/:id ----------
+// Members are priced from the version in effect when they registered, so once
+// a version is in effect its terms are fixed: a price change is a new version
+// (POST) with a later effective_from. Name, promo and is_active stay editable.
+const PLAN_TERMS_COLUMNS = ["code", "amount", "valid_days", "gst_rate", "effective_from", "flashes"];
+
+app.put("/api/plans/:id", requireRole("manager"), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id)) return res.status(400).json({ message: "Invalid plan id" });
+
+    const { values, error } = readPlanBody(req.body || {}, { partial: true });
+    if (error) return res.status(400).json({ message: error });
+
+    const cols = Object.keys(values);
+    if (!cols.length) return res.status(400).json({ message: "No valid fields provided for update" });
+
+    const result = await withTransaction(async (client) => {
+      const cur = await client.query(
+        `SELECT *, to_char(effective_from, 'YYYY-MM-DD') AS effective_day,
+                effective_from <= ${localDate("now()")} AS in_effect
+         FROM t1."T1_PLANS" WHERE id = $1 FOR UPDATE`,
+        [id]
+      );
+      const plan = cur.rows[0];
+      if (!plan) return { status: 404, message: "Plan not found" };
+
+      // values come normalized by readPlanBody: numbers, and dates as YYYY-MM-DD
+      const stored = { ...plan, effective_from: plan.effective_day };
+      const changed = PLAN_TERMS_COLUMNS.filter((col) => {
+        if (values[col] === undefined) return false;
+        if (typeof values[col] === "number") return stored[col] === null || Number(stored[col]) !== values[col];
+        return String(values[col] ?? "") !== String(stored[col] ?? "");
+      });
+      if (changed.length && plan.in_effect) {
+        return {
+          status: 409,
+          message: `This version is already in effect, so ${changed.join(", ")} cannot change; add a new version with a later effective_from`,
+        };
+      }
+      if (changed.includes("effective_from")) {
+        const { rows } = await client.query(`SELECT $1::date <= ${localDate("now()")} AS past`, [values.effective_from]);
+        if (rows[0].past) return { status: 409, message: "effective_from must be a future date" };
+      }
+
+      const setParts = cols.map((c, i) => `"${c}" = $${i + 1}`);
+      setParts.push(`"updated_at" = now()`);
+      const { rows } = await client.query(
+        `UPDATE t1."T1_PLANS"
+         SET ${setParts.join(", ")}
+         WHERE id = $${cols.length + 1}
+         RETURNING *`,
+        [...Object.values(values), id]
+      );
+      return { plan: rows[0] };
+    });
+
+    if (result.status) return res.status(result.status).json({ message: result.message });
+    res.json(planToResponse(result.plan));
+  } catch (err) {
+    if (err.code === "23505") {
+      return res.status(409).json({ message: "A version of this plan already starts on that date" });
+    }
+    console.error("PUT /api/plans/:id error:", err);
+    res.status(400).json({ message: "Bad request updating plan" });
+  }
+});
+
+// ---------- DELETE /api/plans/:id (retire; history is kept) ----------
+app.delete("/api/plans/:id", requireRole("manager"), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id)) return res.status(400).json({ message: "Invalid plan id" });
+    const { rows } = await pool.query(
+      `UPDATE t1."T1_PLANS" SET is_active = false, "updated_at" = now() WHERE id = $1 RETURNING *`,
+      [id]
+    );
+    if (!rows[0]) return res.status(404).json({ message: "Plan not found" });
+    res.json({ message: "Plan retired", plan: planToResponse(rows[0]) });
+  } catch (err) {
+    console.error("DELETE /api/plans/:id error:", err);
+    res.status(400).json({ message: "Bad request retiring plan" });
+  }
+});
+
+// ============ HOROSCOPE MATCHING (PORUTHAM) ============
+
+// 27 stars in order, with the spellings we see in the registers.
+// gana: D(eva) / M(anushya) / R(akshasa)
+const STARS = [
+  { name: "Ashwini", gana: "D", yoni: "horse", aliases: ["aswini", "asvini", "ashvini", "aswathi", "ashwathi"] },
+  { name: "Bharani", gana: "M", yoni: "elephant", aliases: ["barani"] },
+  { name: "Krittika", gana: "R", yoni: "goat", aliases: ["kritika", "krithika", "karthigai", "karthikai", "karthika", "kartika", "kiruthigai"] },
+  { name: "Rohini", gana: "M", yoni: "serpent", aliases: [] },
+  { name: "Mrigashirsha", gana: "D", yoni: "serpent", aliases: ["mrigasira", "mrigashira", "mrigasiram", "mrigasheersha", "mirugasirisham", "mirugaseersham", "makayiram"] },
+  { name: "Ardra", gana: "M", yoni: "dog", aliases: ["arudra", "arudhra", "thiruvathirai", "thiruvadhirai", "athirai", "aathirai"] },
+  { name: "Punarvasu", gana: "D", yoni: "cat", aliases: ["punarpoosam", "punarpusam", "punartham"] },
+  { name: "Pushya", gana: "D", yoni: "goat", aliases: ["pushyami", "poosam", "pusam", "pooyam"] },
+  { name: "Ashlesha", gana: "R", yoni: "cat", aliases: ["aslesha", "ayilyam", "aayilyam"] },
+  { name: "Magha", gana: "R", yoni: "rat", aliases: ["magam", "makam", "maham"] },
+  { name: "Purva Phalguni", gana: "M", yoni: "rat", aliases: ["poorvaphalguni", "pooram", "puram", "pubba"] },
+  { name: "Uttara Phalguni", gana: "M", yoni: "cow", aliases: ["utharaphalguni", "uthiram", "uthram", "uttaram"] },
+  { name: "Hasta", gana: "D", yoni: "buffalo", aliases: ["hastha", "hastham", "hastam", "atham"] },
+  { name: "Chitra", gana: "R", yoni: "tiger", aliases: ["chithra", "chithirai", "chithira", "chitta"] },
+  { name: "Swati", gana: "D", yoni: "buffalo", aliases: ["swathi", "svati", "chothi"] },
+  { name: "Vishakha", gana: "R", yoni: "tiger", aliases: ["visakha", "vishaka", "visaka", "visakam", "vishakam"] },
+  { name: "Anuradha", gana: "D", yoni: "deer", aliases: ["anusham", "anizham"] },
+  { name: "Jyeshtha", gana: "R", yoni: "deer", aliases: ["jyeshta", "jyesta", "kettai", "ketta", "thrikketta"] },
+  { name: "Mula", gana: "R", yoni: "dog", aliases: ["moola", "moolam", "mulam"] },
+  { name: "Purva Ashadha", gana: "M", yoni: "monkey", aliases: ["purvashada", "purvashadha", "poorvashada", "pooradam", "puradam"] },
+  { name: "Uttara Ashadha", gana: "M", yoni: "mongoose", aliases: ["uttarashada", "uttarashadha", "utharashada", "uthiradam", "uttaradam"] },
+  { name: "Shravana", gana: "D", yoni: "monkey", aliases: ["sravana", "shravanam", "sravanam", "thiruvonam", "thiruonam"] },
+  { name: "Dhanishta", gana: "R", yoni: "lion", aliases: ["dhanishtha", "dhanista", "avittam", "shravishta"] },
+  { name: "Shatabhisha", gana: "R", yoni: "horse", aliases: ["satabhisha", "shatabhishak", "sadhayam", "sathayam", "chathayam"] },
+  { name: "Purva Bhadrapada", gana: "M", yoni: "lion", aliases: ["purvabhadra", "poorvabhadra", "poorattathi", "purattathi", "pooratathi"] },
+  { name: "Uttara Bhadrapada", gana: "M", yoni: "cow", aliases: ["uttarabhadra", "utharabhadra", "uthirattathi", "uttarattathi", "uthiratathi"] },
+  { name: "Revati", gana: "D", yoni: "elephant", aliases: ["revathi"] },
+];
+
+const RASIS = [
+  { name: "Mesham", lord: "mars", aliases: ["mesha", "mesh", "aries"] },
+  { name: "Rishabam", lord: "venus", aliases: ["rishabham", "vrishabha", "vrishabham", "edavam", "taurus"] },
+  { name: "Mithunam", lord: "mercury", aliases: ["mithuna", "midhunam", "gemini"] },
+  { name: "Kadagam", lord: "moon", aliases: ["karkatakam", "karka", "kataka", "karkidakam", "cancer"] },
+  { name: "Simmam", lord: "sun", aliases: ["simha", "simham", "chingam", "leo"] },
+  { name: "Kanni", lord: "mercury", aliases: ["kanya", "virgo"] },
+  { name: "Thulam", lord: "venus", aliases: ["tula", "thula", "libra"] },
+  { name: "Viruchigam", lord: "mars", aliases: ["vrischika", "vrishchika", "vrischikam", "scorpio"] },
+  { name: "Dhanusu", lord: "jupiter", aliases: ["dhanu", "dhanus", "dhanush", "sagittarius"] },
+  { name: "Magaram", lord: "saturn", aliases: ["makaram", "makara", "capricorn"] },
+  { name: "Kumbam", lord: "saturn", aliases: ["kumbha", "kumbham", "aquarius"] },
+  { name: "Meenam", lord: "jupiter", aliases: ["meena", "meen", "pisces"] },
+];
+
+const RAJJU_CYCLE = ["pada", "kati", "nabhi", "kanta", "siro", "kanta", "nabhi", "kati", "pada"];
+
+// star index pairs that obstruct each other
+const VEDHA_PAIRS = [
+  [0, 17], [1, 16], [2, 15], [3, 14], [5, 21], [6, 20], [7, 19], [8, 18],
+  [9, 26], [10, 25], [11, 24], [12, 23], [4, 13], [13, 22], [4, 22],
+];
+
+const YONI_ENEMIES = [
+  ["horse", "buffalo"], ["elephant", "lion"], ["goat", "monkey"],
+  ["serpent", "mongoose"], ["dog", "deer"], ["cat", "rat"], ["cow", "tiger"],
+];
+
+const PLANET_ENEMIES = {
+  sun: ["venus", "saturn"],
+  moon: [],
+  mars: ["mercury"],
+  mercury: ["moon"],
+  jupiter: ["mercury", "venus"],
+  venus: ["sun", "moon"],
+  saturn: ["sun", "moon", "mars"],
+};
+
+// girl's rasi index -> boy's rasi indexes that are vasya
+const VASYA = {
+  0: [4, 7], 1: [3, 6], 2: [5], 3: [7, 8], 4: [6], 5: [2, 11],
+  6: [5, 9], 7: [3], 8: [11], 9: [0, 10], 10: [0], 11: [9],
+};
+
+// lower-case letters only, repeated letters collapsed ("Poosam" -> "posam")
+const astroKey = (value) =>
+  String(value || "").toLowerCase().replace(/[^a-z]/g, "").replace(/(.)\1+/g, "$1");
+
+const buildAstroLookup = (list) => {
+  const lookup = new Map();
+  list.forEach((item, idx) => {
+    for (const alias of [item.name, ...item.aliases]) lookup.set(astroKey(alias), idx);
+  });
+  return lookup;
+};
+const STAR_LOOKUP = buildAstroLookup(STARS);
+const RASI_LOOKUP = buildAstroLookup(RASIS);
+
+function starIndex(value) {
+  const idx = STAR_LOOKUP.get(astroKey(value));
+  return idx === undefined ? null : idx;
+}
+
+// rasi from the stored value, else derived from star + paadham (9 padas per rasi)
+function rasiIndex(rasi, star, paadham) {
+  const idx = RASI_LOOKUP.get(astroKey(rasi));
+  if (idx !== undefined) return idx;
+  const s = starIndex(star);
+  const p = parseInt(paadham, 10);
+  if (s === null || isNaN(p) || p < 1 || p > 4) return null;
+  return Math.floor((s * 4 + p - 1) / 9);
+}
+
+function genderKey(value) {
+  const g = String(value || "").trim().toLowerCase();
+  if (/^(f|bride|girl)/.test(g)) return "f";
+  if (/^(m|groom|boy)/.test(g)) return "m";
+  return null;
+}
+
+function hasDosham(value) {
+  const v = String(value || "").trim().toLowerCase();
+  if (!v) return null;
+  return !/^(no|nil|none|illai|nothing|-|n\/a|na|no dosham)$/.test(v);
+}
+
+// Ten poruthams for a bride/groom pair. Counts run from the girl's star / rasi
+// to the boy's, as in the printed tables staff use.
+function computePorutham(girl, boy) {
+  const gs = starIndex(girl.star);
+  const bs = starIndex(boy.star);
+  if (gs === null || bs === null) return null;
+
+  const gr = rasiIndex(girl.rasi, girl.star, girl.paadham);
+  const br = rasiIndex(boy.rasi, boy.star, boy.paadham);
+  const count = ((bs - gs + 27) % 27) + 1;
+  const rasiCount = gr === null || br === null ? null : ((br - gr + 12) % 12) + 1;
+  const byRasi = (fn) => (rasiCount === null ? null : fn());
+
+  const gGana = STARS[gs].gana;
+  const bGana = STARS[bs].gana;
+  const gYoni = STARS[gs].yoni;
+  const bYoni = STARS[bs].yoni;
+
+  const breakdown = {
+    dina: [0, 2, 4, 6, 8].includes(count % 9),
+    gana:
+      gGana === bGana ||
+      (gGana !== "R" && bGana !== "R"),
+    mahendra: [4, 7, 10, 13, 16, 19, 22, 25].includes(count),
+    stree_deergham: count > 13,
+    yoni: !YONI_ENEMIES.some(
+      ([a, b]) => (a === gYoni && b === bYoni) || (a === bYoni && b === gYoni)
+    ),
+    rasi: byRasi(() => rasiCount === 1 || rasiCount >= 7),
+    rasi_adhipathi: byRasi(() => {
+      const gl = RASIS[gr].lord;
+      const bl = RASIS[br].lord;
+      return !PLANET_ENEMIES[gl].includes(bl) && !PLANET_ENEMIES[bl].includes(gl);
+    }),
+    vasya: byRasi(() => VASYA[gr].includes(br) || VASYA[br].includes(gr)),
+    rajju: RAJJU_CYCLE[gs % 9] !== RAJJU_CYCLE[bs % 9],
+    vedha: !VEDHA_PAIRS.some(
+      ([a, b]) => (a === gs && b === bs) || (a === bs && b === gs)
+    ),
+  };
+
+  const gd = hasDosham(girl.dosham);
+  const bd = hasDosham(boy.dosham);
+
+  return {
+    total: Object.values(breakdown).filter((v) => v === true).length,
+    max: Object.keys(breakdown).length,
+    breakdown,
+    dosham: {
+      girl: gd,
+      boy: bd,
+      // dosham profiles are matched with dosham profiles; unknown stays unknown
+      compatible: gd === null || bd === null ? null : gd === bd,
+    },
+  };
+}
+
+// whether the member ($1) and `candidate` were ever proposed to each other
+const PROPOSED_PAIR_SQL = (candidate) => `EXISTS (
+  SELECT 1 FROM t1."T1_PROPOSALS" pr
+  WHERE (pr.from_user_id = $1 AND pr.to_user_id = ${candidate})
+     OR (pr.from_user_id = ${candidate} AND pr.to_user_id = $1)
+)`;
+
+// ---------- GET /api/users/:regno/horoscope-matches ----------
+app.get("/api/users/:regno/horoscope-matches", async (req, res) => {
+  try {
+    const regno = parseInt(req.params.regno, 10);
+    if (isNaN(regno)) return res.status(400).json({ message: "Invalid regno" });
+
+    const {
+      min_score = 0,
+      rajju = "",          // "required" -> drop rajju mismatches
+      dosham = "",         // "compatible" -> drop known dosham mismatches
+      sort = "score",
+      order = "desc",
+      exclude_proposed = "false", // "true" -> drop profiles already proposed either way
+      page = 1,
+      limit = 100,
+    } = req.query;
+
+    const memberRes = await pool.query(
+      `SELECT * FROM t1."T1_USERS" WHERE regno = $1 AND is_deleted = false
+       AND ($2::text IS NULL OR branch = $2) LIMIT 1`,
+      [regno, branchScopeOf(req)]
+    );
+    const member = memberRes.rows[0];
+    if (!member) return res.status(404).json({ message: "User not found" });
+
+    const gender = genderKey(member.gender);
+    if (!gender) return res.status(400).json({ message: "Member gender is not set" });
+    if (starIndex(member.star) === null) {
+      return res.status(400).json({ message: `Member star not recognised: ${member.star || "(empty)"}` });
+    }
+
+    // opposite gender, active, not deleted, in the caller's branch
+    const params = [member.id, gender === "f" ? "m" : "f"];
+    const sql = `
+      SELECT *
+      FROM t1."T1_USERS"
+      WHERE is_deleted = false
+        AND id <> $1
+        AND LOWER(LEFT(TRIM(gender), 1)) = $2
+        AND ${localDate("expiry_date")} >= ${localDate("now()")}
+        AND star IS NOT NULL AND star <> ''
+        ${exclude_proposed === "true" ? `AND NOT ${PROPOSED_PAIR_SQL(`t1."T1_USERS".id`)}` : ""}
+        ${branchFilter(req, "branch", params)}
+    `;
+    const { rows } = await pool.query(sql, params);
+
+    const minScore = Number(min_score) || 0;
+    const matches = [];
+    for (const r of rows) {
+      const porutham =
+        gender === "f" ? computePorutham(member, r) : computePorutham(r, member);
+      if (!porutham || porutham.total < minScore) continue;
+      if (rajju === "required" && !porutham.breakdown.rajju) continue;
+      if (dosham === "compatible" && porutham.dosham.compatible === false) continue;
+
+      const mapped = rowToUser(r);
+      mapped.porutham = porutham;
+      matches.push(mapped);
+    }
+
+    const sortKeys = {
+      score: (u) => u.porutham.total,
+      regno: (u) => u.regno,
+      age: (u) => computeAge(u) ?? 0,
+    };
+    const keyFn = sortKeys[sort] || sortKeys.score;
+    const dir = String(order).toLowerCase() === "asc" ? 1 : -1;
+    matches.sort((a, b) => (keyFn(a) - keyFn(b)) * dir || a.regno - b.regno);
+
+    const pageInt = Math.max(1, parseInt(page, 10) || 1);
+    const perPage = Math.min(1000, Math.max(1, parseInt(limit, 10) || 100));
+    const offset = (pageInt - 1) * perPage;
+    const total = matches.length;
+
+    res.json({
+      member: {
+        regno: member.regno,
+        name: member.name,
+        gender: member.gender,
+        star: member.star,
+        rasi: member.rasi,
+      },
+      users: matches.slice(offset, offset + perPage),
+      total,
+      page: pageInt,
+      limit: perPage,
+      totalPages: Math.ceil(total / perPage),
+    });
+  } catch (err) {
+    console.error("GET /api/users/:regno/horoscope-matches error:", err);
+    res.status(500).json({ message: "Error computing horoscope matches" });
+  }
+});
+
+// ============ PARTNER PREFERENCES & MATCHES ============
+
+const PREFERENCE_LIST_FIELDS = [
+  "castes",
+  "caste_categories",
+  "education",
+  "occupations",
+  "food_habits",
+  "marital_status",
+  "locations",
+];
+const DOSHAM_PREFERENCES = ["any", "with_dosham", "without_dosham"];
+
+const toList = (value) => {
+  if (value === null || value === undefined || value === "") return null;
+  const list = (Array.isArray(value) ? value : String(value).split(","))
+    .map((v) => String(v).trim())
+    .filter(Boolean);
+  return list.length ? list : null;
+};
+
+const toNumberOrNull = (value) => {
+  if (value === null || value === undefined || value === "") return null;
+  const num = Number(value);
+  return isNaN(num) ? undefined : num;
+};
+
+// validate / normalize a preferences payload; returns { values } or { error }
+function readPreferencesBody(body) {
+  const values = {};
+
+  for (const col of ["age_min", "age_max"]) {
+    const num = toNumberOrNull(body[col]);
+    if (num === undefined) return { error: `${col} must be a number` };
+    values[col] = num === null ? null : Math.round(num);
+  }
+  // heights accept the same formats as the profile (5'6", 168 cm, ...)
+  for (const col of ["height_min", "height_max"]) {
+    const raw = body[col] ?? body[`${col}_cm`];
+    const cm = parseHeightCm(raw);
+    if (raw && cm === null) return { error: `${col} is not a recognised height` };
+    values[`${col}_cm`] = cm;
+  }
+  for (const col of ["income_min", "income_max"]) {
+    const raw = body[col] ?? body[`${col}_lpa`];
+    const lpa = parseIncomeLpa(raw);
+    if (raw && lpa === null) return { error: `${col} is not a recognised income` };
+    values[`${col}_lpa`] = lpa;
+  }
+  for (const col of PREFERENCE_LIST_FIELDS) values[col] = toList(body[col]);
+
+  values.dosham = String(body.dosham || "any").toLowerCase();
+  if (!DOSHAM_PREFERENCES.includes(values.dosham)) {
+    return { error: `dosham must be one of ${DOSHAM_PREFERENCES.join(", ")}` };
+  }
+  values.notes = body.notes ?? null;
+
+  for (const [min, max] of [
+    ["age_min", "age_max"],
+    ["height_min_cm", "height_max_cm"],
+    ["income_min_lpa", "income_max_lpa"],
+  ]) {
+    if (values[min] !== null && values[max] !== null && values[min] > values[max]) {
+      return { error: `${min} must not exceed ${max}` };
+    }
+  }
+  return { values };
+}
+
+// Does `candidate` (a member row) satisfy `pref`? Unknown candidate values
+// fail a criterion that is set. Returns the list of failed criteria.
+function preferenceMisses(pref, candidate) {
+  if (!pref) return [];
+  const misses = [];
+  const lower = (v) => String(v || "").trim().toLowerCase();
+  const inList = (list, value) =>
+    !list || !list.length || list.map(lower).includes(lower(value));
+  const inRange = (value, min, max) =>
+    (min === null || min === undefined || (value !== null && value >= Number(min))) &&
+    (max === null || max === undefined || (value !== null && value <= Number(max)));
+
+  if (!inRange(computeAge(candidate), pref.age_min, pref.age_max)) misses.push("age");
+  if (!inRange(parseHeightCm(candidate.height), pref.height_min_cm, pref.height_max_cm)) {
+    misses.push("height");
+  }
+  if (!inRange(parseIncomeLpa(candidate.annual_income), pref.income_min_lpa, pref.income_max_lpa)) {
+    misses.push("income");
+  }
+  if (!inList(pref.castes, candidate.caste)) misses.push("caste");
+  if (!inList(pref.caste_categories, candidate.caste_category)) misses.push("caste_category");
+  if (!inList(pref.education, candidate.education)) misses.push("education");
+  if (!inList(pref.occupations, candidate.occupation)) misses.push("occupation");
+  if (!inList(pref.food_habits, candidate.food_habits)) misses.push("food_habits");
+  if (!inList(pref.marital_status, candidate.marital_status)) misses.push("marital_status");
+
+  if (pref.locations && pref.locations.length) {
+    const places = [candidate.current_residence, candidate.city, candidate.native_place, candidate.state]
+      .map(lower)
+      .filter(Boolean);
+    const found = pref.locations.some((loc) => places.some((p) => p.includes(lower(loc))));
+    if (!found) misses.push("location");
+  }
+
+  const dosham = hasDosham(candidate.dosham);
+  if (pref.dosham === "with_dosham" && dosham !== true) misses.push("dosham");
+  if (pref.dosham === "without_dosham" && dosham !== false) misses.push("dosham");
+
+  return misses;
+}
+
+// ---------- GET /api/users/:regno/preferences ----------
+app.get("/api/users/:regno/preferences", async (req, res) => {
+  try {
+    const regno = parseInt(req.params.regno, 10);
+    if (isNaN(regno)) return res.status(400).json({ message: "Invalid regno" });
+
+    const sql = `
+      SELECT u.id AS member_id, p.*
+      FROM t1."T1_USERS" u
+      LEFT JOIN t1."T1_PREFERENCES" p ON p.user_id = u.id
+      WHERE u.regno = $1 AND u.is_deleted = false AND ($2::text IS NULL OR u.branch = $2)
+      LIMIT 1
+    `;
+    const { rows } = await pool.query(sql, [regno, branchScopeOf(req)]);
+    if (!rows[0]) return res.status(404).json({ message: "User not found" });
+
+    const { member_id, ...pref } = rows[0];
+    res.json({ regno, preferences: pref.user_id ? pref : null });
+  } catch (err) {
+    console.error("GET /api/users/:regno/preferences error:", err);
+    res.status(500).json({ message: "Error fetching preferences" });
+  }
+});
+
+// ---------- PUT /api/users/:regno/preferences (replace) ----------
+app.put("/api/users/:regno/preferences", async (req, res) => {
+  try {
+    const regno = parseInt(req.params.regno, 10);
+    if (isNaN(regno)) return res.status(400).json({ message: "Invalid regno" });
+
+    const { values, error } = readPreferencesBody(req.body || {});
+    if (error) return res.status(400).json({ message: error });
+    values.updated_by = actorOf(req);
+
+    const userRes = await pool.query(
+      `SELECT id FROM t1."T1_USERS" WHERE regno = $1 AND is_deleted = false
+       AND ($2::text IS NULL OR branch = $2) LIMIT 1`,
+      [regno, branchScopeOf(req)]
+    );
+    const user = userRes.rows[0];
+    if (!user) return res.status(404).json({ message: "User not found" });
+
+    const cols = Object.keys(values);
+    const sql = `
+      INSERT INTO t1."T1_PREFERENCES" (user_id, ${cols.map((c) => `"${c}"`).join(", ")})
+      VALUES ($1, ${cols.map((_, i) => `$${i + 2}`).join(", ")})
+      ON CONFLICT (user_id) DO UPDATE
+      SET ${cols.map((c) => `"${c}" = EXCLUDED."${c}"`).join(", ")}, "updated_at" = now()
+      RETURNING *
+    `;
+    const { rows } = await pool.query(sql, [user.id, ...Object.values(values)]);
+    res.json({ regno, preferences: rows[0] });
+  } catch (err) {
+    console.error("PUT /api/users/:regno/preferences error:", err);
+    res.status(400).json({ message: "Bad request saving preferences" });
+  }
+});
+
+// ---------- GET /api/users/:regno/matches ----------
+// Profiles that satisfy the member's preferences; mutual=true also requires the
+// candidate's own preferences to accept the member, exclude_proposed=true
+// drops profiles already proposed to or from the member.
+app.get("/api/users/:regno/matches", async (req, res) => {
+  try {
+    const regno = parseInt(req.params.regno, 10);
+    if (isNaN(regno)) return res.status(400).json({ message: "Invalid regno" });
+
+    const { mutual = "false", exclude_proposed = "false", page = 1, limit = 100 } = req.query;
+
+    const memberRes = await pool.query(
+      `SELECT u.*, to_jsonb(p) AS preferences
+       FROM t1."T1_USERS" u
+       LEFT JOIN t1."T1_PREFERENCES" p ON p.user_id = u.id
+       WHERE u.regno = $1 AND u.is_deleted = false AND ($2::text IS NULL OR u.branch = $2)
+       LIMIT 1`,
+      [regno, branchScopeOf(req)]
+    );
+    const member = memberRes.rows[0];
+    if (!member) return res.status(404).json({ message: "User not found" });
+    if (!member.preferences) {
+      return res.status(400).json({ message: "No partner preferences saved for this member" });
+    }
+
+    const gender = genderKey(member.gender);
+    if (!gender) return res.status(400).json({ message: "Member gender is not set" });
+
+    const params = [member.id, gender === "f" ? "m" : "f"];
+    const sql = `
+      SELECT u.*, to_jsonb(p) AS preferences
+      FROM t1."T1_USERS" u
+      LEFT JOIN t1."T1_PREFERENCES" p ON p.user_id = u.id
+      WHERE u.is_deleted = false
+        AND u.id <> $1
+        AND LOWER(LEFT(TRIM(u.gender), 1)) = $2
+        AND ${localDate("u.expiry_date")} >= ${localDate("now()")}
+        ${exclude_proposed === "true" ? `AND NOT ${PROPOSED_PAIR_SQL("u.id")}` : ""}
+        ${branchFilter(req, "u.branch", params)}
+      ORDER BY u.created_at DESC
+    `;
+    const { rows } = await pool.query(sql, params);
+
+    const wantMutual = mutual === "true";
+    const matches = [];
+    for (const r of rows) {
+      if (preferenceMisses(member.preferences, r).length) continue;
+
+      // candidates without saved preferences accept anyone
+      const reverseMisses = preferenceMisses(r.preferences, member);
+      const isMutual = reverseMisses.length === 0;
+      if (wantMutual && !isMutual) continue;
+
+      const mapped = rowToUser(r);
+      mapped.match = { mutual: isMutual, their_unmet_preferences: reverseMisses };
+      matches.push(mapped);
+    }
+
+    const pageInt = Math.max(1, parseInt(page, 10) || 1);
+    const perPage = Math.min(1000, Math.max(1, parseInt(limit, 10) || 100));
+    const offset = (pageInt - 1) * perPage;
+    const total = matches.length;
+
+    res.json({
+      users: matches.slice(offset, offset + perPage),
+      total,
+      page: pageInt,
+      limit: perPage,
+      totalPages: Math.ceil(total / perPage),
+    });
+  } catch (err) {
+    console.error("GET /api/users/:regno/matches error:", err);
+    res.status(500).json({ message: "Error fetching matches" });
+  }
+});
+
+// ============ BULK IMPORT (CSV / XLSX) ============
+
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024 },
+});
+
+// computed from the plan, so a spreadsheet may not set them
+const IMPORT_SKIP_FIELDS = ["amount", "valid_days", "expiry_date"];
+
+// register headings that differ from our column names (after headerKey)
+const IMPORT_HEADER_ALIASES = {
+  reg_no: "regno",
+  registration_no: "regno",
+  registration_number: "regno",
+  registration_date: "reg_date",
+  date_of_birth: "dob",
+  birth_date: "dob",
+  year_of_birth: "yob",
+  tob: "time_of_birth",
+  pob: "place_of_birth",
+  nakshatra: "star",
+  natchathiram: "star",
+  raasi: "rasi",
+  lagna: "lagnam",
+  father: "father_name",
+  mother: "mother_name",
+  siblings: "sibling_details",
+  native: "native_place",
+  residence: "current_residence",
+  income: "annual_income",
+  ownhouse: "own_house",
+  mobile: "contact1",
+  phone: "contact1",
+  phone1: "contact1",
+  phone2: "contact2",
+  phone3: "contact3",
+  email_id: "email",
+};
+
+const headerKey = (header) =>
+  String(header || "").trim().toLowerCase().replace(/[^a-z0-9]+/g, "_").replace(/^_|_$/g, "");
+
+function importFieldFor(header) {
+  const key = headerKey(header);
+  const field = IMPORT_HEADER_ALIASES[key] || key;
+  if (USER_FIELDS[field]?.source !== "client" || IMPORT_SKIP_FIELDS.includes(field)) return null;
+  return field;
+}
+
+// Register dates are day-first, so only forms that can't be misread are
+// taken: a spreadsheet date cell, YYYY-MM-DD, DD/MM/YYYY (or - / .) and
+// D-Mon-YY(YY). Anything else is reported instead of guessed.
+// -> { value: "YYYY-MM-DD" } or { error }
+function parseImportDate(value) {
+  if (value instanceof Date) {
+    return isNaN(value) ? { error: "is not a valid date" } : { value: value.toISOString().slice(0, 10) };
+  }
+  const text = String(value).trim();
+
+  const iso = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  if (iso) {
+    const day = calendarDate(Number(iso[1]), Number(iso[2]), Number(iso[3]));
+    return day ? { value: day } : { error: `"${text}" is not a calendar date` };
+  }
+
+  const dmy = text.match(DMY_DATE);
+  if (dmy) {
+    const day = calendarDate(Number(dmy[3]), Number(dmy[2]), Number(dmy[1]));
+    if (day) return { value: day };
+    if (Number(dmy[2]) > 12 && Number(dmy[1]) <= 12) {
+      return { error: `"${text}" looks month-first; register dates must be DD/MM/YYYY` };
+    }
+    return { error: `"${text}" is not a calendar date` };
+  }
+
+  if (/^\d{1,2}[-/.]\d{1,2}[-/.]\d{2}$/.test(text)) {
+    return { error: `"${text}" has a two-digit year; write it as DD/MM/YYYY` };
+  }
+
+  if (D_MON_Y_DATE.test(text)) {
+    const day = dayMonthNameDate(text);
+    return day ? { value: day } : { error: `"${text}" is not a calendar date` };
+  }
+
+  return { error: `"${text}" is not a date in DD/MM/YYYY form` };
+}
+
+// plain value of an ExcelJS cell (rich text, hyperlinks and formulas unwrapped)
+function excelCellValue(value) {
+  if (value === null || value === undefined) return "";
+  if (value instanceof Date) return value;
+  if (typeof value === "object") {
+    if (value.richText) return value.richText.map((t) => t.text).join("");
+    if (value.text !== undefined) return value.text;
+    if (value.result !== undefined) return excelCellValue(value.result);
+    return "";
+  }
+  return value;
+}
+
+// -> [{ row, values: { heading: value } }] with spreadsheet row numbers, or
+// null for an unsupported file type
+async function readImportFile(file) {
+  const name = (file.originalname || "").toLowerCase();
+
+  if (name.endsWith(".csv") || file.mimetype === "text/csv") {
+    const records = parseCsv(file.buffer, {
+      columns: true,
+      bom: true,
+      trim: true,
+      skip_empty_lines: true,
+      relax_column_count: true,
+    });
+    return records.map((values, i) => ({ row: i + 2, values }));
+  }
+
+  if (name.endsWith(".xlsx")) {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(file.buffer);
+    const sheet = workbook.worksheets[0];
+    if (!sheet) return [];
+
+    const headings = [];
+    sheet.getRow(1).eachCell((cell, col) => {
+      headings[col] = String(excelCellValue(cell.value)).trim();
+    });
+
+    const records = [];
+    sheet.eachRow((row, rowNumber) => {
+      if (rowNumber === 1) return;
+      const values = {};
+      row.eachCell((cell, col) => {
+        if (headings[col]) values[headings[col]] = excelCellValue(cell.value);
+      });
+      if (Object.values(values).some((v) => String(v).trim() !== "")) {
+        records.push({ row: rowNumber, values });
+      }
+    });
+    return records;
+  }
+
+  return null;
+}
+
+// apply an imported row onto an existing member (on_duplicate=update)
+async function updateImportedUser(client, current, data, actor) {
+  const updates = { ...data };
+
+  if (updates.plan || updates.reg_date) {
+    const reg_date = updates.reg_date || current.reg_date;
+    const plan = (updates.plan || current.plan || "entry").toLowerCase();
+    const pricing = await calculateexpiry_date(reg_date, plan, { db: client });
+    if (!pricing) throw new Error(`Unknown or retired plan: ${plan}`);
+    updates.plan = plan;
+    updates.amount = pricing.amount;
+    updates.valid_days = pricing.valid_days;
+    updates.expiry_date = pricing.expiry_date;
+    updates.plan_status = getplan_status(pricing.expiry_date).toLowerCase();
+  }
+
+  const setParts = [];
+  const values = [];
+  for (const key of WRITABLE_USER_FIELDS) {
+    if (updates[key] !== undefined) {
+      values.push(updates[key]);
+      setParts.push(`"${key}" = $${values.length}`);
+    }
+  }
+  values.push(actor);
+  setParts.push(`"modified_by" = $${values.length}`, `"updated_at" = now()`);
+  values.push(current.id);
+
+  const { rows } = await client.query(
+    `UPDATE t1."T1_USERS" SET ${setParts.join(", ")} WHERE id = $${values.length} RETURNING *`,
+    values
+  );
+  await recordAudit(client, "import", current, rows[0], actor);
+}
+
+// ---------- POST /api/users/import?mode=dry-run|commit ----------
+// multipart/form-data with a `file` field (.csv or .xlsx). dry-run (default)
+// only reports; commit writes every valid row in one transaction.
+app.post(
+  "/api/users/import",
+  (req, res, next) =>
+    importUpload.single("file")(req, res, (err) =>
+      err ? res.status(400).json({ message: `Upload failed: ${err.message}` }) : next()
+    ),
+  async (req, res) => {
+    try {
+      if (!req.file) {
+        return res.status(400).json({ message: "Upload a .csv or .xlsx file in the 'file' field" });
+      }
+      const mode = req.query.mode === "commit" ? "commit" : "dry-run";
+      const onDuplicate = req.query.on_duplicate === "update" ? "update" : "skip";
+      const skipInvalid = req.query.skip_invalid === "true";
+      const actor = actorOf(req);
+      // new members join ?branch= (head office) or the caller's branch
+      const placed = await branchForNewMember(req, req.query.branch);
+      if (placed.error) return res.status(400).json({ message: placed.error });
+      const scope = branchScopeOf(req);
+
+      const records = await readImportFile(req.file);
+      if (!records) return res.status(400).json({ message: "Unsupported file type; use .csv or .xlsx" });
+      if (!records.length) return res.status(400).json({ message: "File has no data rows" });
+
+      // ---------- map headings onto create fields ----------
+      const fieldByHeading = {};
+      const ignored_columns = [];
+      const headings = new Set(records.flatMap((r) => Object.keys(r.values)));
+      for (const heading of headings) {
+        const field = importFieldFor(heading);
+        if (field && !Object.values(fieldByHeading).includes(field)) fieldByHeading[heading] = field;
+        else ignored_columns.push(heading);
+      }
+      if (!Object.values(fieldByHeading).includes("regno")) {
+        return res.status(400).json({ message: "A regno column is required", ignored_columns });
+      }
+
+      // ---------- existing members for the regnos in the file ----------
+      const regnoHeading = Object.keys(fieldByHeading).find((h) => fieldByHeading[h] === "regno");
+      const fileRegnos = records
+        .map((r) => parseInt(r.values[regnoHeading], 10))
+        .filter((n) => !isNaN(n));
+      const existingRes = await pool.query(
+        `SELECT *
+         FROM t1."T1_USERS"
+         WHERE regno = ANY($1::int[])
+         ORDER BY is_deleted DESC`,
+        [fileRegnos]
+      );
+      // live rows win over deleted ones
+      const existing = new Map(existingRes.rows.map((r) => [r.regno, r]));
+
+      const report = {
+        mode,
+        on_duplicate: onDuplicate,
+        total_rows: records.length,
+        created: [],
+        updated: [],
+        skipped: [],
+        errors: [],
+        ignored_columns,
+      };
+      const planned = [];
+      const seen = new Set();
+      const planCache = new Map();
+
+      for (const record of records) {
+        let data = {};
+        for (const [heading, field] of Object.entries(fieldByHeading)) {
+          let value = record.values[heading];
+          if (typeof value === "string") value = value.trim();
+          if (value === undefined || value === null || value === "") continue;
+          data[field] = value;
+        }
+
+        const errors = [];
+        for (const field of Object.keys(data)) {
+          if (USER_FIELDS[field].type !== "date") continue;
+          const parsed = parseImportDate(data[field]);
+          if (parsed.error) {
+            errors.push(`${field} ${parsed.error}`);
+            delete data[field];
+          } else {
+            data[field] = parsed.value;
+          }
+        }
+        const regno = parseInt(data.regno, 10);
+        if (isNaN(regno)) {
+          errors.push("regno is missing or not a number");
+        } else {
+          data.regno = regno;
+          if (seen.has(regno)) errors.push(`regno ${regno} appears more than once in the file`);
+          seen.add(regno);
+        }
+
+        const current = existing.get(regno);
+        let action = "create";
+        if (current && scope !== null && current.branch !== scope) {
+          errors.push(`regno ${regno} belongs to another branch`);
+        } else if (current && current.is_deleted) {
+          errors.push(`regno ${regno} belongs to a deleted profile`);
+        } else if (current) {
+          action = onDuplicate;
+        }
+
+        // same field rules as POST / PUT /api/users
+        if (action !== "skip") {
+          const checked = await validateUserInput(data, { current: action === "update" ? current : null });
+          if (isNaN(regno)) delete checked.errors.regno;
+          errors.push(...Object.values(checked.errors));
+          data = checked.values;
+        }
+
+        // plan must resolve on the registration date, like the create route
+        const needsPlan = action === "create" || (action === "update" && (data.plan || data.reg_date));
+        if (needsPlan && !errors.length) {
+          const plan = String(data.plan || current?.plan || "entry").toLowerCase();
+          const onDate = data.reg_date || current?.reg_date || new Date();
+          const cacheKey = `${plan}|${dayjs(onDate).format("YYYY-MM-DD")}`;
+          if (!planCache.has(cacheKey)) planCache.set(cacheKey, await resolvePlan(plan, onDate));
+          if (!planCache.get(cacheKey)) errors.push(`unknown or retired plan "${plan}"`);
+        }
+
+        if (errors.length) {
+          report.errors.push({ row: record.row, regno: isNaN(regno) ? null : regno, errors });
+          continue;
+        }
+        if (action === "skip") {
+          report.skipped.push({ row: record.row, regno, reason: "regno already exists" });
+          continue;
+        }
+        if (action === "update" && !Object.keys(data).length) {
+          report.skipped.push({ row: record.row, regno, reason: "no changes" });
+          continue;
+        }
+        planned.push({ record, action, data, current });
+        report[action === "create" ? "created" : "updated"].push({ row: record.row, regno });
+      }
+
+      if (mode === "dry-run") return res.json(report);
+      if (!hasRole(req.staff, "manager")) {
+        return res.status(403).json({ message: "Forbidden: committing an import requires manager role" });
+      }
+
+      if (report.errors.length && !skipInvalid) {
+        return res.status(422).json({
+          message: "Import has invalid rows; fix them or pass skip_invalid=true",
+          ...report,
+        });
+      }
+
+      await withTransaction(async (client) => {
+        for (const item of planned) {
+          try {
+            if (item.action === "create") {
+              const { body, pricing, errors } = await prepareNewUser(item.data, {
+                created_by: actor,
+                db: client,
+              });
+              if (errors) throw new Error(Object.values(errors).join("; "));
+              body.branch = placed.branch;
+              await insertUser(client, body, pricing, { invoice: false });
+            } else {
+              await updateImportedUser(client, item.current, item.data, actor);
+            }
+          } catch (err) {
+            err.importRow = item.record.row;
+            throw err;
+          }
+        }
+      });
+
+      res.status(201).json(report);
+    } catch (err) {
+      if (err.importRow) {
+        return res.status(422).json({
+          message: `Import rolled back at row ${err.importRow}: ${err.message}`,
+        });
+      }
+      console.error("POST /api/users/import error:", err);
+      res.status(400).json({ message: "Bad request during import" });
+    }
+  }
+);
+
+// ============ BIODATA PDF ============
+
+// agency letterhead printed on every biodata (?brand=false to omit)
+const AGENCY = {
+  name: process.env.AGENCY_NAME || "Vivaha Sangamam",
+  tagline: process.env.AGENCY_TAGLINE || "",
+  address: process.env.AGENCY_ADDRESS || "",
+  phone: process.env.AGENCY_PHONE || "",
+  email: process.env.AGENCY_EMAIL || "",
+  gstin: process.env.AGENCY_GSTIN || "",
+  state: process.env.AGENCY_STATE || "Tamil Nadu", // place of business, decides CGST+SGST vs IGST
+  logo: process.env.AGENCY_LOGO || "", // path to a PNG/JPEG on disk
+};
+
+const displayDate = (value) => (value ? dayjs(value).format("DD-MM-YYYY") : "");
+const joinParts = (...parts) => parts.filter((p) => p !== null && p !== undefined && p !== "").join(", ");
+
+function drawAgencyHeader(doc) {
+  const left = doc.page.margins.left;
+  const width = doc.page.width - left - doc.page.margins.right;
+  let textLeft = left;
+
+  if (AGENCY.logo) {
+    try {
+      doc.image(AGENCY.logo, left, doc.y, { fit: [60, 60] });
+      textLeft = left + 70;
+    } catch (err) {
+      console.error("Biodata logo error:", err.message);
+    }
+  }
+
+  const top = doc.y;
+  doc.font("Helvetica-Bold").fontSize(18).fillColor("#7a1f1f")
+    .text(AGENCY.name, textLeft, top, { width: width - (textLeft - left) });
+  doc.font("Helvetica").fontSize(9).fillColor("#444444");
+  for (const line of [AGENCY.tagline, AGENCY.address, joinParts(AGENCY.phone, AGENCY.email)]) {
+    if (line) doc.text(line, textLeft, doc.y, { width: width - (textLeft - left) });
+  }
+  doc.y = Math.max(doc.y, top + (AGENCY.logo ? 62 : 0)) + 6;
+  doc.moveTo(left, doc.y).lineTo(left + width, doc.y).lineWidth(1.5).strokeColor("#7a1f1f").stroke();
+  doc.lineWidth(1).moveDown(0.8);
+  doc.x = left;
+}
+
+// titled block of label / value rows; empty values are left out
+function drawBiodataSection(doc, title, pairs) {
+  const rows = pairs.filter(([, value]) => value !== null && value !== undefined && String(value).trim() !== "");
+  if (!rows.length) return;
+
+  const left = doc.page.margins.left;
+  const width = doc.page.width - left - doc.page.margins.right;
+  const labelWidth = 150;
+
+  if (doc.y > doc.page.height - doc.page.margins.bottom - 60) doc.addPage();
+
+  doc.font("Helvetica-Bold").fontSize(11).fillColor("#7a1f1f").text(title.toUpperCase(), left, doc.y);
+  doc.moveDown(0.3);
+
+  for (const [label, value] of rows) {
+    const y = doc.y;
+    doc.font("Helvetica").fontSize(10).fillColor("#555555").text(label, left, y, { width: labelWidth });
+    doc.font("Helvetica").fontSize(10).fillColor("#000000")
+      .text(String(value), left + labelWidth, y, { width: width - labelWidth });
+    doc.y = Math.max(doc.y, y + 14) + 2;
+  }
+  doc.x = left;
+  doc.moveDown(0.6);
+}
+
+// ---------- GET /api/users/:regno/biodata.pdf ----------
+// ?hide_contacts=true ?hide_address=true ?brand=false ?download=true
+app.get("/api/users/:regno/biodata.pdf", async (req, res) => {
+  try {
+    const regno = parseInt(req.params.regno, 10);
+    if (isNaN(regno)) return res.status(400).json({ message: "Invalid regno" });
+
+    const { rows } = await pool.query(
+      `SELECT * FROM t1."T1_USERS" WHERE regno = $1 AND is_deleted = false
+       AND ($2::text IS NULL OR branch = $2) LIMIT 1`,
+      [regno, branchScopeOf(req)]
+    );
+    if (!rows[0]) return res.status(404).json({ message: "User not found" });
+
+    const u = rowToUser(rows[0]);
+    const hideContacts = req.query.hide_contacts === "true";
+    const hideAddress = req.query.hide_address === "true";
+    const branded = req.query.brand !== "false";
+    const age = computeAge(rows[0]);
+
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader(
+      "Content-Disposition",
+      `${req.query.download === "true" ? "attachment" : "inline"}; filename="biodata-${regno}.pdf"`
+    );
+
+    const doc = new PDFDocument({ size: "A4", margin: 40 });
+    doc.pipe(res);
+
+    if (branded) drawAgencyHeader(doc);
+
+    doc.font("Helvetica-Bold").fontSize(16).fillColor("#000000").text(u.name || "", { align: "center" });
+    doc.font("Helvetica").fontSize(10).fillColor("#555555").text(`Reg No: ${u.regno}`, { align: "center" });
+    doc.moveDown(1);
+
+    drawBiodataSection(doc, "Personal Details", [
+      ["Gender", u.gender],
+      ["Date of Birth", displayDate(u.dob) || u.yob],
+      ["Age", age !== null ? `${age} years` : ""],
+      ["Height", u.height],
+      ["Weight", u.weight],
+      ["Marital Status", u.marital_status],
+      ["Food Habits", u.food_habits],
+      ["Caste", joinParts(u.caste, u.caste_category)],
+      ["Gothram", u.gothram],
+    ]);
+
+    drawBiodataSection(doc, "Horoscope Details", [
+      ["Star / Paadham", joinParts(u.star, u.paadham ? `Paadham ${u.paadham}` : "")],
+      ["Rasi", u.rasi],
+      ["Lagnam", u.lagnam],
+      ["Dosham", u.dosham],
+      ["Time of Birth", u.time_of_birth],
+      ["Place of Birth", u.place_of_birth],
+    ]);
+
+    drawBiodataSection(doc, "Education & Profession", [
+      ["Education", u.education],
+      ["UG", joinParts(u.ug_degree, u.ug_specialization)],
+      ["PG", joinParts(u.pg_degree, u.pg_specialization)],
+      ["Occupation", u.occupation],
+      ["Annual Income", u.annual_income],
+    ]);
+
+    drawBiodataSection(doc, "Family Details", [
+      ["Father", joinParts(u.father_name, u.father_occupation)],
+      ["Mother", joinParts(u.mother_name, u.mother_occupation)],
+      ["Siblings", u.sibling_details],
+      ["Native Place", u.native_place],
+    ]);
+
+    drawBiodataSection(doc, "Property", [
+      ["Own House", u.own_house],
+      ["Property Details", u.property_details],
+    ]);
+
+    drawBiodataSection(doc, "Residence", [
+      ["Current Residence", u.current_residence],
+      ...(hideAddress
+        ? []
+        : [
+            ["Address", u.address],
+            ["City / State", joinParts(u.city, u.state, u.pincode)],
+            ["Country", u.country],
+          ]),
+    ]);
+
+    if (!hideContacts) {
+      drawBiodataSection(doc, "Contact", [
+        ["Phone", joinParts(u.contact1, u.contact2, u.contact3)],
+        ["Email", u.email],
+      ]);
+    }
+
+    drawBiodataSection(doc, "Expectations", [["Partner Expectations", u.expectations]]);
+
+    doc.font("Helvetica").fontSize(8).fillColor("#888888")
+      .text(`Generated on ${dayjs().format("DD-MM-YYYY")}`, { align: "right" });
+    doc.end();
+  } catch (err) {
+    console.error("GET /api/users/:regno/biodata.pdf error:", err);
+    if (res.headersSent) return res.end();
+    res.status(500).json({ message: "Error generating biodata" });
+  }
+});
+
+// ============ AUDIT HISTORY & REVERT ============
+
+// bookkeeping / lifecycle columns a revert never touches (restore has its own route)
+const REVERT_EXCLUDED_COLUMNS = [
+  "id",
+  "created_at",
+  "created_by",
+  "updated_at",
+  "modified_by",
+  "is_deleted",
+  "deleted_by",
+  "deleted_at",
+  "branch", // moves only through a head office transfer
+];
+
+// ---------- GET /api/users/:regno/history ----------
+app.get("/api/users/:regno/history", async (req, res) => {
+  try {
+    const regno = parseInt(req.params.regno, 10);
+    if (isNaN(regno)) return res.status(400).json({ message: "Invalid regno" });
+
+    const { page = 1, limit = 50, include_snapshot } = req.query;
+
+    // deleted profiles keep their history, live row wins if the regno was reused;
+    // once purged, the (redacted) trail is still there for head office
+    const scope = branchScopeOf(req);
+    const userRes = await pool.query(
+      `SELECT id FROM t1."T1_USERS" WHERE regno = $1
+       AND ($2::text IS NULL OR branch = $2) ORDER BY is_deleted ASC, id DESC LIMIT 1`,
+      [regno, scope]
+    );
+    let user = userRes.rows[0];
+    if (!user && scope === null) {
+      const purgedRes = await pool.query(
+        `SELECT user_id AS id FROM t1."T1_USER_AUDIT" WHERE regno = $1 ORDER BY changed_at DESC, id DESC LIMIT 1`,
+        [regno]
+      );
+      user = purgedRes.rows[0];
+    }
+    if (!user) return res.status(404).json({ message: "User not found" });
+
+    const pageInt = Math.max(1, parseInt(page, 10) || 1);
+    const perPage = Math.min(500, Math.max(1, parseInt(limit, 10) || 50));
+    const offset = (pageInt - 1) * perPage;
+
+    const countRes = await pool.query(
+      `SELECT COUNT(*)::int AS total FROM t1."T1_USER_AUDIT" WHERE user_id = $1`,
+      [user.id]
+    );
+    const total = countRes.rows[0]?.total || 0;
+
+    const columns = `id, action, actor, changes, note, changed_at${
+      include_snapshot === "true" ? ", snapshot" : ""
+    }`;
+    const { rows } = await pool.query(
+      `SELECT ${columns}
+       FROM t1."T1_USER_AUDIT"
+       WHERE user_id = $1
+       ORDER BY changed_at DESC, id DESC
+       LIMIT $2 OFFSET $3`,
+      [user.id, perPage, offset]
+    );
+
+    res.json({
+      regno,
+      history: rows,
+      total,
+      page: pageInt,
+      limit: perPage,
+      totalPages: Math.ceil(total / perPage),
+    });
+  } catch (err) {
+    console.error("GET /api/users/:regno/history error:", err);
+    res.status(500).json({ message: "Error fetching history" });
+  }
+});
+
+// ---------- POST /api/users/:regno/revert ----------
+// body: { audit_id } - puts the profile back to the values it had right after
+// that history entry
+app.post("/api/users/:regno/revert", requireRole("manager"), async (req, res) => {
+  try {
+    const regno = parseInt(req.params.regno, 10);
+    if (isNaN(regno)) return res.status(400).json({ message: "Invalid regno" });
+
+    const auditId = parseInt(req.body?.audit_id, 10);
+    if (isNaN(auditId)) return res.status(400).json({ message: "audit_id is required" });
+    const actor = actorOf(req);
+
+    const result = await withTransaction(async (client) => {
+      const curRes = await client.query(
+        `SELECT * FROM t1."T1_USERS" WHERE regno = $1 AND is_deleted = false
+         AND ($2::text IS NULL OR branch = $2) LIMIT 1 FOR UPDATE`,
+        [regno, branchScopeOf(req)]
+      );
+      const current = curRes.rows[0];
+      if (!current) return { status: 404, message: "User not found" };
+
+      const entryRes = await client.query(
+        `SELECT * FROM t1."T1_USER_AUDIT" WHERE id = $1 AND user_id = $2`,
+        [auditId, current.id]
+      );
+      const entry = entryRes.rows[0];
+      if (!entry || !entry.snapshot) {
+        return { status: 404, message: "History entry not found for this member" };
+      }
+
+      const target = entry.snapshot;
+      const cols = Object.keys(target).filter(
+        (col) =>
+          WRITABLE_USER_FIELDS.includes(col) &&
+          !REVERT_EXCLUDED_COLUMNS.includes(col) &&
+          col in current &&
+          JSON.stringify(auditValue(current[col])) !== JSON.stringify(target[col])
+      );
+      if (!cols.length) return { user: rowToUser(current), message: "Profile already matches that version" };
+
+      const values = cols.map((col) => target[col]);
+      const setParts = cols.map((col, i) => `"${col}" = $${i + 1}`);
+      values.push(actor);
+      setParts.push(`"modified_by" = $${values.length}`, `"updated_at" = now()`);
+      values.push(current.id);
+
+      const { rows } = await client.query(
+        `UPDATE t1."T1_USERS" SET ${setParts.join(", ")} WHERE id = $${values.length} RETURNING *`,
+        values
+      );
+      if (rows[0].regno !== current.regno) await syncProposalRegnos(client, current.id, rows[0].regno);
+      await recordAudit(client, "revert", current, rows[0], actor, `reverted to history entry #${entry.id}`);
+      return { user: rowToUser(rows[0]), message: `Reverted to history entry #${entry.id}` };
+    });
+
+    if (result.status) return res.status(result.status).json({ message: result.message });
+    res.json(result);
+  } catch (err) {
+    if (err.code === "23505") {
+      return res.status(409).json({ message: "That version's regno is now used by another profile" });
+    }
+    console.error("POST /api/users/:regno/revert error:", err);
+    res.status(400).json({ message: "Bad request during revert" });
+  }
+});
+
+// ============ STAFF ACCOUNTS & AUTH ============
+
+const STAFF_COLUMNS = `id, username, full_name, role, branch, is_active, last_login_at, created_at, updated_at`;
+
+function staffToResponse(row) {
+  return {
+    id: row.id,
+    username: row.username,
+    full_name: row.full_name,
+    role: row.role,
+    branch: row.branch,
+    is_active: row.is_active,
+    last_login_at: row.last_login_at,
+    created_at: row.created_at,
+    updated_at: row.updated_at,
+  };
+}
+
+function passwordProblem(password) {
+  if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  return null;
+}
+
+// checked against when the username is unknown, so both paths cost one scrypt
+const DUMMY_PASSWORD_HASH = `scrypt$${"0".repeat(32)}$${"0".repeat(128)}`;
+
+// ---------- POST /api/auth/login ----------
+// body: { username, password } -> { token, expires_at, staff }
+app.post("/api/auth/login", async (req, res) => {
+  try {
+    const username = String(req.body?.username || "").trim().toLowerCase();
+    const password = String(req.body?.password || "");
+    if (!username || !password) {
+      return res.status(400).json({ message: "username and password are required" });
+    }
+
+    const { rows } = await pool.query(
+      `SELECT * FROM t1."T1_STAFF" WHERE username = $1`,
+      [username]
+    );
+    const staff = rows[0];
+    const ok = await verifyPassword(password, staff?.password_hash || DUMMY_PASSWORD_HASH);
+    if (!staff || !ok || !staff.is_active) {
+      return res.status(401).json({ message: "Invalid username or password" });
+    }
+
+    const token = crypto.randomBytes(32).toString("base64url");
+    const expiresAt = dayjs().add(SESSION_TTL_HOURS, "hour").toDate();
+    await pool.query(
+      `INSERT INTO t1."T1_SESSIONS" (token_hash, staff_id, expires_at) VALUES ($1, $2, $3)`,
+      [hashToken(token), staff.id, expiresAt]
+    );
+    const updated = await pool.query(
+      `UPDATE t1."T1_STAFF" SET last_login_at = now() WHERE id = $1 RETURNING ${STAFF_COLUMNS}`,
+      [staff.id]
+    );
+
+    res.json({ token, expires_at: expiresAt, staff: staffToResponse(updated.rows[0]) });
+  } catch (err) {
+    console.error("POST /api/auth/login error:", err);
+    res.status(500).json({ message: "Server error during login" });
+  }
+});
+
+// ---------- POST /api/auth/logout ----------
+app.post("/api/auth/logout", async (req, res) => {
+  try {
+    await pool.query(
+      `UPDATE t1."T1_SESSIONS" SET revoked_at = now() WHERE token_hash = $1 AND revoked_at IS NULL`,
+      [hashToken(bearerToken(req))]
+    );
+    res.json({ message: "Logged out" });
+  } catch (err) {
+    console.error("POST /api/auth/logout error:", err);
+    res.status(500).json({ message: "Server error during logout" });
+  }
+});
+
+// ---------- GET /api/auth/me ----------
+app.get("/api/auth/me", async (req, res) => {
+  try {
+    const { rows } = await pool.query(
+      `SELECT ${STAFF_COLUMNS} FROM t1."T1_STAFF" WHERE id = $1`,
+      [req.staff.id]
+    );
+    res.json({ staff: staffToResponse(rows[0]) });
+  } catch (err) {
+    console.error("GET /api/auth/me error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// ---------- POST /api/auth/change-password ----------
+// body: { current_password, new_password }; other sessions are signed out
+app.post("/api/auth/change-password", async (req, res) => {
+  try {
+    const { current_password, new_password } = req.body || {};
+    const problem = passwordProblem(new_password);
+    if (problem) return res.status(400).json({ message: problem });
+
+    const { rows } = await pool.query(
+      `SELECT password_hash FROM t1."T1_STAFF" WHERE id = $1`,
+      [req.staff.id]
+    );
+    if (!rows[0] || !(await verifyPassword(current_password, rows[0].password_hash))) {
+      return res.status(401).json({ message: "Current password is incorrect" });
+    }
+
+    const newHash = await hashPassword(new_password);
+    await withTransaction(async (client) => {
+      await client.query(
+        `UPDATE t1."T1_STAFF" SET password_hash = $1, updated_at = now() WHERE id = $2`,
+        [newHash, req.staff.id]
+      );
+      await client.query(
+        `UPDATE t1."T1_SESSIONS" SET revoked_at = now()
+         WHERE staff_id = $1 AND revoked_at IS NULL AND token_hash <> $2`,
+        [req.staff.id, hashToken(bearerToken(req))]
+      );
+    });
+    res.json({ message: "Password changed" });
+  } catch (err) {
+    console.error("POST /api/auth/change-password error:", err);
+    res.status(500).json({ message: "Server error while changing password" });
+  }
+});
+
+// staff.branch as given in a body: null (every branch) or a branch code.
+// Branch admins only manage accounts of their own branch.
+function readStaffBranch(req, value) {
+  const branch = value === null || value === "" ? null : String(value).trim().toLowerCase();
+  const scope = branchScopeOf(req);
+  if (scope !== null && branch !== scope) return { error: `branch must be ${scope}` };
+  return { branch };
+}
+
+// ---------- GET /api/staff (admin) ----------
+// branch admins see their own branch's accounts
+app.get("/api/staff", requireRole("admin"), async (req, res) => {
+  try {
+    const params = [];
+    const { rows } = await pool.query(
+      `SELECT ${STAFF_COLUMNS} FROM t1."T1_STAFF"
+       WHERE true${branchFilter(req, "branch", params)}
+       ORDER BY is_active DESC, username ASC`,
+      params
+    );
+    res.json({ staff: rows.map(staffToResponse) });
+  } catch (err) {
+    console.error("GET /api/staff error:", err);
+    res.status(500).json({ message: "Server error while fetching staff" });
+  }
+});
+
+// ---------- POST /api/staff (admin) ----------
+// body: { username, password, full_name?, role?, branch? }. branch defaults
+// to the creating admin's; null means every branch.
+app.post("/api/staff", requireRole("admin"), async (req, res) => {
+  try {
+    const username = String(req.body?.username || "").trim().toLowerCase();
+    const role = req.body?.role || "viewer";
+    if (!/^[a-z0-9._-]{3,40}$/.test(username)) {
+      return res.status(400).json({ message: "username must be 3-40 letters, digits, '.', '_' or '-'" });
+    }
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ message: `role must be one of: ${ROLES.join(", ")}` });
+    }
+    const problem = passwordProblem(req.body?.password);
+    if (problem) return res.status(400).json({ message: problem });
+    const placed = readStaffBranch(req, req.body.branch === undefined ? req.staff.branch : req.body.branch);
+    if (placed.error) return res.status(400).json({ message: placed.error });
+
+    const { rows } = await pool.query(
+      `INSERT INTO t1."T1_STAFF" (username, full_name, password_hash, role, branch)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING ${STAFF_COLUMNS}`,
+      [username, req.body.full_name || username, await hashPassword(req.body.password), role, placed.branch]
+    );
+    res.status(201).json({ staff: staffToResponse(rows[0]) });
+  } catch (err) {
+    if (err.code === "23505") {
+      return res.status(409).json({ message: "A staff account with this username already exists" });
+    }
+    if (err.code === "23503") return res.status(400).json({ message: "branch does not exist" });
+    console.error("POST /api/staff error:", err);
+    res.status(500).json({ message: "Server error while creating staff account" });
+  }
+});
+
+// ---------- PUT /api/staff/:id (admin) ----------
+// body: any of { full_name, role, branch, is_active, password }; a role change,
+// deactivation or password reset signs the account out everywhere
+app.put("/api/staff/:id", requireRole("admin"), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id)) return res.status(400).json({ message: "Invalid staff id" });
+    const body = req.body || {};
+    const isActive = body.is_active === undefined ? undefined : body.is_active === true || body.is_active === "true";
+
+    if (id === req.staff.id && ((body.role !== undefined && body.role !== "admin") || isActive === false)) {
+      return res.status(400).json({ message: "You cannot demote or deactivate your own account" });
+    }
+
+    const setParts = [];
+    const values = [];
+    if (body.full_name !== undefined) {
+      values.push(String(body.full_name).trim());
+      setParts.push(`full_name = $${values.length}`);
+    }
+    if (body.role !== undefined) {
+      if (!ROLES.includes(body.role)) {
+        return res.status(400).json({ message: `role must be one of: ${ROLES.join(", ")}` });
+      }
+      values.push(body.role);
+      setParts.push(`role = $${values.length}`);
+    }
+    if (body.branch !== undefined) {
+      const placed = readStaffBranch(req, body.branch);
+      if (placed.error) return res.status(400).json({ message: placed.error });
+      values.push(placed.branch);
+      setParts.push(`branch = $${values.length}`);
+    }
+    if (isActive !== undefined) {
+      values.push(isActive);
+      setParts.push(`is_active = $${values.length}`);
+    }
+    if (body.password !== undefined) {
+      const problem = passwordProblem(body.password);
+      if (problem) return res.status(400).json({ message: problem });
+      values.push(await hashPassword(body.password));
+      setParts.push(`password_hash = $${values.length}`);
+    }
+    if (!setParts.length) return res.status(400).json({ message: "Nothing to update" });
+
+    values.push(id);
+    const where = `id = $${values.length}${branchFilter(req, "branch", values)}`;
+    const result = await withTransaction(async (client) => {
+      const { rows } = await client.query(
+        `UPDATE t1."T1_STAFF" SET ${setParts.join(", ")}, updated_at = now()
+         WHERE ${where}
+         RETURNING ${STAFF_COLUMNS}`,
+        values
+      );
+      if (!rows[0]) return null;
+      if (body.role !== undefined || body.is_active !== undefined || body.password !== undefined) {
+        await client.query(
+          `UPDATE t1."T1_SESSIONS" SET revoked_at = now() WHERE staff_id = $1 AND revoked_at IS NULL`,
+          [id]
+        );
+      }
+      return rows[0];
+    });
+
+    if (!result) return res.status(404).json({ message: "Staff account not found" });
+    res.json({ staff: staffToResponse(result) });
+  } catch (err) {
+    if (err.code === "23503") return res.status(400).json({ message: "branch does not exist" });
+    console.error("PUT /api/staff/:id error:", err);
+    res.status(500).json({ message: "Server error while updating staff account" });
+  }
+});
+
+// ---------- DELETE /api/staff/:id (admin) ----------
+// accounts are deactivated, not removed, so their names stay valid in history
+app.delete("/api/staff/:id", requireRole("admin"), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id)) return res.status(400).json({ message: "Invalid staff id" });
+    if (id === req.staff.id) {
+      return res.status(400).json({ message: "You cannot deactivate your own account" });
+    }
+
+    const params = [id];
+    const scoped = branchFilter(req, "branch", params);
+    const result = await withTransaction(async (client) => {
+      const { rows } = await client.query(
+        `UPDATE t1."T1_STAFF" SET is_active = false, updated_at = now()
+         WHERE id = $1${scoped}
+         RETURNING ${STAFF_COLUMNS}`,
+        params
+      );
+      if (!rows[0]) return null;
+      await client.query(
+        `UPDATE t1."T1_SESSIONS" SET revoked_at = now() WHERE staff_id = $1 AND revoked_at IS NULL`,
+        [id]
+      );
+      return rows[0];
+    });
+
+    if (!result) return res.status(404).json({ message: "Staff account not found" });
+    res.json({ message: "Staff account deactivated", staff: staffToResponse(result) });
+  } catch (err) {
+    console.error("DELETE /api/staff/:id error:", err);
+    res.status(500).json({ message: "Server error while deactivating staff account" });
+  }
+});
+
+// ============ RENEWAL REMINDERS & OUTBOX ============
+// Reminders are generated into t1."T1_OUTBOX" (one row per member, channel
+// and reminder) and then delivered by a channel adapter. Failed sends are
+// retried with backoff until REMINDER_MAX_ATTEMPTS. A channel with no adapter
+// configured is not sent at all: its messages wait as pending. Messages left
+// 'sending' by a run that died are picked up again after
+// REMINDER_SENDING_TIMEOUT_MINUTES, so a crash can mean a repeat, never a loss.
+//
+//   REMINDER_OFFSETS   days before expiry_date, negative = after (default 10,3,0,-7)
+//   REMINDER_CHANNELS  sms, whatsapp, email (default sms,email)
+//   SMS_ADAPTER / WHATSAPP_ADAPTER   file | http (console outside production,
+//                      where it is also the default)
+//   EMAIL_ADAPTER      file | smtp (console as above)
+//   REMINDER_SENDING_TIMEOUT_MINUTES  (default 15)
+//   SMS_GATEWAY_URL / WHATSAPP_GATEWAY_URL (+ _TOKEN)  for the http adapter;
+//                      receives POST { to, message, reference }
+//   SMTP_URL, SMTP_FROM                                 for the smtp adapter
+//   REMINDER_OUTBOX_FILE                                for the file adapter
+
+const REMINDER_OFFSETS = String(process.env.REMINDER_OFFSETS || "10,3,0,-7")
+  .split(",")
+  .map((v) => parseInt(v, 10))
+  .filter((n) => !isNaN(n));
+const REMINDER_CHANNELS = String(process.env.REMINDER_CHANNELS || "sms,email")
+  .split(",")
+  .map((c) => c.trim().toLowerCase())
+  .filter(Boolean);
+const REMINDER_MAX_ATTEMPTS = Number(process.env.REMINDER_MAX_ATTEMPTS || 5);
+const REMINDER_SENDING_TIMEOUT_MINUTES = Number(process.env.REMINDER_SENDING_TIMEOUT_MINUTES || 15);
+const DEFAULT_COUNTRY_CODE = process.env.DEFAULT_COUNTRY_CODE || "91";
+const OUTBOX_STATUSES = ["pending", "sending", "sent", "failed"];
+
+// channel -> member column holding the address
+const CHANNEL_RECIPIENT = { sms: "contact1", whatsapp: "contact1", email: "email" };
+
+// ---------- Channel adapters ----------
+// send(message) resolves to { ref } or throws; message is an outbox row
+async function postToGateway(url, token, message) {
+  if (!url) throw new Error("gateway URL is not configured");
+  const response = await fetch(url, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      ...(token ? { Authorization: `Bearer ${token}` } : {}),
+    },
+    body: JSON.stringify({ to: message.recipient, message: message.body, reference: message.id }),
+  });
+  if (!response.ok) throw new Error(`gateway answered ${response.status}`);
+  const data = await response.json().catch(() => ({}));
+  return { ref: data.id || data.message_id || null };
+}
+
+let smtpTransport = null;
+
+const CHANNEL_ADAPTERS = {
+  console: {
+    async send(message) {
+      console.log(`[outbox:${message.channel}] to ${message.recipient}: ${message.subject ? `${message.subject} | ` : ""}${message.body}`);
+      return { ref: null };
+    },
+  },
+  file: {
+    async send(message) {
+      const file = process.env.REMINDER_OUTBOX_FILE || path.join(os.tmpdir(), "reminder-outbox.log");
+      const { id, channel, recipient, subject, body } = message;
+      await fs.appendFile(file, JSON.stringify({ at: new Date(), id, channel, recipient, subject, body }) + "\n");
+      return { ref: null };
+    },
+  },
+  http: {
+    async send(message) {
+      const prefix = message.channel === "whatsapp" ? "WHATSAPP" : "SMS";
+      return postToGateway(
+        process.env[`${prefix}_GATEWAY_URL`],
+        process.env[`${prefix}_GATEWAY_TOKEN`],
+        message
+      );
+    },
+  },
+  smtp: {
+    async send(message) {
+      if (!process.env.SMTP_URL) throw new Error("SMTP_URL is not configured");
+      smtpTransport ||= nodemailer.createTransport(process.env.SMTP_URL);
+      const info = await smtpTransport.sendMail({
+        from: process.env.SMTP_FROM || AGENCY.email,
+        to: message.recipient,
+        subject: message.subject || AGENCY.name,
+        text: message.body,
+      });
+      return { ref: info.messageId || null };
+    },
+  },
+};
+
+// the channel's adapter, or null when none is configured. console only
+// prints, so production must name a real one.
+function adapterFor(channel) {
+  const production = process.env.NODE_ENV === "production";
+  const name = String(process.env[`${channel.toUpperCase()}_ADAPTER`] || (production ? "" : "console")).toLowerCase();
+  if (!name) return null;
+  if (name === "console" && production) throw new Error(`the console adapter is not allowed in production (${channel})`);
+  const adapter = CHANNEL_ADAPTERS[name];
+  if (!adapter) throw new Error(`unknown adapter "${name}" for ${channel}`);
+  return adapter;
+}
+
+// ---------- Templates ----------
+// before / due / after expiry; {{placeholders}} from reminderVariables
+const REMINDER_TEMPLATE_KEYS = ["before", "due", "after"];
+const DEFAULT_REMINDER_TEMPLATES = {
+  before: {
+    subject: "Your {{agency}} membership expires on {{expiry_date}}",
+    body:
+      "Dear {{name}}, your {{plan}} membership (Reg No {{regno}}) with {{agency}} expires on " +
+      "{{expiry_date}}, {{days}} day(s) from today. Renew to keep receiving matching profiles. {{agency_phone}}",
+  },
+  due: {
+    subject: "Your {{agency}} membership expires today",
+    body:
+      "Dear {{name}}, your {{plan}} membership (Reg No {{regno}}) with {{agency}} expires today. " +
+      "Renew today to continue without a break. {{agency_phone}}",
+  },
+  after: {
+    subject: "Your {{agency}} membership has expired",
+    body:
+      "Dear {{name}}, your {{plan}} membership (Reg No {{regno}}) with {{agency}} expired on " +
+      "{{expiry_date}}. Renew now to see new matching profiles. {{agency_phone}}",
+  },
+};
+
+const templateKeyFor = (offset) => (offset > 0 ? "before" : offset === 0 ? "due" : "after");
+
+const renderTemplate = (text, vars) =>
+  String(text || "").replace(/\{\{\s*(\w+)\s*\}\}/g, (_, key) => (vars[key] ?? "").toString()).trim();
+
+function reminderVariables(user, offset) {
+  return {
+    name: user.name || "Member",
+    regno: user.regno,
+    plan: user.plan ? user.plan.charAt(0).toUpperCase() + user.plan.slice(1) : "",
+    expiry_date: displayDate(user.expiry_date),
+    days: Math.abs(offset),
+    agency: AGENCY.name,
+    agency_phone: AGENCY.phone,
+  };
+}
+
+// numbers without a country code get DEFAULT_COUNTRY_CODE
+function recipientFor(user, channel) {
+  const value = user[CHANNEL_RECIPIENT[channel]];
+  if (!value) return null;
+  if (channel === "email") return String(value).trim().toLowerCase();
+  const digits = String(value).replace(/[^\d+]/g, "");
+  if (digits.startsWith("+")) return digits;
+  if (digits.length === 10) return `+${DEFAULT_COUNTRY_CODE}${digits}`;
+  return `+${digits.replace(/^0+/, "")}`;
+}
+
+// ---------- Generation & delivery ----------
+// Queues every reminder due on `onDate`. Re-running is safe: each member /
+// channel / expiry / offset is queued once.
+async function generateReminders(onDate = new Date()) {
+  const templatesRes = await pool.query(`SELECT * FROM t1."T1_REMINDER_TEMPLATES"`);
+  const templates = new Map(templatesRes.rows.map((t) => [`${t.key}|${t.channel}`, t]));
+  const day = dayjs(onDate).startOf("day");
+
+  let queued = 0;
+  let skipped = 0;
+  for (const offset of REMINDER_OFFSETS) {
+    const expiryDay = day.add(offset, "day").format("YYYY-MM-DD");
+    const { rows: users } = await pool.query(
+      `SELECT * FROM t1."T1_USERS"
+       WHERE is_deleted = false
+         AND expiry_date IS NOT NULL
+         AND ${localDate("expiry_date")} = $1::date`,
+      [expiryDay]
+    );
+
+    const key = templateKeyFor(offset);
+    for (const user of users) {
+      const vars = reminderVariables(user, offset);
+      for (const channel of REMINDER_CHANNELS) {
+        const recipient = recipientFor(user, channel);
+        if (!recipient) {
+          skipped++;
+          continue;
+        }
+        const template = templates.get(`${key}|${channel}`) || DEFAULT_REMINDER_TEMPLATES[key];
+        const { rowCount } = await pool.query(
+          `INSERT INTO t1."T1_OUTBOX"
+             (user_id, regno, channel, recipient, subject, body, reminder_key)
+           VALUES ($1, $2, $3, $4, $5, $6, $7)
+           ON CONFLICT (user_id, channel, reminder_key) DO NOTHING`,
+          [
+            user.id,
+            user.regno,
+            channel,
+            recipient,
+            channel === "email" ? renderTemplate(template.subject, vars) : null,
+            renderTemplate(template.body, vars),
+            `expiry:${expiryDay}:${offset}`,
+          ]
+        );
+        queued += rowCount;
+      }
+    }
+  }
+  return { queued, skipped_no_contact: skipped };
+}
+
+// Sends up to `limit` due outbox messages; returns { sent, failed, retrying,
+// unconfigured } (the channels left waiting for an adapter). A claimed row's
+// next_attempt_at is its lease: still 'sending' after that, it is claimed again.
+async function dispatchOutbox(limit = 200) {
+  const channels = [...new Set([...REMINDER_CHANNELS, ...Object.keys(CHANNEL_RECIPIENT)])];
+  const unconfigured = channels.filter((channel) => !adapterFor(channel));
+  if (unconfigured.length) {
+    console.error(`Outbox: no adapter configured for ${unconfigured.join(", ")}; those messages stay pending`);
+  }
+
+  const { rows } = await pool.query(
+    `UPDATE t1."T1_OUTBOX"
+     SET status = 'sending', attempts = attempts + 1,
+         next_attempt_at = now() + ($3 || ' minutes')::interval
+     WHERE id IN (
+       SELECT id FROM t1."T1_OUTBOX"
+       WHERE status IN ('pending', 'sending') AND next_attempt_at <= now()
+         AND NOT (channel = ANY($2::text[]))
+       ORDER BY next_attempt_at, id
+       LIMIT $1
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING *`,
+    [limit, unconfigured, REMINDER_SENDING_TIMEOUT_MINUTES]
+  );
+
+  const result = { sent: 0, failed: 0, retrying: 0, unconfigured };
+  for (const message of rows) {
+    try {
+      const { ref } = await adapterFor(message.channel).send(message);
+      await pool.query(
+        `UPDATE t1."T1_OUTBOX"
+         SET status = 'sent', sent_at = now(), provider_ref = $2, last_error = NULL
+         WHERE id = $1`,
+        [message.id, ref]
+      );
+      result.sent++;
+    } catch (err) {
+      const giveUp = message.attempts >= REMINDER_MAX_ATTEMPTS;
+      // 2, 4, 8, 16 ... minutes between attempts
+      await pool.query(
+        `UPDATE t1."T1_OUTBOX"
+         SET status = $2, last_error = $3,
+             next_attempt_at = now() + ($4 || ' minutes')::interval
+         WHERE id = $1`,
+        [message.id, giveUp ? "failed" : "pending", String(err.message || err), 2 ** message.attempts]
+      );
+      result[giveUp ? "failed" : "retrying"]++;
+    }
+  }
+  return result;
+}
+
+app.use("/api/reminders", requireRole("manager"));
+
+// ---------- POST /api/reminders/run ----------
+// body: { date?: YYYY-MM-DD, send?: false } - queue the day's reminders and
+// (unless send=false) deliver everything due
+app.post("/api/reminders/run", async (req, res) => {
+  try {
+    const onDate = req.body?.date ? tryParseDate(req.body.date) : new Date();
+    if (!onDate) return res.status(400).json({ message: "date must be a date" });
+
+    const generated = await generateReminders(onDate);
+    const delivery = req.body?.send === false ? null : await dispatchOutbox();
+    res.json({ date: dayjs(onDate).format("YYYY-MM-DD"), ...generated, delivery });
+  } catch (err) {
+    console.error("POST /api/reminders/run error:", err);
+    res.status(500).json({ message: "Error running reminders" });
+  }
+});
+
+// ---------- POST /api/reminders/dispatch ----------
+// deliver queued messages / retries without generating new ones
+app.post("/api/reminders/dispatch", async (req, res) => {
+  try {
+    res.json(await dispatchOutbox());
+  } catch (err) {
+    console.error("POST /api/reminders/dispatch error:", err);
+    res.status(500).json({ message: "Error dispatching reminders" });
+  }
+});
+
+// ---------- GET /api/reminders/outbox ----------
+// what was (or will be) sent to whom: ?status=&channel=&regno=&from=&to=, paged
+app.get("/api/reminders/outbox", async (req, res) => {
+  try {
+    const { page = 1, limit = 100, status, channel, regno, from, to } = req.query;
+
+    const filters = [];
+    const params = [];
+    if (status) {
+      if (!OUTBOX_STATUSES.includes(status)) {
+        return res.status(400).json({ message: `status must be one of ${OUTBOX_STATUSES.join(", ")}` });
+      }
+      params.push(status);
+      filters.push(`status = $${params.length}`);
+    }
+    if (channel) {
+      params.push(String(channel).toLowerCase());
+      filters.push(`channel = $${params.length}`);
+    }
+    if (regno) {
+      const r = parseInt(regno, 10);
+      if (isNaN(r)) return res.status(400).json({ message: "Invalid regno" });
+      params.push(r);
+      filters.push(`regno = $${params.length}`);
+    }
+    for (const [value, op] of [[from, ">="], [to, "<="]]) {
+      if (!value) continue;
+      const d = tryParseDate(value);
+      if (!d) return res.status(400).json({ message: "from / to must be dates" });
+      params.push(dayjs(d).format("YYYY-MM-DD"));
+      filters.push(`${localDate("created_at")} ${op} $${params.length}::date`);
+    }
+    const scope = branchScopeOf(req);
+    if (scope !== null) {
+      params.push(scope);
+      filters.push(`user_id IN (SELECT id FROM t1."T1_USERS" WHERE branch = $${params.length})`);
+    }
+    const where = filters.length ? `WHERE ${filters.join(" AND ")}` : "";
+
+    const pageInt = Math.max(1, parseInt(page, 10) || 1);
+    const perPage = Math.min(1000, Math.max(1, parseInt(limit, 10) || 100));
+    const offset = (pageInt - 1) * perPage;
+
+    const countRes = await pool.query(`SELECT COUNT(*)::int AS total FROM t1."T1_OUTBOX" ${where}`, params);
+    const total = countRes.rows[0]?.total || 0;
+    const { rows } = await pool.query(
+      `SELECT * FROM t1."T1_OUTBOX" ${where}
+       ORDER BY created_at DESC, id DESC
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, perPage, offset]
+    );
+
+    res.json({ messages: rows, total, page: pageInt, limit: perPage, totalPages: Math.ceil(total / perPage) });
+  } catch (err) {
+    console.error("GET /api/reminders/outbox error:", err);
+    res.status(500).json({ message: "Error fetching outbox" });
+  }
+});
+
+// ---------- POST /api/reminders/outbox/:id/retry ----------
+// puts a failed message back in the queue with a fresh set of attempts
+app.post("/api/reminders/outbox/:id/retry", async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id)) return res.status(400).json({ message: "Invalid id" });
+    const { rows } = await pool.query(
+      `UPDATE t1."T1_OUTBOX"
+       SET status = 'pending', attempts = 0, next_attempt_at = now()
+       WHERE id = $1 AND status = 'failed'
+       RETURNING *`,
+      [id]
+    );
+    if (!rows[0]) return res.status(404).json({ message: "No failed message with this id" });
+    res.json({ message: "Message queued again", outbox: rows[0] });
+  } catch (err) {
+    console.error("POST /api/reminders/outbox/:id/retry error:", err);
+    res.status(500).json({ message: "Error retrying message" });
+  }
+});
+
+// ---------- GET /api/reminders/templates ----------
+// the effective template for every key / channel (stored or built-in)
+app.get("/api/reminders/templates", async (req, res) => {
+  try {
+    const { rows } = await pool.query(`SELECT * FROM t1."T1_REMINDER_TEMPLATES"`);
+    const stored = new Map(rows.map((t) => [`${t.key}|${t.channel}`, t]));
+    const templates = [];
+    for (const key of REMINDER_TEMPLATE_KEYS) {
+      for (const channel of Object.keys(CHANNEL_RECIPIENT)) {
+        const t = stored.get(`${key}|${channel}`);
+        templates.push({
+          key,
+          channel,
+          subject: t ? t.subject : DEFAULT_REMINDER_TEMPLATES[key].subject,
+          body: t ? t.body : DEFAULT_REMINDER_TEMPLATES[key].body,
+          is_default: !t,
+          updated_by: t?.updated_by ?? null,
+          updated_at: t?.updated_at ?? null,
+        });
+      }
+    }
+    res.json({ offsets: REMINDER_OFFSETS, channels: REMINDER_CHANNELS, templates });
+  } catch (err) {
+    console.error("GET /api/reminders/templates error:", err);
+    res.status(500).json({ message: "Error fetching templates" });
+  }
+});
+
+// ---------- PUT /api/reminders/templates/:key/:channel ----------
+// body: { subject?, body }; an empty body goes back to the built-in text
+app.put("/api/reminders/templates/:key/:channel", async (req, res) => {
+  try {
+    const { key, channel } = req.params;
+    if (!REMINDER_TEMPLATE_KEYS.includes(key)) {
+      return res.status(400).json({ message: `key must be one of ${REMINDER_TEMPLATE_KEYS.join(", ")}` });
+    }
+    if (!CHANNEL_RECIPIENT[channel]) {
+      return res.status(400).json({ message: `channel must be one of ${Object.keys(CHANNEL_RECIPIENT).join(", ")}` });
+    }
+
+    const body = String(req.body?.body || "").trim();
+    if (!body) {
+      await pool.query(`DELETE FROM t1."T1_REMINDER_TEMPLATES" WHERE key = $1 AND channel = $2`, [key, channel]);
+      return res.json({ message: "Template reset to default" });
+    }
+
+    const { rows } = await pool.query(
+      `INSERT INTO t1."T1_REMINDER_TEMPLATES" (key, channel, subject, body, updated_by, updated_at)
+       VALUES ($1, $2, $3, $4, $5, now())
+       ON CONFLICT (key, channel)
+       DO UPDATE SET subject = EXCLUDED.subject, body = EXCLUDED.body,
+                     updated_by = EXCLUDED.updated_by, updated_at = now()
+       RETURNING *`,
+      [key, channel, req.body?.subject ? String(req.body.subject).trim() : null, body, actorOf(req)]
+    );
+    res.json({ template: rows[0] });
+  } catch (err) {
+    console.error("PUT /api/reminders/templates error:", err);
+    res.status(500).json({ message: "Error saving template" });
+  }
+});
+
+// ============ REPORTS ============
+// Every report takes ?from=&to= (dates, inclusive; default the last 12
+// months) and ?format=json|csv. Money and membership figures come from the
+// payment ledger, so renewals count in the period they were paid. Dates are
+// bucketed in REPORT_TIMEZONE. Branch staff only ever see their own branch;
+// head office can narrow any report with ?branch=.
+
+const REPORT_GROUPS = ["day", "week", "month"];
+const AGE_BANDS = [
+  [null, 24, "under 25"],
+  [25, 29, "25-29"],
+  [30, 34, "30-34"],
+  [35, 39, "35-39"],
+  [40, null, "40+"],
+];
+
+// -> { from, to, group } (YYYY-MM-DD strings) or { error }
+function readReportRange(query, defaultGroup = "month") {
+  const to = query.to ? tryParseDate(query.to) : new Date();
+  const from = query.from
+    ? tryParseDate(query.from)
+    : dayjs(to).subtract(11, "month").startOf("month").toDate();
+  if (!from || !to) return { error: "from / to must be dates" };
+  if (from > to) return { error: "from must not be after to" };
+
+  const group = String(query.group || defaultGroup).toLowerCase();
+  if (!REPORT_GROUPS.includes(group)) {
+    return { error: `group must be one of ${REPORT_GROUPS.join(", ")}` };
+  }
+  return { from: dayjs(from).format("YYYY-MM-DD"), to: dayjs(to).format("YYYY-MM-DD"), group };
+}
+
+// every bucket start between from and to, so empty periods still show up
+const periodSeries = (fromParam, toParam, groupParam) => `
+  SELECT generate_series(
+    date_trunc(${groupParam}, ${fromParam}::date),
+    date_trunc(${groupParam}, ${toParam}::date),
+    ('1 ' || ${groupParam})::interval
+  )::date AS period`;
+
+// JSON { report, ...meta, rows } or a CSV download of rows; dates go out as
+// plain YYYY-MM-DD either way
+function sendReport(req, res, name, meta, data) {
+  const rows = data.map((r) =>
+    Object.fromEntries(
+      Object.entries(r).map(([k, v]) => [k, v instanceof Date ? dayjs(v).format("YYYY-MM-DD") : v])
+    )
+  );
+  const format = String(req.query.format || "json").toLowerCase();
+  if (format !== "csv") return res.json({ report: name, ...meta, rows });
+
+  const columns = rows.length ? Object.keys(rows[0]) : [];
+  const cell = (v) => v ?? "";
+  res.setHeader("Content-Type", "text/csv; charset=utf-8");
+  res.setHeader("Content-Disposition", `attachment; filename="${name}-${meta.from}-${meta.to}.csv"`);
+  res.send("\ufeff" + stringifyCsv([columns, ...rows.map((r) => columns.map((c) => cell(r[c])))]));
+}
+
+// reports show money, so they are for managers and admins
+app.use("/api/reports", requireRole("manager"));
+
+// ---------- GET /api/reports/revenue ----------
+// ?group=day|week|month&by=plan|payment_mode|kind|branch
+app.get("/api/reports/revenue", async (req, res) => {
+  try {
+    const range = readReportRange(req.query);
+    if (range.error) return res.status(400).json({ message: range.error });
+    const by = String(req.query.by || "plan").toLowerCase();
+    if (!["plan", "payment_mode", "kind", "branch"].includes(by)) {
+      return res.status(400).json({ message: "by must be plan, payment_mode, kind or branch" });
+    }
+    const branch = branchParamOf(req);
+
+    const { rows } = await pool.query(
+      `SELECT date_trunc($3, ${localDate("paid_at")})::date AS period,
+              COALESCE(NULLIF(LOWER(${by}), ''), 'unknown') AS ${by},
+              COUNT(*)::int AS payments,
+              SUM(amount)::numeric(14, 2) AS amount,
+              SUM(COALESCE(gst_amount, 0))::numeric(14, 2) AS gst_amount
+       FROM t1."T1_PAYMENTS"
+       WHERE ${localDate("paid_at")} BETWEEN $1 AND $2
+         AND ($4::text IS NULL OR branch = $4)
+       GROUP BY 1, 2
+       ORDER BY 1, 2`,
+      [range.from, range.to, range.group, branch]
+    );
+
+    const totals = rows.reduce(
+      (t, r) => ({
+        payments: t.payments + r.payments,
+        amount: round2(t.amount + Number(r.amount)),
+        gst_amount: round2(t.gst_amount + Number(r.gst_amount)),
+      }),
+      { payments: 0, amount: 0, gst_amount: 0 }
+    );
+    sendReport(req, res, "revenue", { ...range, branch, by, totals }, rows);
+  } catch (err) {
+    console.error("GET /api/reports/revenue error:", err);
+    res.status(500).json({ message: "Error building revenue report" });
+  }
+});
+
+// ---------- GET /api/reports/registrations ----------
+// new vs renewal payments per period
+app.get("/api/reports/registrations", async (req, res) => {
+  try {
+    const range = readReportRange(req.query);
+    if (range.error) return res.status(400).json({ message: range.error });
+    const branch = branchParamOf(req);
+
+    const { rows } = await pool.query(
+      `WITH periods AS (${periodSeries("$1", "$2", "$3")})
+       SELECT p.period,
+              COUNT(*) FILTER (WHERE x.kind = 'new')::int AS new,
+              COUNT(*) FILTER (WHERE x.kind = 'renewal')::int AS renewal,
+              COUNT(x.id)::int AS total
+       FROM periods p
+       LEFT JOIN t1."T1_PAYMENTS" x
+         ON date_trunc($3, ${localDate("x.paid_at")})::date = p.period
+        AND ${localDate("x.paid_at")} BETWEEN $1 AND $2
+        AND ($4::text IS NULL OR x.branch = $4)
+       GROUP BY p.period
+       ORDER BY p.period`,
+      [range.from, range.to, range.group, branch]
+    );
+    sendReport(req, res, "registrations", { ...range, branch }, rows);
+  } catch (err) {
+    console.error("GET /api/reports/registrations error:", err);
+    res.status(500).json({ message: "Error building registrations report" });
+  }
+});
+
+// ---------- GET /api/reports/membership ----------
+// active / expired members at the end of each period. Active = a paid term
+// covers that day; expired = registered by then but not covered.
+app.get("/api/reports/membership", async (req, res) => {
+  try {
+    const range = readReportRange(req.query);
+    if (range.error) return res.status(400).json({ message: range.error });
+    const branch = branchParamOf(req);
+
+    const { rows } = await pool.query(
+      `WITH periods AS (${periodSeries("$1", "$2", "$3")}),
+       points AS (
+         SELECT period, LEAST((period + ('1 ' || $3)::interval - interval '1 day')::date, $2::date) AS as_of
+         FROM periods
+       )
+       SELECT pt.period, pt.as_of,
+              (SELECT COUNT(*) FROM t1."T1_USERS" u
+                WHERE u.is_deleted = false
+                  AND ($4::text IS NULL OR u.branch = $4)
+                  AND ${localDate("COALESCE(u.reg_date, u.created_at)")} <= pt.as_of)::int AS registered,
+              (SELECT COUNT(DISTINCT x.user_id) FROM t1."T1_PAYMENTS" x
+                JOIN t1."T1_USERS" u ON u.id = x.user_id AND u.is_deleted = false
+                WHERE ($4::text IS NULL OR u.branch = $4)
+                  AND ${localDate("COALESCE(x.period_start, x.paid_at)")} <= pt.as_of
+                  AND ${localDate("x.period_end")} >= pt.as_of)::int AS active
+       FROM points pt
+       ORDER BY pt.period`,
+      [range.from, range.to, range.group, branch]
+    );
+    sendReport(
+      req,
+      res,
+      "membership",
+      { ...range, branch },
+      rows.map((r) => ({ ...r, expired: Math.max(0, r.registered - r.active) }))
+    );
+  } catch (err) {
+    console.error("GET /api/reports/membership error:", err);
+    res.status(500).json({ message: "Error building membership report" });
+  }
+});
+
+// ---------- GET /api/reports/renewal-conversion ----------
+// terms that ended in each period, and how many were followed by another
+// payment from the same member (at any time after)
+app.get("/api/reports/renewal-conversion", async (req, res) => {
+  try {
+    const range = readReportRange(req.query);
+    if (range.error) return res.status(400).json({ message: range.error });
+    const branch = branchParamOf(req);
+
+    const { rows } = await pool.query(
+      `WITH periods AS (${periodSeries("$1", "$2", "$3")}),
+       expiring AS (
+         SELECT date_trunc($3, ${localDate("x.period_end")})::date AS period,
+                EXISTS (
+                  SELECT 1 FROM t1."T1_PAYMENTS" r
+                  WHERE r.user_id = x.user_id AND r.paid_at > x.paid_at
+                ) AS renewed
+         FROM t1."T1_PAYMENTS" x
+         WHERE x.user_id IS NOT NULL
+           AND ($4::text IS NULL OR x.branch = $4)
+           AND ${localDate("x.period_end")} BETWEEN $1 AND $2
+       )
+       SELECT p.period,
+              COUNT(e.period)::int AS expiring,
+              COUNT(*) FILTER (WHERE e.renewed)::int AS renewed
+       FROM periods p
+       LEFT JOIN expiring e ON e.period = p.period
+       GROUP BY p.period
+       ORDER BY p.period`,
+      [range.from, range.to, range.group, branch]
+    );
+
+    const withRate = rows.map((r) => ({
+      ...r,
+      conversion_rate: r.expiring ? round2((r.renewed / r.expiring) * 100) : null,
+    }));
+    const expiring = rows.reduce((n, r) => n + r.expiring, 0);
+    const renewed = rows.reduce((n, r) => n + r.renewed, 0);
+    sendReport(
+      req,
+      res,
+      "renewal-conversion",
+      { ...range, branch, expiring, renewed, conversion_rate: expiring ? round2((renewed / expiring) * 100) : null },
+      withRate
+    );
+  } catch (err) {
+    console.error("GET /api/reports/renewal-conversion error:", err);
+    res.status(500).json({ message: "Error building renewal conversion report" });
+  }
+});
+
+// ---------- GET /api/reports/demographics ----------
+// gender / caste / age band of members with a paid term overlapping the range
+app.get("/api/reports/demographics", async (req, res) => {
+  try {
+    const range = readReportRange(req.query);
+    if (range.error) return res.status(400).json({ message: range.error });
+    const branch = branchParamOf(req);
+
+    const ageBand = `CASE ${AGE_BANDS.map(([min, max, label]) => {
+      const conds = [min !== null && `${AGE_SQL} >= ${min}`, max !== null && `${AGE_SQL} <= ${max}`];
+      return `WHEN ${conds.filter(Boolean).join(" AND ")} THEN '${label}'`;
+    }).join(" ")} ELSE 'unknown' END`;
+
+    const { rows } = await pool.query(
+      `WITH active AS (
+         SELECT u.* FROM t1."T1_USERS" u
+         WHERE u.is_deleted = false
+           AND ($3::text IS NULL OR u.branch = $3)
+           AND EXISTS (
+             SELECT 1 FROM t1."T1_PAYMENTS" x
+             WHERE x.user_id = u.id
+               AND ${localDate("COALESCE(x.period_start, x.paid_at)")} <= $2
+               AND ${localDate("x.period_end")} >= $1
+           )
+       )
+       SELECT 'gender' AS dimension, COALESCE(NULLIF(gender, ''), 'unknown') AS value, COUNT(*)::int AS members
+         FROM active GROUP BY 2
+       UNION ALL
+       SELECT 'caste', COALESCE(NULLIF(caste, ''), 'unknown'), COUNT(*)::int FROM active GROUP BY 2
+       UNION ALL
+       SELECT 'age', ${ageBand}, COUNT(*)::int FROM active GROUP BY 2
+       ORDER BY 1, 3 DESC, 2`,
+      [range.from, range.to, branch]
+    );
+
+    const { group, ...meta } = { ...range, branch };
+    if (String(req.query.format).toLowerCase() === "csv") return sendReport(req, res, "demographics", meta, rows);
+
+    const byDimension = { gender: [], caste: [], age: [] };
+    for (const r of rows) byDimension[r.dimension].push({ value: r.value, members: r.members });
+    // bands in age order, "unknown" last
+    const bandOrder = (v) => {
+      const i = AGE_BANDS.findIndex((band) => band[2] === v);
+      return i === -1 ? AGE_BANDS.length : i;
+    };
+    byDimension.age.sort((a, b) => bandOrder(a.value) - bandOrder(b.value));
+    res.json({ report: "demographics", ...meta, ...byDimension });
+  } catch (err) {
+    console.error("GET /api/reports/demographics error:", err);
+    res.status(500).json({ message: "Error building demographics report" });
+  }
+});
+
+// ---------- GET /api/reports/branches ----------
+// one row per branch: members on the books and with a paid term on `to`,
+// and the new / renewal payments taken in the range
+app.get("/api/reports/branches", async (req, res) => {
+  try {
+    const range = readReportRange(req.query);
+    if (range.error) return res.status(400).json({ message: range.error });
+    const branch = branchParamOf(req);
+
+    const { rows } = await pool.query(
+      `SELECT b.code AS branch, b.name,
+              (SELECT COUNT(*) FROM t1."T1_USERS" u
+                WHERE u.branch = b.code AND u.is_deleted = false
+                  AND ${localDate("COALESCE(u.reg_date, u.created_at)")} <= $2)::int AS members,
+              (SELECT COUNT(DISTINCT x.user_id) FROM t1."T1_PAYMENTS" x
+                JOIN t1."T1_USERS" u ON u.id = x.user_id AND u.is_deleted = false
+                WHERE u.branch = b.code
+                  AND ${localDate("COALESCE(x.period_start, x.paid_at)")} <= $2
+                  AND ${localDate("x.period_end")} >= $2)::int AS active,
+              COUNT(p.id) FILTER (WHERE p.kind = 'new')::int AS new,
+              COUNT(p.id) FILTER (WHERE p.kind = 'renewal')::int AS renewals,
+              COALESCE(SUM(p.amount), 0)::numeric(14, 2) AS amount,
+              COALESCE(SUM(p.gst_amount), 0)::numeric(14, 2) AS gst_amount
+       FROM t1."T1_BRANCHES" b
+       LEFT JOIN t1."T1_PAYMENTS" p
+         ON p.branch = b.code AND ${localDate("p.paid_at")} BETWEEN $1 AND $2
+       WHERE $3::text IS NULL OR b.code = $3
+       GROUP BY b.code, b.name, b.is_head_office
+       ORDER BY b.is_head_office DESC, b.name`,
+      [range.from, range.to, branch]
+    );
+
+    const { group, ...meta } = range;
+    sendReport(req, res, "branches", { ...meta, branch }, rows);
+  } catch (err) {
+    console.error("GET /api/reports/branches error:", err);
+    res.status(500).json({ message: "Error building branches report" });
+  }
+});
+
+// ============ ATTACHMENTS (photos, horoscope charts) ============
+// Files go to a storage backend, metadata to t1."T1_ATTACHMENTS". Images get
+// a JPEG thumbnail stored next to the original.
+//
+//   ATTACHMENTS_STORAGE  local | s3. Required in production: serverless disks
+//                        are per instance and wiped, so uploads are refused
+//                        until it is set. Defaults to local elsewhere.
+//   ATTACHMENTS_DIR      local folder (default <tmpdir>/vivaha-attachments)
+//   S3_BUCKET, S3_REGION, S3_ENDPOINT (S3-compatible stores),
+//   S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY
+//   ATTACHMENT_MAX_MB    per file (default 4). Vercel rejects request bodies
+//                        over 4.5 MB, so raise it only on other hosts.
+
+const ATTACHMENT_KINDS = ["photo", "horoscope", "document"];
+const ATTACHMENT_MAX_MB = Number(process.env.ATTACHMENT_MAX_MB || 4);
+const ATTACHMENTS_PER_USER = 20;
+const THUMBNAIL_WIDTH = 320;
+
+// accepted types, recognised by their first bytes rather than the file name
+const ATTACHMENT_TYPES = [
+  { type: "image/jpeg", ext: "jpg", image: true, test: (b) => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  { type: "image/png", ext: "png", image: true, test: (b) => b.subarray(0, 4).toString("hex") === "89504e47" },
+  {
+    type: "image/webp",
+    ext: "webp",
+    image: true,
+    test: (b) => b.toString("ascii", 0, 4) === "RIFF" && b.toString("ascii", 8, 12) === "WEBP",
+  },
+  { type: "application/pdf", ext: "pdf", image: false, test: (b) => b.toString("ascii", 0, 4) === "%PDF" },
+];
+
+// ---------- Storage backends ----------
+// put(key, buffer, contentType), get(key) -> Buffer, remove(key)
+const STORAGE_BACKENDS = {
+  local() {
+    const root = path.resolve(process.env.ATTACHMENTS_DIR || path.join(os.tmpdir(), "vivaha-attachments"));
+    const fileFor = (key) => path.join(root, ...key.split("/"));
+    return {
+      async put(key, body) {
+        await fs.mkdir(path.dirname(fileFor(key)), { recursive: true });
+        await fs.writeFile(fileFor(key), body);
+      },
+      get: (key) => fs.readFile(fileFor(key)),
+      remove: (key) => fs.rm(fileFor(key), { force: true }),
+    };
+  },
+  s3() {
+    const bucket = process.env.S3_BUCKET;
+    if (!bucket) throw new Error("S3_BUCKET is not configured");
+    const client = new S3Client({
+      region: process.env.S3_REGION || "auto",
+      endpoint: process.env.S3_ENDPOINT || undefined,
+      forcePathStyle: Boolean(process.env.S3_ENDPOINT),
+      credentials: process.env.S3_ACCESS_KEY_ID
+        ? { accessKeyId: process.env.S3_ACCESS_KEY_ID, secretAccessKey: process.env.S3_SECRET_ACCESS_KEY }
+        : undefined,
+    });
+    return {
+      async put(key, body, contentType) {
+        await client.send(new PutObjectCommand({ Bucket: bucket, Key: key, Body: body, ContentType: contentType }));
+      },
+      async get(key) {
+        const object = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+        return Buffer.from(await object.Body.transformToByteArray());
+      },
+      async remove(key) {
+        await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+      },
+    };
+  },
+};
+
+// configured backend name, or null in production when none is set
+const attachmentStorageName = () =>
+  String(process.env.ATTACHMENTS_STORAGE || (process.env.NODE_ENV === "production" ? "" : "local")).toLowerCase() ||
+  null;
+
+let attachmentStore = null;
+function attachmentStorage() {
+  if (!attachmentStore) {
+    const name = attachmentStorageName();
+    if (!name) throw new Error("ATTACHMENTS_STORAGE is not configured");
+    if (!STORAGE_BACKENDS[name]) throw new Error(`unknown ATTACHMENTS_STORAGE "${name}"`);
+    attachmentStore = STORAGE_BACKENDS[name]();
+  }
+  return attachmentStore;
+}
+
+// best effort: a file left behind is only wasted space
+async function removeAttachmentFiles(keys) {
+  for (const key of keys.filter(Boolean)) {
+    try {
+      await attachmentStorage().remove(key);
+    } catch (err) {
+      console.error(`Could not remove attachment file ${key}:`, err.message);
+    }
+  }
+}
+
+// DB row -> API object with download links
+function attachmentToJson(row, regno) {
+  const url = `/api/users/${regno}/attachments/${row.id}`;
+  return {
+    id: row.id,
+    kind: row.kind,
+    file_name: row.file_name,
+    content_type: row.content_type,
+    size_bytes: row.size_bytes,
+    is_primary: row.is_primary,
+    sort_order: row.sort_order,
+    uploaded_by: row.uploaded_by,
+    created_at: row.created_at,
+    url,
+    thumbnail_url: row.thumb_key ? `${url}?thumb=true` : null,
+  };
+}
+
+async function listAttachments(userId, regno, db = pool) {
+  const { rows } = await db.query(
+    `SELECT * FROM t1."T1_ATTACHMENTS" WHERE user_id = $1 ORDER BY sort_order, id`,
+    [userId]
+  );
+  return rows.map((r) => attachmentToJson(r, regno));
+}
+
+// `branch` (see branchScopeOf) hides members of other branches
+const findLiveUser = async (regno, db = pool, branch = null) =>
+  (
+    await db.query(
+      `SELECT id, regno FROM t1."T1_USERS"
+       WHERE regno = $1 AND is_deleted = false AND ($2::text IS NULL OR branch = $2)
+       LIMIT 1`,
+      [regno, branch]
+    )
+  ).rows[0];
+
+const attachmentUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: ATTACHMENT_MAX_MB * 1024 * 1024, files: 1 },
+});
+
+// ---------- POST /api/users/:regno/attachments ----------
+// multipart/form-data: file, kind? (photo | horoscope | document; default
+// photo for images, document for PDFs), is_primary? ("true" for the profile
+// photo; the first photo becomes primary anyway)
+app.post(
+  "/api/users/:regno/attachments",
+  (req, res, next) =>
+    attachmentStorageName()
+      ? next()
+      : res.status(503).json({ message: "Attachment storage is not configured (set ATTACHMENTS_STORAGE)" }),
+  (req, res, next) =>
+    attachmentUpload.single("file")(req, res, (err) => {
+      if (!err) return next();
+      if (err.code === "LIMIT_FILE_SIZE") {
+        return res.status(413).json({ message: `Files can be at most ${ATTACHMENT_MAX_MB} MB` });
+      }
+      res.status(400).json({ message: `Upload failed: ${err.message}` });
+    }),
+  async (req, res) => {
+    const stored = [];
+    try {
+      const regno = parseInt(req.params.regno, 10);
+      if (isNaN(regno)) return res.status(400).json({ message: "Invalid regno" });
+      if (!req.file) return res.status(400).json({ message: "Upload the file in the 'file' field" });
+
+      const fileType = ATTACHMENT_TYPES.find((t) => t.test(req.file.buffer));
+      if (!fileType) {
+        return res.status(415).json({ message: "Only JPEG, PNG, WebP images and PDF files can be attached" });
+      }
+      const kind = String(req.body?.kind || (fileType.image ? "photo" : "document")).toLowerCase();
+      if (!ATTACHMENT_KINDS.includes(kind)) {
+        return res.status(400).json({ message: `kind must be one of ${ATTACHMENT_KINDS.join(", ")}` });
+      }
+      if (kind === "photo" && !fileType.image) {
+        return res.status(400).json({ message: "A photo must be an image" });
+      }
+
+      const user = await findLiveUser(regno, pool, branchScopeOf(req));
+      if (!user) return res.status(404).json({ message: "User not found" });
+
+      let thumbnail = null;
+      if (fileType.image) {
+        try {
+          thumbnail = await sharp(req.file.buffer)
+            .rotate()
+            .resize({ width: THUMBNAIL_WIDTH, withoutEnlargement: true })
+            .jpeg({ quality: 80 })
+            .toBuffer();
+        } catch {
+          return res.status(400).json({ message: "The image could not be read" });
+        }
+      }
+
+      const base = `users/${user.id}/${crypto.randomUUID()}`;
+      const key = `${base}.${fileType.ext}`;
+      await attachmentStorage().put(key, req.file.buffer, fileType.type);
+      stored.push(key);
+      const thumbKey = thumbnail ? `${base}-thumb.jpg` : null;
+      if (thumbnail) {
+        await attachmentStorage().put(thumbKey, thumbnail, "image/jpeg");
+        stored.push(thumbKey);
+      }
+
+      const result = await withTransaction(async (client) => {
+        // serialises uploads for one member so the count and order hold
+        await client.query(`SELECT id FROM t1."T1_USERS" WHERE id = $1 FOR UPDATE`, [user.id]);
+        const statsRes = await client.query(
+          `SELECT COUNT(*)::int AS count,
+                  COALESCE(MAX(sort_order) + 1, 0)::int AS next_order,
+                  bool_or(is_primary) AS has_primary
+           FROM t1."T1_ATTACHMENTS" WHERE user_id = $1`,
+          [user.id]
+        );
+        const stats = statsRes.rows[0];
+        if (stats.count >= ATTACHMENTS_PER_USER) {
+          return { status: 400, message: `A profile can have at most ${ATTACHMENTS_PER_USER} attachments` };
+        }
+
+        const primary = kind === "photo" && (req.body?.is_primary === "true" || !stats.has_primary);
+        if (primary) {
+          await client.query(`UPDATE t1."T1_ATTACHMENTS" SET is_primary = false WHERE user_id = $1`, [user.id]);
+        }
+        const { rows } = await client.query(
+          `INSERT INTO t1."T1_ATTACHMENTS"
+             (user_id, kind, file_name, content_type, size_bytes, storage_key, thumb_key,
+              is_primary, sort_order, uploaded_by)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+           RETURNING *`,
+          [
+            user.id,
+            kind,
+            path.basename(req.file.originalname || `${kind}.${fileType.ext}`).slice(0, 200),
+            fileType.type,
+            req.file.size,
+            key,
+            thumbKey,
+            primary,
+            stats.next_order,
+            actorOf(req),
+          ]
+        );
+        return { attachment: attachmentToJson(rows[0], regno) };
+      });
+
+      if (result.status) {
+        await removeAttachmentFiles(stored);
+        return res.status(result.status).json({ message: result.message });
+      }
+      res.status(201).json(result);
+    } catch (err) {
+      await removeAttachmentFiles(stored);
+      console.error("POST /api/users/:regno/attachments error:", err);
+      res.status(500).json({ message: "Error saving attachment" });
+    }
+  }
+);
+
+// ---------- GET /api/users/:regno/attachments ----------
+app.get("/api/users/:regno/attachments", async (req, res) => {
+  try {
+    const regno = parseInt(req.params.regno, 10);
+    if (isNaN(regno)) return res.status(400).json({ message: "Invalid regno" });
+    const user = await findLiveUser(regno, pool, branchScopeOf(req));
+    if (!user) return res.status(404).json({ message: "User not found" });
+    res.json({ regno, attachments: await listAttachments(user.id, regno) });
+  } catch (err) {
+    console.error("GET /api/users/:regno/attachments error:", err);
+    res.status(500).json({ message: "Error fetching attachments" });
+  }
+});
+
+// ---------- GET /api/users/:regno/attachments/:id ----------
+// the file itself; ?thumb=true for the thumbnail
+app.get("/api/users/:regno/attachments/:id", async (req, res) => {
+  try {
+    const regno = parseInt(req.params.regno, 10);
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(regno) || isNaN(id)) return res.status(400).json({ message: "Invalid regno or attachment id" });
+
+    const user = await findLiveUser(regno, pool, branchScopeOf(req));
+    if (!user) return res.status(404).json({ message: "User not found" });
+    const { rows } = await pool.query(
+      `SELECT * FROM t1."T1_ATTACHMENTS" WHERE id = $1 AND user_id = $2`,
+      [id, user.id]
+    );
+    const attachment = rows[0];
+    if (!attachment) return res.status(404).json({ message: "Attachment not found" });
+
+    const thumb = req.query.thumb === "true";
+    if (thumb && !attachment.thumb_key) return res.status(404).json({ message: "This attachment has no thumbnail" });
+
+    const body = await attachmentStorage().get(thumb ? attachment.thumb_key : attachment.storage_key);
+    const fileName = thumb ? `thumb-${attachment.file_name.replace(/\.\w+$/, "")}.jpg` : attachment.file_name;
+    res.setHeader("Content-Type", thumb ? "image/jpeg" : attachment.content_type);
+    res.setHeader("Content-Disposition", `inline; filename="${fileName.replace(/["\\\r\n]/g, "_")}"`);
+    res.setHeader("Cache-Control", "private, max-age=86400");
+    res.send(body);
+  } catch (err) {
+    console.error("GET /api/users/:regno/attachments/:id error:", err);
+    res.status(500).json({ message: "Error fetching attachment" });
+  }
+});
+
+// ---------- PUT /api/users/:regno/attachments/order ----------
+// body: { ids: [...] } - every attachment of the member, in display order
+app.put("/api/users/:regno/attachments/order", async (req, res) => {
+  try {
+    const regno = parseInt(req.params.regno, 10);
+    if (isNaN(regno)) return res.status(400).json({ message: "Invalid regno" });
+    const ids = Array.isArray(req.body?.ids) ? req.body.ids.map((v) => parseInt(v, 10)) : null;
+    if (!ids || ids.some(isNaN)) return res.status(400).json({ message: "ids must be a list of attachment ids" });
+
+    const result = await withTransaction(async (client) => {
+      const user = await findLiveUser(regno, client, branchScopeOf(req));
+      if (!user) return { status: 404, message: "User not found" };
+      const { rows } = await client.query(
+        `SELECT id FROM t1."T1_ATTACHMENTS" WHERE user_id = $1 FOR UPDATE`,
+        [user.id]
+      );
+      const current = rows.map((r) => Number(r.id)).sort((a, b) => a - b);
+      const given = [...new Set(ids)].sort((a, b) => a - b);
+      if (ids.length !== given.length || current.join() !== given.join()) {
+        return { status: 400, message: "ids must list each of this member's attachments exactly once" };
+      }
+      await client.query(
+        `UPDATE t1."T1_ATTACHMENTS" a
+         SET sort_order = x.position - 1
+         FROM unnest($1::bigint[]) WITH ORDINALITY AS x (id, position)
+         WHERE a.id = x.id`,
+        [ids]
+      );
+      return { regno, attachments: await listAttachments(user.id, regno, client) };
+    });
+
+    if (result.status) return res.status(result.status).json({ message: result.message });
+    res.json(result);
+  } catch (err) {
+    console.error("PUT /api/users/:regno/attachments/order error:", err);
+    res.status(500).json({ message: "Error reordering attachments" });
+  }
+});
+
+// ---------- PUT /api/users/:regno/attachments/:id ----------
+// body: { kind?, is_primary? } - is_primary: true makes it the profile photo
+app.put("/api/users/:regno/attachments/:id", async (req, res) => {
+  try {
+    const regno = parseInt(req.params.regno, 10);
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(regno) || isNaN(id)) return res.status(400).json({ message: "Invalid regno or attachment id" });
+    const { kind, is_primary } = req.body || {};
+    if (kind !== undefined && !ATTACHMENT_KINDS.includes(kind)) {
+      return res.status(400).json({ message: `kind must be one of ${ATTACHMENT_KINDS.join(", ")}` });
+    }
+    if (is_primary !== undefined && typeof is_primary !== "boolean") {
+      return res.status(400).json({ message: "is_primary must be true or false" });
+    }
+
+    const result = await withTransaction(async (client) => {
+      const user = await findLiveUser(regno, client, branchScopeOf(req));
+      if (!user) return { status: 404, message: "User not found" };
+      const { rows } = await client.query(
+        `SELECT * FROM t1."T1_ATTACHMENTS" WHERE id = $1 AND user_id = $2 FOR UPDATE`,
+        [id, user.id]
+      );
+      const attachment = rows[0];
+      if (!attachment) return { status: 404, message: "Attachment not found" };
+
+      const nextKind = kind ?? attachment.kind;
+      const primary = nextKind === "photo" && (is_primary ?? attachment.is_primary);
+      if (nextKind === "photo" && !attachment.content_type.startsWith("image/")) {
+        return { status: 400, message: "A photo must be an image" };
+      }
+      if (is_primary && nextKind !== "photo") {
+        return { status: 400, message: "Only a photo can be the primary attachment" };
+      }
+
+      if (primary && !attachment.is_primary) {
+        await client.query(`UPDATE t1."T1_ATTACHMENTS" SET is_primary = false WHERE user_id = $1`, [user.id]);
+      }
+      const updated = await client.query(
+        `UPDATE t1."T1_ATTACHMENTS" SET kind = $1, is_primary = $2 WHERE id = $3 RETURNING *`,
+        [nextKind, primary, id]
+      );
+      return { attachment: attachmentToJson(updated.rows[0], regno) };
+    });
+
+    if (result.status) return res.status(result.status).json({ message: result.message });
+    res.json(result);
+  } catch (err) {
+    console.error("PUT /api/users/:regno/attachments/:id error:", err);
+    res.status(500).json({ message: "Error updating attachment" });
+  }
+});
+
+// ---------- DELETE /api/users/:regno/attachments/:id ----------
+// removing the primary photo promotes the next photo in order
+app.delete("/api/users/:regno/attachments/:id", async (req, res) => {
+  try {
+    const regno = parseInt(req.params.regno, 10);
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(regno) || isNaN(id)) return res.status(400).json({ message: "Invalid regno or attachment id" });
+
+    const result = await withTransaction(async (client) => {
+      const user = await findLiveUser(regno, client, branchScopeOf(req));
+      if (!user) return { status: 404, message: "User not found" };
+      const { rows } = await client.query(
+        `DELETE FROM t1."T1_ATTACHMENTS" WHERE id = $1 AND user_id = $2 RETURNING *`,
+        [id, user.id]
+      );
+      const removed = rows[0];
+      if (!removed) return { status: 404, message: "Attachment not found" };
+      if (removed.is_primary) {
+        await client.query(
+          `UPDATE t1."T1_ATTACHMENTS" SET is_primary = true
+           WHERE id = (
+             SELECT id FROM t1."T1_ATTACHMENTS"
+             WHERE user_id = $1 AND kind = 'photo'
+             ORDER BY sort_order, id
+             LIMIT 1
+           )`,
+          [user.id]
+        );
+      }
+      return { removed };
+    });
+
+    if (result.status) return res.status(result.status).json({ message: result.message });
+    await removeAttachmentFiles([result.removed.storage_key, result.removed.thumb_key]);
+    res.json({ message: "Attachment deleted" });
+  } catch (err) {
+    console.error("DELETE /api/users/:regno/attachments/:id error:", err);
+    res.status(500).json({ message: "Error deleting attachment" });
+  }
+});
+
+// ============ PROPOSALS ============
+// A proposal records one member's profile (from) being shared with another
+// member's family (to), and how that family responded. Each status change
+// is kept in T1_PROPOSAL_EVENTS.
+
+const PROPOSAL_CHANNELS = ["whatsapp", "email", "post", "phone", "in_person"];
+
+// status -> statuses it may move to
+const PROPOSAL_TRANSITIONS = {
+  sent: ["viewed", "interested", "declined", "closed"],
+  viewed: ["interested", "declined", "closed"],
+  interested: ["meeting_arranged", "declined", "closed"],
+  meeting_arranged: ["declined", "closed"],
+  declined: ["closed"],
+  closed: [],
+};
+const PROPOSAL_STATUSES = Object.keys(PROPOSAL_TRANSITIONS);
+
+const PROPOSAL_SELECT = `
+  SELECT p.*, f.name AS from_name, t.name AS to_name
+  FROM t1."T1_PROPOSALS" p
+  LEFT JOIN t1."T1_USERS" f ON f.id = p.from_user_id
+  LEFT JOIN t1."T1_USERS" t ON t.id = p.to_user_id`;
+
+// condition on proposal `p` limiting a branch-scoped caller to proposals
+// involving one of their members; pushes the param
+function proposalBranchFilter(req, params) {
+  const scope = branchScopeOf(req);
+  if (scope === null) return "true";
+  params.push(scope);
+  return `EXISTS (
+    SELECT 1 FROM t1."T1_USERS" b
+    WHERE b.id IN (p.from_user_id, p.to_user_id) AND b.branch = $${params.length}
+  )`;
+}
+
+// from_regno / to_regno follow the member when their regno changes
+async function syncProposalRegnos(db, userId, regno) {
+  await db.query(`UPDATE t1."T1_PROPOSALS" SET from_regno = $2 WHERE from_user_id = $1`, [userId, regno]);
+  await db.query(`UPDATE t1."T1_PROPOSALS" SET to_regno = $2 WHERE to_user_id = $1`, [userId, regno]);
+}
+
+// After a merge one pair can have two open proposals, or a member one with
+// themself: all but the newest open proposal per pair are closed.
+async function closeDuplicateProposals(db, userId, actor, note) {
+  const { rows } = await db.query(
+    `WITH open AS (
+       SELECT id, status, from_user_id = to_user_id AS self,
+              row_number() OVER (
+                PARTITION BY LEAST(from_user_id, to_user_id), GREATEST(from_user_id, to_user_id)
+                ORDER BY sent_at DESC, id DESC
+              ) AS rank
+       FROM t1."T1_PROPOSALS"
+       WHERE status <> 'closed' AND $1 IN (from_user_id, to_user_id)
+     )
+     UPDATE t1."T1_PROPOSALS" p
+     SET status = 'closed', closed_at = now(), updated_at = now()
+     FROM open o
+     WHERE p.id = o.id AND (o.self OR o.rank > 1)
+     RETURNING p.id, o.status AS previous_status`,
+    [userId]
+  );
+  for (const row of rows) await recordProposalEvent(db, row.id, row.previous_status, "closed", actor, note);
+  return rows.length;
+}
+
+async function recordProposalEvent(db, proposalId, fromStatus, toStatus, actor, note = null) {
+  await db.query(
+    `INSERT INTO t1."T1_PROPOSAL_EVENTS" (proposal_id, from_status, to_status, actor, note)
+     VALUES ($1, $2, $3, $4, $5)`,
+    [proposalId, fromStatus, toStatus, actor, note]
+  );
+}
+
+// shared by the list endpoints: ?status=&sent_by=&sent_via=&from=&to= (dates
+// sent), paged newest first. `scope` adds conditions such as the member.
+async function listProposals(query, scope = { filters: [], params: [] }) {
+  const filters = [...scope.filters];
+  const params = [...scope.params];
+  const { status, sent_by, sent_via, page = 1, limit = 100 } = query;
+
+  if (status) {
+    const statuses = String(status).split(",").map((s) => s.trim()).filter(Boolean);
+    const unknown = statuses.filter((s) => !PROPOSAL_STATUSES.includes(s));
+    if (unknown.length) return { error: `status must be one of ${PROPOSAL_STATUSES.join(", ")}` };
+    params.push(statuses);
+    filters.push(`p.status = ANY($${params.length}::text[])`);
+  }
+  if (sent_by) {
+    params.push(sent_by);
+    filters.push(`p.sent_by = $${params.length}`);
+  }
+  if (sent_via) {
+    params.push(String(sent_via).toLowerCase());
+    filters.push(`p.sent_via = $${params.length}`);
+  }
+  for (const [value, op] of [[query.from, ">="], [query.to, "<="]]) {
+    if (!value) continue;
+    const d = tryParseDate(value);
+    if (!d) return { error: "from / to must be dates" };
+    params.push(dayjs(d).format("YYYY-MM-DD"));
+    filters.push(`${localDate("p.sent_at")} ${op} $${params.length}::date`);
+  }
+  const where = filters.length ? `WHERE ${filters.join(" AND ")}` : "";
+
+  const pageInt = Math.max(1, parseInt(page, 10) || 1);
+  const perPage = Math.min(1000, Math.max(1, parseInt(limit, 10) || 100));
+  const offset = (pageInt - 1) * perPage;
+
+  const countRes = await pool.query(`SELECT COUNT(*)::int AS total FROM t1."T1_PROPOSALS" p ${where}`, params);
+  const total = countRes.rows[0]?.total || 0;
+  const { rows } = await pool.query(
+    `${PROPOSAL_SELECT}
+     ${where}
+     ORDER BY p.sent_at DESC, p.id DESC
+     LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+    [...params, perPage, offset]
+  );
+  return { proposals: rows, total, page: pageInt, limit: perPage, totalPages: Math.ceil(total / perPage) };
+}
+
+// ---------- POST /api/proposals ----------
+// body: { from_regno, to_regno, sent_via, notes?, resend? }. A pair (in either
+// direction) can only have one open proposal; after it is closed, sending
+// again needs resend: true.
+app.post("/api/proposals", async (req, res) => {
+  try {
+    const body = req.body || {};
+    const fromRegno = parseInt(body.from_regno, 10);
+    const toRegno = parseInt(body.to_regno, 10);
+    if (isNaN(fromRegno) || isNaN(toRegno)) {
+      return res.status(400).json({ message: "from_regno and to_regno are required" });
+    }
+    if (fromRegno === toRegno) return res.status(400).json({ message: "A profile cannot be proposed to itself" });
+    const sentVia = String(body.sent_via || "").toLowerCase();
+    if (!PROPOSAL_CHANNELS.includes(sentVia)) {
+      return res.status(400).json({ message: `sent_via must be one of ${PROPOSAL_CHANNELS.join(", ")}` });
+    }
+
+    const actor = actorOf(req);
+    const result = await withTransaction(async (client) => {
+      // lock both members so two staff can't send the same pair at once
+      const { rows: members } = await client.query(
+        `SELECT id, regno, name, gender, branch FROM t1."T1_USERS"
+         WHERE regno = ANY($1::int[]) AND is_deleted = false
+         ORDER BY id
+         FOR UPDATE`,
+        [[fromRegno, toRegno]]
+      );
+      // branch staff propose within their branch; head office across branches
+      const scope = branchScopeOf(req);
+      const visible = members.filter((m) => scope === null || m.branch === scope);
+      const from = visible.find((m) => m.regno === fromRegno);
+      const to = visible.find((m) => m.regno === toRegno);
+      if (!from) return { status: 404, message: `User ${fromRegno} not found` };
+      if (!to) return { status: 404, message: `User ${toRegno} not found` };
+      const [fromGender, toGender] = [genderKey(from.gender), genderKey(to.gender)];
+      if (fromGender && toGender && fromGender === toGender) {
+        return { status: 400, message: "Proposals are between a bride and a groom" };
+      }
+
+      const { rows: earlier } = await client.query(
+        `SELECT id, status, from_regno, to_regno, sent_at FROM t1."T1_PROPOSALS"
+         WHERE (from_user_id = $1 AND to_user_id = $2) OR (from_user_id = $2 AND to_user_id = $1)
+         ORDER BY sent_at DESC`,
+        [from.id, to.id]
+      );
+      const open = earlier.find((p) => p.status !== "closed");
+      if (open) {
+        return { status: 409, message: `These profiles already have an open proposal (#${open.id}, ${open.status})`, proposal: open };
+      }
+      if (earlier.length && body.resend !== true) {
+        return {
+          status: 409,
+          message: "These profiles were proposed before; pass resend: true to send again",
+          proposal: earlier[0],
+        };
+      }
+
+      const { rows } = await client.query(
+        `INSERT INTO t1."T1_PROPOSALS"
+           (from_user_id, to_user_id, from_regno, to_regno, sent_via, sent_by, notes)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)
+         RETURNING *`,
+        [from.id, to.id, from.regno, to.regno, sentVia, actor, body.notes ? String(body.notes) : null]
+      );
+      await recordProposalEvent(client, rows[0].id, null, "sent", actor, body.notes || null);
+      return { proposal: { ...rows[0], from_name: from.name, to_name: to.name } };
+    });
+
+    if (result.status) {
+      return res.status(result.status).json({ message: result.message, ...(result.proposal ? { proposal: result.proposal } : {}) });
+    }
+    res.status(201).json(result);
+  } catch (err) {
+    console.error("POST /api/proposals error:", err);
+    res.status(500).json({ message: "Error creating proposal" });
+  }
+});
+
+// ---------- GET /api/proposals ----------
+// every proposal; ?regno= limits to one member (either side)
+app.get("/api/proposals", async (req, res) => {
+  try {
+    const scope = { filters: [], params: [] };
+    if (req.query.regno !== undefined) {
+      const regno = parseInt(req.query.regno, 10);
+      if (isNaN(regno)) return res.status(400).json({ message: "Invalid regno" });
+      scope.params.push(regno);
+      scope.filters.push(
+        `EXISTS (SELECT 1 FROM t1."T1_USERS" m WHERE m.id IN (p.from_user_id, p.to_user_id) AND m.regno = $1)`
+      );
+    }
+    scope.filters.push(proposalBranchFilter(req, scope.params));
+    const result = await listProposals(req.query, scope);
+    if (result.error) return res.status(400).json({ message: result.error });
+    res.json(result);
+  } catch (err) {
+    console.error("GET /api/proposals error:", err);
+    res.status(500).json({ message: "Error fetching proposals" });
+  }
+});
+
+// ---------- GET /api/proposals/:id ----------
+// with its status history
+app.get("/api/proposals/:id", async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id)) return res.status(400).json({ message: "Invalid id" });
+    const params = [id];
+    const { rows } = await pool.query(`${PROPOSAL_SELECT} WHERE p.id = $1 AND ${proposalBranchFilter(req, params)}`, params);
+    if (!rows[0]) return res.status(404).json({ message: "Proposal not found" });
+    const events = await pool.query(
+      `SELECT * FROM t1."T1_PROPOSAL_EVENTS" WHERE proposal_id = $1 ORDER BY at, id`,
+      [id]
+    );
+    res.json({ proposal: rows[0], events: events.rows });
+  } catch (err) {
+    console.error("GET /api/proposals/:id error:", err);
+    res.status(500).json({ message: "Error fetching proposal" });
+  }
+});
+
+// ---------- PATCH /api/proposals/:id ----------
+// body: { status?, note? } - status must follow PROPOSAL_TRANSITIONS; a note
+// alone is added to the history
+app.patch("/api/proposals/:id", async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id)) return res.status(400).json({ message: "Invalid id" });
+    const { status, note } = req.body || {};
+    if (!status && !note) return res.status(400).json({ message: "Provide a status and/or a note" });
+    if (status && !PROPOSAL_STATUSES.includes(status)) {
+      return res.status(400).json({ message: `status must be one of ${PROPOSAL_STATUSES.join(", ")}` });
+    }
+
+    const actor = actorOf(req);
+    const params = [id];
+    const scoped = proposalBranchFilter(req, params);
+    const result = await withTransaction(async (client) => {
+      const { rows } = await client.query(
+        `SELECT * FROM t1."T1_PROPOSALS" p WHERE p.id = $1 AND ${scoped} FOR UPDATE OF p`,
+        params
+      );
+      const current = rows[0];
+      if (!current) return { status: 404, message: "Proposal not found" };
+
+      const next = status || current.status;
+      if (next !== current.status && !PROPOSAL_TRANSITIONS[current.status].includes(next)) {
+        const allowed = PROPOSAL_TRANSITIONS[current.status];
+        return {
+          status: 409,
+          message: `A ${current.status} proposal cannot become ${next}${allowed.length ? ` (allowed: ${allowed.join(", ")})` : ""}`,
+        };
+      }
+
+      const { rows: updated } = await client.query(
+        `UPDATE t1."T1_PROPOSALS"
+         SET status = $1, updated_at = now(),
+             responded_at = CASE WHEN $1 IN ('interested', 'declined') AND responded_at IS NULL
+                                 THEN now() ELSE responded_at END,
+             closed_at = CASE WHEN $1 = 'closed' THEN now() ELSE closed_at END
+         WHERE id = $2
+         RETURNING *`,
+        [next, id]
+      );
+      await recordProposalEvent(client, id, current.status, next, actor, note ? String(note) : null);
+      return { proposal: updated[0] };
+    });
+
+    if (result.status) return res.status(result.status).json({ message: result.message });
+    res.json(result);
+  } catch (err) {
+    console.error("PATCH /api/proposals/:id error:", err);
+    res.status(500).json({ message: "Error updating proposal" });
+  }
+});
+
+// ---------- GET /api/users/:regno/proposals ----------
+// ?direction=sent (this profile shared with others) | received (others
+// shared with this family) | all (default), plus the /api/proposals filters
+app.get("/api/users/:regno/proposals", async (req, res) => {
+  try {
+    const regno = parseInt(req.params.regno, 10);
+    if (isNaN(regno)) return res.status(400).json({ message: "Invalid regno" });
+    const direction = String(req.query.direction || "all").toLowerCase();
+    if (!["sent", "received", "all"].includes(direction)) {
+      return res.status(400).json({ message: "direction must be sent, received or all" });
+    }
+
+    const user = await findLiveUser(regno, pool, branchScopeOf(req));
+    if (!user) return res.status(404).json({ message: "User not found" });
+
+    const column = { sent: "p.from_user_id = $1", received: "p.to_user_id = $1" };
+    const scope = {
+      filters: [column[direction] || "(p.from_user_id = $1 OR p.to_user_id = $1)"],
+      params: [user.id],
+    };
+    const result = await listProposals(req.query, scope);
+    if (result.error) return res.status(400).json({ message: result.error });
+    res.json({
+      regno,
+      direction,
+      ...result,
+      proposals: result.proposals.map((p) => ({ ...p, direction: p.from_user_id === user.id ? "sent" : "received" })),
+    });
+  } catch (err) {
+    console.error("GET /api/users/:regno/proposals error:", err);
+    res.status(500).json({ message: "Error fetching proposals" });
+  }
+});
+
+// ============ PROFILE FLASHING ============
+// Plans promise a number of "flashes" per term (T1_PLANS.flashes): the member
+// is featured in a WhatsApp group, bulletin or notice board batch. They are
+// spread evenly over the term, so on any day a member has `due` flashes by
+// then; when fewer were done the member is in the queue. Every flash is
+// logged in T1_FLASHES and flashed_date follows the latest one.
+
+const FLASH_CHANNELS = ["whatsapp", "bulletin", "notice_board"];
+const FLASH_BATCH_SIZE = Number(process.env.FLASH_BATCH_SIZE || 20);
+
+// Flash progress as of $1 (a date) for members whose term covers it. Flashes
+// on several channels the same day count once.
+const FLASH_PROGRESS_SQL = `
+  WITH terms AS (
+    SELECT u.*,
+           ${localDate("u.expiry_date")} - COALESCE(u.valid_days, pl.valid_days) AS term_start,
+           COALESCE(u.valid_days, pl.valid_days) AS term_days,
+           COALESCE(pl.flashes, 0) AS entitled
+    FROM t1."T1_USERS" u
+    LEFT JOIN LATERAL (
+      SELECT p.valid_days, p.flashes
+      FROM t1."T1_PLANS" p
+      WHERE p.code = LOWER(u.plan)
+        AND p.effective_from <= COALESCE(${localDate("COALESCE(u.renewal_date, u.reg_date)")}, $1::date)
+      ORDER BY p.effective_from DESC
+      LIMIT 1
+    ) pl ON true
+    WHERE u.is_deleted = false
+      AND u.expiry_date IS NOT NULL
+      AND ${localDate("u.expiry_date")} >= $1::date
+  ),
+  progress AS (
+    SELECT t.*,
+           (SELECT COUNT(DISTINCT f.flashed_on) FROM t1."T1_FLASHES" f
+             WHERE f.user_id = t.id AND f.flashed_on BETWEEN t.term_start AND $1::date)::int AS done
+    FROM terms t
+    WHERE t.entitled > 0 AND t.term_days > 0 AND t.term_start <= $1::date
+  )
+  SELECT p.*,
+         LEAST(p.entitled, FLOOR(($1::date - p.term_start) * p.entitled::numeric / p.term_days)::int + 1) AS due,
+         CASE WHEN p.done < p.entitled
+              THEN p.term_start + CEIL(p.done * p.term_days::numeric / p.entitled)::int
+         END AS next_due_on
+  FROM progress p`;
+
+// the members (of `branch`, if given) owed a flash on `onDate`, longest
+// waiting first
+async function flashQueue(
+  onDate,
+  { limit = FLASH_BATCH_SIZE, offset = 0, overdueOnly = false, branch = null } = {},
+  db = pool
+) {
+  const day = dayjs(onDate).format("YYYY-MM-DD");
+  const where = `q.done < q.due ${overdueOnly ? "AND q.next_due_on < $1::date" : ""}
+    AND ($2::text IS NULL OR q.branch = $2)
+    AND NOT EXISTS (SELECT 1 FROM t1."T1_FLASHES" f WHERE f.user_id = q.id AND f.flashed_on = $1::date)`;
+  const countRes = await db.query(
+    `SELECT COUNT(*)::int AS total FROM (${FLASH_PROGRESS_SQL}) q WHERE ${where}`,
+    [day, branch]
+  );
+  const { rows } = await db.query(
+    `SELECT * FROM (${FLASH_PROGRESS_SQL}) q
+     WHERE ${where}
+     ORDER BY q.next_due_on, q.due - q.done DESC, q.regno
+     LIMIT $3 OFFSET $4`,
+    [day, branch, limit, offset]
+  );
+  return { rows, total: countRes.rows[0]?.total || 0 };
+}
+
+const flashProgress = (row) => ({
+  entitled: row.entitled,
+  term_start: row.term_start,
+  due: row.due,
+  done: row.done,
+  owed: Math.max(0, row.due - row.done),
+  next_due_on: row.next_due_on,
+});
+
+// today in REPORT_TIMEZONE ("YYYY-MM-DD"), the day flashes are logged on
+async function flashToday(db = pool) {
+  const { rows } = await db.query(`SELECT to_char(${localDate("now()")}, 'YYYY-MM-DD') AS day`);
+  return rows[0].day;
+}
+
+// keeps T1_USERS.flashed_date equal to each member's latest logged flash
+async function syncFlashedDate(db, userIds) {
+  await db.query(
+    `UPDATE t1."T1_USERS" u
+     SET flashed_date = (
+       SELECT MAX(f.flashed_on)::timestamp AT TIME ZONE '${REPORT_TIMEZONE}'
+       FROM t1."T1_FLASHES" f WHERE f.user_id = u.id
+     )
+     WHERE u.id = ANY($1::int[])`,
+    [userIds]
+  );
+}
+
+// one profile of a batch, as it is posted
+function flashSummaryEntry(user, n) {
+  const age = computeAge(user);
+  const about = [{ f: "Bride", m: "Groom" }[genderKey(user.gender)], age !== null ? `${age} yrs` : null]
+    .filter(Boolean)
+    .join(", ");
+  const education = [user.ug_degree, user.pg_degree].filter(Boolean).join(", ") || user.education;
+  const lines = [
+    `${n}. Reg No ${user.regno} - ${user.name}${about ? ` (${about})` : ""}`,
+    [user.height, education, user.occupation, user.annual_income].filter(Boolean).join(" | "),
+    [user.caste, user.gothram, [user.star, user.rasi].filter(Boolean).join(" / ")].filter(Boolean).join(" | "),
+    user.current_residence || user.city || user.native_place,
+  ];
+  return lines.filter(Boolean).join("\n   ");
+}
+
+function flashSummary(batch, users) {
+  const heading = `*${AGENCY.name} - ${displayDate(batch.flash_date)}*`;
+  const footer = AGENCY.phone ? `Interested? Call ${AGENCY.phone} quoting the Reg No.` : "Contact us quoting the Reg No.";
+  return [heading, ...users.map((u, i) => flashSummaryEntry(u, i + 1)), footer].join("\n\n");
+}
+
+async function loadFlashBatch(id, db = pool) {
+  const batchRes = await db.query(`SELECT * FROM t1."T1_FLASH_BATCHES" WHERE id = $1`, [id]);
+  const batch = batchRes.rows[0];
+  if (!batch) return null;
+  const { rows } = await db.query(
+    `SELECT u.* FROM t1."T1_FLASHES" f
+     JOIN t1."T1_USERS" u ON u.id = f.user_id
+     WHERE f.batch_id = $1
+     ORDER BY f.id`,
+    [id]
+  );
+  return { batch, users: rows };
+}
+
+// ---------- GET /api/flashes/queue, /api/flashes/overdue ----------
+// ?date= (default today), ?limit= / ?page=. The queue is everyone owed a
+// flash by that day; overdue only those whose due day has already passed.
+const sendFlashQueue = (overdueOnly) => async (req, res) => {
+  try {
+    const onDate = req.query.date ? tryParseDate(req.query.date) : await flashToday();
+    if (!onDate) return res.status(400).json({ message: "date must be a date" });
+
+    const pageInt = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const perPage = Math.min(1000, Math.max(1, parseInt(req.query.limit, 10) || 100));
+    const { rows, total } = await flashQueue(onDate, {
+      limit: perPage,
+      offset: (pageInt - 1) * perPage,
+      overdueOnly,
+      branch: branchScopeOf(req),
+    });
+
+    res.json({
+      date: dayjs(onDate).format("YYYY-MM-DD"),
+      users: rows.map((r) => ({ ...rowToUser(r), flash: flashProgress(r) })),
+      total,
+      page: pageInt,
+      limit: perPage,
+      totalPages: Math.ceil(total / perPage),
+    });
+  } catch (err) {
+    console.error(`GET ${req.path} error:`, err);
+    res.status(500).json({ message: "Error building flash queue" });
+  }
+};
+app.get("/api/flashes/queue", sendFlashQueue(false));
+app.get("/api/flashes/overdue", sendFlashQueue(true));
+
+// ---------- POST /api/flashes/batches ----------
+// body: { channel, date?, regnos?, limit? } - logs one flash per profile.
+// Without regnos the batch is the top of the day's queue (limit, default
+// FLASH_BATCH_SIZE).
+app.post("/api/flashes/batches", async (req, res) => {
+  try {
+    const body = req.body || {};
+    const channel = String(body.channel || "").toLowerCase();
+    if (!FLASH_CHANNELS.includes(channel)) {
+      return res.status(400).json({ message: `channel must be one of ${FLASH_CHANNELS.join(", ")}` });
+    }
+    const onDate = body.date ? tryParseDate(body.date) : await flashToday();
+    if (!onDate) return res.status(400).json({ message: "date must be a date" });
+    const day = dayjs(onDate).format("YYYY-MM-DD");
+
+    let regnos = null;
+    if (body.regnos !== undefined) {
+      regnos = Array.isArray(body.regnos) ? body.regnos.map((v) => parseInt(v, 10)) : [];
+      if (!regnos.length || regnos.some(isNaN)) {
+        return res.status(400).json({ message: "regnos must be a list of registration numbers" });
+      }
+      regnos = [...new Set(regnos)];
+    }
+    const limit = Math.min(200, Math.max(1, parseInt(body.limit, 10) || FLASH_BATCH_SIZE));
+    const actor = actorOf(req);
+    const scope = branchScopeOf(req);
+
+    const result = await withTransaction(async (client) => {
+      let users;
+      if (regnos) {
+        const params = [regnos];
+        const { rows } = await client.query(
+          `SELECT id, regno FROM t1."T1_USERS"
+           WHERE regno = ANY($1::int[]) AND is_deleted = false${branchFilter(req, "branch", params)}`,
+          params
+        );
+        const missing = regnos.filter((r) => !rows.some((u) => u.regno === r));
+        if (missing.length) return { status: 404, message: `Not found: ${missing.join(", ")}` };
+        users = regnos.map((r) => rows.find((u) => u.regno === r));
+      } else {
+        users = (await flashQueue(onDate, { limit, branch: scope }, client)).rows;
+        if (!users.length) return { status: 409, message: "Nobody is due for a flash on this day" };
+      }
+      const doneRes = await client.query(
+        `SELECT user_id FROM t1."T1_FLASHES" WHERE user_id = ANY($1::int[]) AND flashed_on = $2 AND channel = $3`,
+        [users.map((u) => u.id), day, channel]
+      );
+      const done = new Set(doneRes.rows.map((r) => r.user_id));
+      users = users.filter((u) => !done.has(u.id));
+      if (!users.length) return { status: 409, message: `These profiles were already flashed on ${channel} that day` };
+
+      const batchRes = await client.query(
+        `INSERT INTO t1."T1_FLASH_BATCHES" (flash_date, channel, created_by, branch)
+         VALUES ($1, $2, $3, $4)
+         RETURNING *`,
+        [day, channel, actor, scope]
+      );
+      const batch = batchRes.rows[0];
+      const inserted = await client.query(
+        `INSERT INTO t1."T1_FLASHES" (user_id, regno, flashed_on, channel, batch_id, created_by)
+         SELECT x.id, x.regno, $3, $4, $5, $6
+         FROM unnest($1::int[], $2::int[]) WITH ORDINALITY AS x (id, regno, n)
+         ORDER BY x.n
+         RETURNING user_id`,
+        [users.map((u) => u.id), users.map((u) => u.regno), day, channel, batch.id, actor]
+      );
+      await syncFlashedDate(client, inserted.rows.map((r) => r.user_id));
+      return loadFlashBatch(batch.id, client);
+    });
+
+    if (result.status) return res.status(result.status).json({ message: result.message });
+    res.status(201).json({
+      batch: result.batch,
+      users: result.users.map(rowToUser),
+      summary: flashSummary(result.batch, result.users),
+    });
+  } catch (err) {
+    if (err.code === "23505") {
+      return res.status(409).json({ message: "Some of these profiles were just flashed on this channel" });
+    }
+    console.error("POST /api/flashes/batches error:", err);
+    res.status(500).json({ message: "Error creating flash batch" });
+  }
+});
+
+// ---------- GET /api/flashes/batches ----------
+// ?date= / ?channel=, newest first
+app.get("/api/flashes/batches", async (req, res) => {
+  try {
+    const filters = [];
+    const params = [];
+    if (req.query.date) {
+      const d = tryParseDate(req.query.date);
+      if (!d) return res.status(400).json({ message: "date must be a date" });
+      params.push(dayjs(d).format("YYYY-MM-DD"));
+      filters.push(`b.flash_date = $${params.length}`);
+    }
+    if (req.query.channel) {
+      params.push(String(req.query.channel).toLowerCase());
+      filters.push(`b.channel = $${params.length}`);
+    }
+    const scope = branchScopeOf(req);
+    if (scope !== null) {
+      params.push(scope);
+      filters.push(`b.branch = $${params.length}`);
+    }
+    const { rows } = await pool.query(
+      `SELECT b.*, COUNT(f.id)::int AS profiles
+       FROM t1."T1_FLASH_BATCHES" b
+       LEFT JOIN t1."T1_FLASHES" f ON f.batch_id = b.id
+       ${filters.length ? `WHERE ${filters.join(" AND ")}` : ""}
+       GROUP BY b.id
+       ORDER BY b.flash_date DESC, b.id DESC
+       LIMIT 200`,
+      params
+    );
+    res.json({ batches: rows });
+  } catch (err) {
+    console.error("GET /api/flashes/batches error:", err);
+    res.status(500).json({ message: "Error fetching flash batches" });
+  }
+});
+
+// ---------- GET /api/flashes/batches/:id ----------
+// ?format=text gives just the ready-to-post summary
+app.get("/api/flashes/batches/:id", async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id)) return res.status(400).json({ message: "Invalid batch id" });
+    const loaded = await loadFlashBatch(id);
+    const scope = branchScopeOf(req);
+    if (!loaded || (scope !== null && loaded.batch.branch !== scope)) {
+      return res.status(404).json({ message: "Batch not found" });
+    }
+
+    const summary = flashSummary(loaded.batch, loaded.users);
+    if (req.query.format === "text") {
+      res.setHeader("Content-Type", "text/plain; charset=utf-8");
+      return res.send(summary);
+    }
+    res.json({ batch: loaded.batch, users: loaded.users.map(rowToUser), summary });
+  } catch (err) {
+    console.error("GET /api/flashes/batches/:id error:", err);
+    res.status(500).json({ message: "Error fetching flash batch" });
+  }
+});
+
+// ---------- DELETE /api/flashes/:id ----------
+// removes one logged flash (e.g. a profile pulled from a batch)
+app.delete("/api/flashes/:id", requireRole("manager"), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id)) return res.status(400).json({ message: "Invalid flash id" });
+    const params = [id];
+    const scoped = branchFilter(req, "u.branch", params);
+    const removed = await withTransaction(async (client) => {
+      const { rows } = await client.query(
+        `DELETE FROM t1."T1_FLASHES" f
+         USING t1."T1_USERS" u
+         WHERE f.id = $1 AND u.id = f.user_id${scoped}
+         RETURNING f.*`,
+        params
+      );
+      if (rows[0]) await syncFlashedDate(client, [rows[0].user_id]);
+      return rows[0];
+    });
+    if (!removed) return res.status(404).json({ message: "Flash not found" });
+    res.json({ message: "Flash removed", flash: removed });
+  } catch (err) {
+    console.error("DELETE /api/flashes/:id error:", err);
+    res.status(500).json({ message: "Error removing flash" });
+  }
+});
+
+// ---------- GET /api/users/:regno/flashes ----------
+// the member's flash log and where they stand in the current term
+app.get("/api/users/:regno/flashes", async (req, res) => {
+  try {
+    const regno = parseInt(req.params.regno, 10);
+    if (isNaN(regno)) return res.status(400).json({ message: "Invalid regno" });
+    const user = await findLiveUser(regno, pool, branchScopeOf(req));
+    if (!user) return res.status(404).json({ message: "User not found" });
+
+    const [log, progress] = await Promise.all([
+      pool.query(`SELECT * FROM t1."T1_FLASHES" WHERE user_id = $1 ORDER BY flashed_on DESC, id DESC`, [user.id]),
+      pool.query(`SELECT * FROM (${FLASH_PROGRESS_SQL}) q WHERE q.id = $2`, [await flashToday(), user.id]),
+    ]);
+    res.json({
+      regno,
+      current_term: progress.rows[0] ? flashProgress(progress.rows[0]) : null,
+      flashes: log.rows,
+    });
+  } catch (err) {
+    console.error("GET /api/users/:regno/flashes error:", err);
+    res.status(500).json({ message: "Error fetching flashes" });
+  }
+});
+
+// ============ INVOICES ============
+// Every payment gets a tax invoice / receipt, numbered without gaps per
+// financial year (April to March, in REPORT_TIMEZONE): VS/2026-27/000123. The
+// number is drawn from T1_INVOICE_SEQUENCES inside the payment's transaction,
+// so a payment that rolls back hands its number back. GST is split into
+// CGST + SGST when the member is in AGENCY.state (or has no state on file),
+// IGST otherwise. Issued invoices are never edited or deleted: cancelling one
+// keeps it and issues a credit note for the same amounts in its own series.
+
+const INVOICE_PREFIX = process.env.INVOICE_PREFIX || "VS";
+const CREDIT_NOTE_PREFIX = process.env.CREDIT_NOTE_PREFIX || "CN";
+const INVOICE_SAC = process.env.INVOICE_SAC || ""; // service accounting code, printed when set
+const INVOICE_SERIES = { invoice: INVOICE_PREFIX, credit_note: CREDIT_NOTE_PREFIX };
+const INVOICE_STATUSES = ["issued", "cancelled"];
+
+// "2026-10-19" -> "2026-27"
+function financialYear(day) {
+  const [year, month] = day.split("-").map(Number);
+  const start = month >= 4 ? year : year - 1;
+  return `${start}-${String((start + 1) % 100).padStart(2, "0")}`;
+}
+
+const stateKey = (state) => String(state || "").toLowerCase().replace(/[^a-z]/g, "");
+
+// ---------- Helper: amountInWords (Indian numbering: lakh, crore) ----------
+const WORD_ONES = [
+  "", "One", "Two", "Three", "Four", "Five", "Six", "Seven", "Eight", "Nine", "Ten",
+  "Eleven", "Twelve", "Thirteen", "Fourteen", "Fifteen", "Sixteen", "Seventeen", "Eighteen", "Nineteen",
+];
+const WORD_TENS = ["", "", "Twenty", "Thirty", "Forty", "Fifty", "Sixty", "Seventy", "Eighty", "Ninety"];
+const joinWords = (...parts) => parts.filter(Boolean).join(" ");
+
+function numberInWords(n) {
+  if (n < 20) return WORD_ONES[n];
+  if (n < 100) return joinWords(WORD_TENS[Math.floor(n / 10)], WORD_ONES[n % 10]);
+  if (n < 1000) return joinWords(`${WORD_ONES[Math.floor(n / 100)]} Hundred`, numberInWords(n % 100));
+  for (const [size, name] of [[1e7, "Crore"], [1e5, "Lakh"], [1e3, "Thousand"]]) {
+    if (n >= size) return joinWords(`${numberInWords(Math.floor(n / size))} ${name}`, numberInWords(n % size));
+  }
+}
+
+// 1770.5 -> "Rupees One Thousand Seven Hundred Seventy and Fifty Paise Only"
+function amountInWords(amount) {
+  const paise = Math.round(Math.abs(Number(amount) || 0) * 100);
+  const rupees = `Rupees ${numberInWords(Math.floor(paise / 100)) || "Zero"}`;
+  return `${paise % 100 ? `${rupees} and ${numberInWords(paise % 100)} Paise` : rupees} Only`;
+}
+
+// Next number of a series in the financial year of today. The sequence row
+// stays locked until the caller's transaction ends, so concurrent payments
+// queue here and numbers are used in commit order.
+async function nextInvoiceNumber(client, kind) {
+  const dayRes = await client.query(`SELECT to_char(${localDate("now()")}, 'YYYY-MM-DD') AS day`);
+  const fy = financialYear(dayRes.rows[0].day);
+  const { rows } = await client.query(
+    `INSERT INTO t1."T1_INVOICE_SEQUENCES" (series, fy, last_no)
+     VALUES ($1, $2, 1)
+     ON CONFLICT (series, fy) DO UPDATE SET last_no = t1."T1_INVOICE_SEQUENCES".last_no + 1
+     RETURNING last_no`,
+    [kind, fy]
+  );
+  const seq = rows[0].last_no;
+  return { fy, seq, number: `${INVOICE_SERIES[kind]}/${fy}/${String(seq).padStart(6, "0")}` };
+}
+
+// taxable value and the CGST / SGST / IGST split of a GST-inclusive payment;
+// ledger rows from before GST was recorded fall back to DEFAULT_GST_RATE
+function invoiceTaxes(payment, billedState) {
+  const total = round2(payment.amount);
+  const gst_rate = Number(payment.gst_rate ?? DEFAULT_GST_RATE);
+  const gst = round2(payment.gst_amount ?? total - (total * 100) / (100 + gst_rate));
+  const intraState = !stateKey(billedState) || stateKey(billedState) === stateKey(AGENCY.state);
+  const cgst = intraState ? round2(gst / 2) : 0;
+  return {
+    total,
+    gst_rate,
+    taxable_amount: round2(total - gst),
+    cgst,
+    sgst: intraState ? round2(gst - cgst) : 0,
+    igst: intraState ? 0 : gst,
+    place_of_supply: intraState ? AGENCY.state : String(billedState).trim(),
+  };
+}
+
+function invoiceDescription(payment) {
+  const plan = payment.plan ? `${payment.plan[0].toUpperCase()}${payment.plan.slice(1)} plan` : "Membership";
+  const period =
+    payment.period_start && payment.period_end
+      ? `, ${displayDate(payment.period_start)} to ${displayDate(payment.period_end)}`
+      : "";
+  return `${plan} ${payment.kind === "renewal" ? "renewal" : "registration"}${period}`;
+}
+
+// ---------- Helper: issueInvoice ----------
+// Receipt for a ledger payment, billed to `user` as it is now. Payments of
+// nothing (e.g. a zero-priced plan) get none.
+async function issueInvoice(client, payment, user, actor) {
+  if (!(Number(payment.amount) > 0)) return null;
+  const { fy, seq, number } = await nextInvoiceNumber(client, "invoice");
+  const taxes = invoiceTaxes(payment, user.state);
+  const { rows } = await client.query(
+    `INSERT INTO t1."T1_INVOICES"
+       (number, kind, fy, seq, payment_id, user_id, regno, billed_name, billed_address,
+        billed_state, place_of_supply, description, taxable_amount, gst_rate, cgst, sgst,
+        igst, total, amount_in_words, payment_mode, transaction_id, paid_at, issued_by, branch)
+     VALUES ($1, 'invoice', $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15,
+             $16, $17, $18, $19, $20, $21, $22, $23)
+     RETURNING *`,
+    [
+      number,
+      fy,
+      seq,
+      payment.id,
+      user.id,
+      user.regno,
+      user.name || null,
+      joinParts(user.address, user.city, user.pincode) || null,
+      user.state || null,
+      taxes.place_of_supply,
+      invoiceDescription(payment),
+      taxes.taxable_amount,
+      taxes.gst_rate,
+      taxes.cgst,
+      taxes.sgst,
+      taxes.igst,
+      taxes.total,
+      amountInWords(taxes.total),
+      payment.payment_mode || null,
+      payment.transaction_id || null,
+      payment.paid_at,
+      actor || null,
+      payment.branch ?? null,
+    ]
+  );
+  return rows[0];
+}
+
+// /api/invoices/VS/2026-27/000123 and /api/invoices/VS%2F2026-27%2F000123 both work
+const invoiceNumberParam = (req) => [].concat(req.params.number).join("/").trim().toUpperCase();
+
+async function findInvoice(number, db = pool) {
+  const { rows } = await db.query(`SELECT * FROM t1."T1_INVOICES" WHERE UPPER(number) = $1`, [number]);
+  return rows[0] || null;
+}
+
+const money = (n) => Number(n || 0).toFixed(2);
+
+function drawInvoicePdf(doc, invoice, related) {
+  const left = doc.page.margins.left;
+  const width = doc.page.width - left - doc.page.margins.right;
+  const isCreditNote = invoice.kind === "credit_note";
+
+  drawAgencyHeader(doc);
+  if (AGENCY.gstin) {
+    doc.font("Helvetica").fontSize(9).fillColor("#444444").text(`GSTIN: ${AGENCY.gstin}`, left, doc.y - 6);
+    doc.moveDown(0.6);
+  }
+
+  doc.font("Helvetica-Bold").fontSize(14).fillColor("#000000")
+    .text(isCreditNote ? "CREDIT NOTE" : "TAX INVOICE / RECEIPT", left, doc.y, { width, align: "center" });
+  if (invoice.status === "cancelled") {
+    doc.font("Helvetica-Bold").fontSize(11).fillColor("#b00020").text("CANCELLED", { width, align: "center" });
+  }
+  doc.moveDown(0.8);
+
+  drawBiodataSection(doc, isCreditNote ? "Credit Note" : "Invoice", [
+    ["Number", invoice.number],
+    ["Date", displayDate(invoice.issued_at)],
+    [isCreditNote ? "Against Invoice" : "Credit Note", related?.number],
+    ["Cancelled On", displayDate(invoice.cancelled_at)],
+    ["Reason", invoice.cancel_reason],
+    ["Place of Supply", invoice.place_of_supply],
+  ]);
+
+  drawBiodataSection(doc, "Billed To", [
+    ["Name", invoice.billed_name],
+    ["Reg No", invoice.regno],
+    ["Address", invoice.billed_address],
+    ["State", invoice.billed_state],
+  ]);
+
+  drawBiodataSection(doc, "Payment", [
+    ["Paid On", displayDate(invoice.paid_at)],
+    ["Mode", invoice.payment_mode],
+    ["Transaction ID", invoice.transaction_id],
+  ]);
+
+  // particulars: label on the left, amount right-aligned
+  const lines = [
+    [invoice.description + (INVOICE_SAC ? ` (SAC ${INVOICE_SAC})` : ""), invoice.taxable_amount],
+    ...(Number(invoice.igst) > 0
+      ? [[`IGST @ ${Number(invoice.gst_rate)}%`, invoice.igst]]
+      : [
+          [`CGST @ ${Number(invoice.gst_rate) / 2}%`, invoice.cgst],
+          [`SGST @ ${Number(invoice.gst_rate) / 2}%`, invoice.sgst],
+        ]),
+  ];
+  const amountWidth = 100;
+  doc.font("Helvetica-Bold").fontSize(11).fillColor("#7a1f1f").text("PARTICULARS", left, doc.y);
+  doc.moveDown(0.3);
+  for (const [label, amount] of lines) {
+    const y = doc.y;
+    doc.font("Helvetica").fontSize(10).fillColor("#000000").text(label, left, y, { width: width - amountWidth });
+    doc.text(money(amount), left + width - amountWidth, y, { width: amountWidth, align: "right" });
+    doc.y = Math.max(doc.y, y + 14) + 2;
+  }
+  doc.moveTo(left, doc.y).lineTo(left + width, doc.y).strokeColor("#999999").stroke();
+  doc.moveDown(0.3);
+  const y = doc.y;
+  doc.font("Helvetica-Bold").fontSize(11).text("Total", left, y, { width: width - amountWidth });
+  doc.text(money(invoice.total), left + width - amountWidth, y, { width: amountWidth, align: "right" });
+  doc.moveDown(0.4);
+  doc.font("Helvetica").fontSize(10).fillColor("#444444").text(invoice.amount_in_words, left, doc.y, { width });
+
+  doc.moveDown(2);
+  doc.fontSize(8).fillColor("#777777")
+    .text("This is a computer generated document and does not need a signature.", left, doc.y, { width, align: "center" });
+}
+
+// ---------- GET /api/invoices ----------
+// ?fy=2026-27 ?kind=invoice|credit_note ?status=issued|cancelled ?regno=
+// ?from=&to= (issue dates) ?branch= (head office), paged, newest first. ?format=csv downloads every
+// match in number order (the register for GST returns).
+app.get("/api/invoices", async (req, res) => {
+  try {
+    const { page = 1, limit = 100 } = req.query;
+    const params = [];
+    const filters = [];
+    if (req.query.fy) {
+      params.push(String(req.query.fy).trim());
+      filters.push(`fy = $${params.length}`);
+    }
+    if (req.query.kind) {
+      const kind = String(req.query.kind).toLowerCase();
+      if (!INVOICE_SERIES[kind]) return res.status(400).json({ message: "kind must be invoice or credit_note" });
+      params.push(kind);
+      filters.push(`kind = $${params.length}`);
+    }
+    if (req.query.status) {
+      const status = String(req.query.status).toLowerCase();
+      if (!INVOICE_STATUSES.includes(status)) {
+        return res.status(400).json({ message: `status must be one of ${INVOICE_STATUSES.join(", ")}` });
+      }
+      params.push(status);
+      filters.push(`status = $${params.length}`);
+    }
+    if (req.query.regno !== undefined) {
+      const regno = parseInt(req.query.regno, 10);
+      if (isNaN(regno)) return res.status(400).json({ message: "Invalid regno" });
+      params.push(regno);
+      filters.push(`regno = $${params.length}`);
+    }
+    for (const [key, op] of [["from", ">="], ["to", "<="]]) {
+      if (!req.query[key]) continue;
+      const d = tryParseDate(req.query[key]);
+      if (!d) return res.status(400).json({ message: `${key} must be a date` });
+      params.push(dayjs(d).format("YYYY-MM-DD"));
+      filters.push(`${localDate("issued_at")} ${op} $${params.length}`);
+    }
+    const branch = branchParamOf(req);
+    if (branch !== null) {
+      params.push(branch);
+      filters.push(`branch = $${params.length}`);
+    }
+    const where = filters.length ? `WHERE ${filters.join(" AND ")}` : "";
+
+    if (String(req.query.format || "").toLowerCase() === "csv") {
+      const { rows } = await pool.query(
+        `SELECT * FROM t1."T1_INVOICES" ${where} ORDER BY kind, fy, seq`,
+        params
+      );
+      const columns = [
+        "number", "kind", "issued_at", "status", "regno", "billed_name", "billed_state",
+        "place_of_supply", "taxable_amount", "gst_rate", "cgst", "sgst", "igst", "total",
+        "payment_mode", "transaction_id", "cancelled_at", "cancel_reason",
+      ];
+      const cell = (v) => (v instanceof Date ? dayjs(v).format("YYYY-MM-DD") : v ?? "");
+      res.setHeader("Content-Type", "text/csv; charset=utf-8");
+      res.setHeader("Content-Disposition", `attachment; filename="invoices${req.query.fy ? `-${req.query.fy}` : ""}.csv"`);
+      return res.send("\ufeff" + stringifyCsv([columns, ...rows.map((r) => columns.map((c) => cell(r[c])))]));
+    }
+
+    const pageInt = Math.max(1, parseInt(page, 10) || 1);
+    const perPage = Math.min(1000, Math.max(1, parseInt(limit, 10) || 100));
+    const offset = (pageInt - 1) * perPage;
+
+    const { rows } = await pool.query(
+      `SELECT *, COUNT(*) OVER ()::int AS total_count
+       FROM t1."T1_INVOICES"
+       ${where}
+       ORDER BY issued_at DESC, id DESC
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, perPage, offset]
+    );
+
+    const total = rows[0]?.total_count || 0;
+    res.json({
+      invoices: rows.map(({ total_count, ...invoice }) => invoice),
+      total,
+      page: pageInt,
+      limit: perPage,
+      totalPages: Math.ceil(total / perPage),
+    });
+  } catch (err) {
+    console.error("GET /api/invoices error:", err);
+    res.status(500).json({ message: "Error fetching invoices" });
+  }
+});
+
+// ---------- POST /api/invoices/:number/cancel ----------
+// body: { reason }. The invoice stays on record as cancelled and a credit
+// note for the same amounts is issued against it. The payment itself is left
+// alone; POST /api/payments/:id/invoice bills it again if needed.
+app.post("/api/invoices/*number/cancel", requireRole("manager"), async (req, res) => {
+  try {
+    const number = invoiceNumberParam(req);
+    const reason = String(req.body?.reason || "").trim();
+    if (!reason) return res.status(400).json({ message: "reason is required" });
+
+    const actor = actorOf(req);
+    const result = await withTransaction(async (client) => {
+      const { rows } = await client.query(
+        `SELECT * FROM t1."T1_INVOICES" WHERE UPPER(number) = $1 FOR UPDATE`,
+        [number]
+      );
+      const invoice = rows[0];
+      const scope = branchScopeOf(req);
+      if (!invoice || (scope !== null && invoice.branch !== scope)) {
+        return { status: 404, message: "Invoice not found" };
+      }
+      if (invoice.kind !== "invoice") return { status: 400, message: "Credit notes cannot be cancelled" };
+      if (invoice.status === "cancelled") return { status: 409, message: "Invoice is already cancelled" };
+
+      const cancelled = await client.query(
+        `UPDATE t1."T1_INVOICES"
+         SET status = 'cancelled', cancelled_at = now(), cancelled_by = $1, cancel_reason = $2
+         WHERE id = $3
+         RETURNING *`,
+        [actor, reason, invoice.id]
+      );
+      const next = await nextInvoiceNumber(client, "credit_note");
+      const creditNote = await client.query(
+        `INSERT INTO t1."T1_INVOICES"
+           (number, kind, fy, seq, original_id, payment_id, user_id, regno, billed_name,
+            billed_address, billed_state, place_of_supply, description, taxable_amount,
+            gst_rate, cgst, sgst, igst, total, amount_in_words, payment_mode,
+            transaction_id, paid_at, issued_by, cancel_reason, branch)
+         SELECT $1, 'credit_note', $2, $3, id, payment_id, user_id, regno, billed_name,
+                billed_address, billed_state, place_of_supply, $4, taxable_amount,
+                gst_rate, cgst, sgst, igst, total, amount_in_words, payment_mode,
+                transaction_id, paid_at, $5, cancel_reason, branch
+         FROM t1."T1_INVOICES" WHERE id = $6
+         RETURNING *`,
+        [next.number, next.fy, next.seq, `Cancellation of invoice ${invoice.number}`, actor, invoice.id]
+      );
+      return { invoice: cancelled.rows[0], credit_note: creditNote.rows[0] };
+    });
+
+    if (result.status) return res.status(result.status).json({ message: result.message });
+    res.status(201).json(result);
+  } catch (err) {
+    console.error("POST /api/invoices/:number/cancel error:", err);
+    res.status(500).json({ message: "Error cancelling invoice" });
+  }
+});
+
+// ---------- GET /api/invoices/:number ----------
+// The PDF (inline; ?download=true to save it). ?format=json gives the record
+// with its credit note / original invoice.
+app.get("/api/invoices/*number", async (req, res) => {
+  try {
+    const invoice = await findInvoice(invoiceNumberParam(req));
+    const scope = branchScopeOf(req);
+    if (!invoice || (scope !== null && invoice.branch !== scope)) {
+      return res.status(404).json({ message: "Invoice not found" });
+    }
+
+    const { rows } = await pool.query(
+      `SELECT * FROM t1."T1_INVOICES"
+       WHERE ${invoice.kind === "credit_note" ? "id = $1" : "original_id = $1"}
+       LIMIT 1`,
+      [invoice.kind === "credit_note" ? invoice.original_id : invoice.id]
+    );
+    const related = rows[0] || null;
+
+    if (req.query.format === "json") {
+      return res.json({
+        invoice,
+        [invoice.kind === "credit_note" ? "original" : "credit_note"]: related,
+      });
+    }
+
+    const fileName = invoice.number.replace(/[^A-Za-z0-9-]+/g, "_");
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader(
+      "Content-Disposition",
+      `${req.query.download === "true" ? "attachment" : "inline"}; filename="${fileName}.pdf"`
+    );
+    const doc = new PDFDocument({ size: "A4", margin: 40 });
+    doc.pipe(res);
+    drawInvoicePdf(doc, invoice, related);
+    doc.end();
+  } catch (err) {
+    console.error("GET /api/invoices/:number error:", err);
+    if (res.headersSent) return res.end();
+    res.status(500).json({ message: "Error fetching invoice" });
+  }
+});
+
+// ---------- POST /api/payments/:id/invoice ----------
+// Bills a ledger payment that has no live invoice: one recorded before
+// invoicing started, or one whose invoice was cancelled to be corrected.
+app.post("/api/payments/:id/invoice", requireRole("manager"), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id)) return res.status(400).json({ message: "Invalid payment id" });
+
+    const result = await withTransaction(async (client) => {
+      const { rows } = await client.query(`SELECT * FROM t1."T1_PAYMENTS" WHERE id = $1 FOR UPDATE`, [id]);
+      const payment = rows[0];
+      const scope = branchScopeOf(req);
+      if (!payment || (scope !== null && payment.branch !== scope)) {
+        return { status: 404, message: "Payment not found" };
+      }
+      const live = await client.query(
+        `SELECT number FROM t1."T1_INVOICES"
+         WHERE payment_id = $1 AND kind = 'invoice' AND status = 'issued'`,
+        [id]
+      );
+      if (live.rows[0]) return { status: 409, message: `Payment already has invoice ${live.rows[0].number}` };
+      if (!(Number(payment.amount) > 0)) return { status: 400, message: "Payment has no amount to invoice" };
+
+      const userRes = await client.query(`SELECT * FROM t1."T1_USERS" WHERE id = $1`, [payment.user_id]);
+      // members purged since keep the regno recorded on the payment
+      const user = userRes.rows[0] || { id: null, regno: payment.regno };
+      return { invoice: await issueInvoice(client, payment, user, actorOf(req)) };
+    });
+
+    if (result.status) return res.status(result.status).json({ message: result.message });
+    res.status(201).json(result);
+  } catch (err) {
+    if (err.code === "23505") return res.status(409).json({ message: "Payment already has an invoice" });
+    console.error("POST /api/payments/:id/invoice error:", err);
+    res.status(500).json({ message: "Error issuing invoice" });
+  }
+});
+
+// ============ REGNO SERIES ============
+// New members get their regno from a series: a range of numbers, optionally
+// kept for one gender and / or branch (e.g. brides 100001-199999, grooms
+// 200001-299999). A create without regno uses the series asked for, else the
+// most specific active one for the member's branch and gender (branch first),
+// else the active catch-all. Allocation locks the series row
+// and skips numbers any profile (live or deleted) holds; next_no only moves
+// forward, so a number is never handed out twice. Blocks can be reserved for
+// paper forms; those regnos are typed in later like any other.
+
+const REGNO_SERIES_COLUMNS = ["code", "name", "gender", "branch", "range_start", "range_end", "next_no", "is_active"];
+
+// validate / normalize a series payload; returns { values } or { error }
+function readRegnoSeriesBody(body, { partial = false } = {}) {
+  const values = {};
+  for (const col of REGNO_SERIES_COLUMNS) {
+    if (body[col] !== undefined) values[col] = body[col];
+  }
+
+  if (values.code !== undefined) {
+    values.code = String(values.code || "").trim().toLowerCase();
+    if (!/^[a-z0-9_-]+$/.test(values.code)) return { error: "code must be letters, digits, - or _" };
+  }
+  if (values.gender !== undefined) {
+    if (values.gender === null || values.gender === "") values.gender = null;
+    else if (!(values.gender = genderKey(values.gender))) return { error: "gender must be male or female" };
+  }
+  if (values.branch !== undefined) values.branch = String(values.branch || "").trim().toLowerCase() || null;
+  for (const col of ["range_start", "range_end", "next_no"]) {
+    if (values[col] === "") values[col] = null;
+    if (values[col] === undefined || values[col] === null) continue;
+    const num = Number(values[col]);
+    if (!Number.isInteger(num) || num <= 0) return { error: `${col} must be a positive whole number` };
+    values[col] = num;
+  }
+  if (values.is_active !== undefined) values.is_active = values.is_active === true || values.is_active === "true";
+
+  if (!partial) {
+    if (!values.code) return { error: "code is required" };
+    if (!values.range_start) return { error: "range_start is required" };
+    values.next_no ??= values.range_start;
+  }
+  return { values };
+}
+
+// the series a new member's regno comes from; `lock` holds it until the
+// transaction ends. -> { series } or { error }
+async function pickRegnoSeries(db, { series, gender, branch, lock = false } = {}) {
+  const g = genderKey(gender);
+  const { rows } = series
+    ? await db.query(
+        `SELECT * FROM t1."T1_REGNO_SERIES" WHERE code = $1 ${lock ? "FOR UPDATE" : ""}`,
+        [String(series).trim().toLowerCase()]
+      )
+    : await db.query(
+        `SELECT * FROM t1."T1_REGNO_SERIES"
+         WHERE is_active = true
+           AND (gender IS NULL OR gender = $1)
+           AND (branch IS NULL OR branch = $2)
+         ORDER BY branch IS NULL, gender IS NULL, code
+         LIMIT 1
+         ${lock ? "FOR UPDATE" : ""}`,
+        [g, branch ?? null]
+      );
+  const picked = rows[0];
+  if (!picked) return { error: series ? `regno series "${series}" does not exist` : "No active regno series for this member" };
+  if (!picked.is_active) return { error: `regno series "${picked.code}" is not active` };
+  if (picked.gender && g && picked.gender !== g) {
+    return { error: `regno series "${picked.code}" is for ${picked.gender === "f" ? "brides" : "grooms"}` };
+  }
+  if (picked.branch && branch && picked.branch !== branch) {
+    return { error: `regno series "${picked.code}" belongs to branch "${picked.branch}"` };
+  }
+  return { series: picked };
+}
+
+// first run of `count` numbers from next_no that no profile holds; null when
+// the series has no room left
+async function firstFreeRegno(db, series, count = 1) {
+  let start = series.next_no;
+  for (;;) {
+    const end = start + count - 1;
+    if (series.range_end !== null && end > series.range_end) return null;
+    const { rows } = await db.query(
+      `SELECT MAX(regno) AS taken FROM t1."T1_USERS" WHERE regno BETWEEN $1 AND $2`,
+      [start, end]
+    );
+    if (rows[0].taken === null) return start;
+    start = rows[0].taken + 1;
+  }
+}
+
+// ---------- Helper: allocateRegno ----------
+// Takes `count` consecutive regnos inside the caller's transaction.
+// -> { series, regno, last } or { error }
+async function allocateRegno(client, { series, gender, branch, count = 1 } = {}) {
+  const picked = await pickRegnoSeries(client, { series, gender, branch, lock: true });
+  if (picked.error) return picked;
+  const start = await firstFreeRegno(client, picked.series, count);
+  if (start === null) return { error: `regno series "${picked.series.code}" has no room for ${count} more` };
+  await client.query(
+    `UPDATE t1."T1_REGNO_SERIES" SET next_no = $1, updated_at = now() WHERE code = $2`,
+    [start + count, picked.series.code]
+  );
+  return { series: picked.series.code, regno: start, last: start + count - 1 };
+}
+
+// -> an error message when [start, end] overlaps another series
+async function regnoSeriesOverlap(db, code, start, end) {
+  const { rows } = await db.query(
+    `SELECT code FROM t1."T1_REGNO_SERIES"
+     WHERE code <> $1 AND int4range(range_start, range_end, '[]') && int4range($2, $3, '[]')
+     LIMIT 1`,
+    [code, start, end]
+  );
+  return rows[0] ? `range overlaps series "${rows[0].code}"` : null;
+}
+
+// ---------- GET /api/regno-series ----------
+// every series with the number a create would get next
+app.get("/api/regno-series", async (req, res) => {
+  try {
+    const { rows } = await pool.query(`SELECT * FROM t1."T1_REGNO_SERIES" ORDER BY range_start`);
+    const series = await Promise.all(
+      rows.map(async (s) => {
+        const next = await firstFreeRegno(pool, s);
+        return { ...s, next_regno: next, remaining: s.range_end === null ? null : next === null ? 0 : s.range_end - next + 1 };
+      })
+    );
+    res.json(series);
+  } catch (err) {
+    console.error("GET /api/regno-series error:", err);
+    res.status(500).json({ message: "Error fetching regno series" });
+  }
+});
+
+// ---------- POST /api/regno-series ----------
+// body: { code, name?, gender?, range_start, range_end?, next_no? }
+app.post("/api/regno-series", requireRole("admin"), async (req, res) => {
+  try {
+    const { values, error } = readRegnoSeriesBody(req.body || {});
+    if (error) return res.status(400).json({ message: error });
+    const { code, range_start, range_end = null, next_no } = values;
+    if (range_end !== null && range_end < range_start) {
+      return res.status(400).json({ message: "range_end must not be below range_start" });
+    }
+    if (next_no < range_start || (range_end !== null && next_no > range_end + 1)) {
+      return res.status(400).json({ message: "next_no must be inside the range" });
+    }
+
+    const result = await withTransaction(async (client) => {
+      // one series at a time, so two overlapping ranges can't both pass the check
+      await client.query(`LOCK TABLE t1."T1_REGNO_SERIES" IN SHARE ROW EXCLUSIVE MODE`);
+      const overlap = await regnoSeriesOverlap(client, code, range_start, range_end);
+      if (overlap) return { status: 409, message: overlap };
+      const cols = Object.keys(values);
+      const { rows } = await client.query(
+        `INSERT INTO t1."T1_REGNO_SERIES" (${cols.map((c) => `"${c}"`).join(", ")})
+         VALUES (${cols.map((_, i) => `$${i + 1}`).join(", ")})
+         RETURNING *`,
+        Object.values(values)
+      );
+      return { series: rows[0] };
+    });
+
+    if (result.status) return res.status(result.status).json({ message: result.message });
+    res.status(201).json(result.series);
+  } catch (err) {
+    if (err.code === "23505") return res.status(409).json({ message: "A series with this code already exists" });
+    if (err.code === "23503") return res.status(400).json({ message: "branch does not exist" });
+    console.error("POST /api/regno-series error:", err);
+    res.status(400).json({ message: "Bad request creating regno series" });
+  }
+});
+
+// ---------- PUT /api/regno-series/:code ----------
+// body: { name?, gender?, range_end?, next_no?, is_active? }. The start of a
+// range is fixed and next_no can only move forward.
+app.put("/api/regno-series/:code", requireRole("admin"), async (req, res) => {
+  try {
+    const code = String(req.params.code).toLowerCase();
+    const { values, error } = readRegnoSeriesBody(req.body || {}, { partial: true });
+    if (error) return res.status(400).json({ message: error });
+    delete values.code;
+    if (values.range_start !== undefined) return res.status(400).json({ message: "range_start cannot be changed" });
+    const cols = Object.keys(values);
+    if (!cols.length) return res.status(400).json({ message: "No valid fields provided for update" });
+
+    const result = await withTransaction(async (client) => {
+      await client.query(`LOCK TABLE t1."T1_REGNO_SERIES" IN SHARE ROW EXCLUSIVE MODE`);
+      const { rows } = await client.query(`SELECT * FROM t1."T1_REGNO_SERIES" WHERE code = $1`, [code]);
+      const current = rows[0];
+      if (!current) return { status: 404, message: "Regno series not found" };
+
+      const merged = { ...current, ...values };
+      if (merged.next_no < current.next_no) {
+        return { status: 400, message: `next_no cannot go back (numbers up to ${current.next_no - 1} may be in use)` };
+      }
+      if (merged.range_end !== null && merged.range_end < merged.next_no - 1) {
+        return { status: 400, message: `range_end cannot be below ${merged.next_no - 1}, already handed out` };
+      }
+      if (merged.range_end !== null && merged.next_no > merged.range_end + 1) {
+        return { status: 400, message: "next_no must be inside the range" };
+      }
+      const overlap = await regnoSeriesOverlap(client, code, merged.range_start, merged.range_end);
+      if (overlap) return { status: 409, message: overlap };
+
+      const updated = await client.query(
+        `UPDATE t1."T1_REGNO_SERIES"
+         SET ${cols.map((c, i) => `"${c}" = $${i + 1}`).join(", ")}, updated_at = now()
+         WHERE code = $${cols.length + 1}
+         RETURNING *`,
+        [...Object.values(values), code]
+      );
+      return { series: updated.rows[0] };
+    });
+
+    if (result.status) return res.status(result.status).json({ message: result.message });
+    res.json(result.series);
+  } catch (err) {
+    if (err.code === "23503") return res.status(400).json({ message: "branch does not exist" });
+    console.error("PUT /api/regno-series/:code error:", err);
+    res.status(400).json({ message: "Bad request updating regno series" });
+  }
+});
+
+// ---------- POST /api/regno-series/:code/reserve ----------
+// body: { count, note? }. Sets aside a consecutive block for paper forms.
+app.post("/api/regno-series/:code/reserve", requireRole("manager"), async (req, res) => {
+  try {
+    const count = Number(req.body?.count);
+    if (!Number.isInteger(count) || count < 1 || count > 1000) {
+      return res.status(400).json({ message: "count must be a whole number from 1 to 1000" });
+    }
+
+    const result = await withTransaction(async (client) => {
+      const allocated = await allocateRegno(client, { series: req.params.code, branch: branchScopeOf(req), count });
+      if (allocated.error) return { status: 409, message: allocated.error };
+      const { rows } = await client.query(
+        `INSERT INTO t1."T1_REGNO_RESERVATIONS" (series, range_start, range_end, note, reserved_by)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING *`,
+        [allocated.series, allocated.regno, allocated.last, req.body?.note || null, actorOf(req)]
+      );
+      return { reservation: rows[0] };
+    });
+
+    if (result.status) return res.status(result.status).json({ message: result.message });
+    res.status(201).json(result);
+  } catch (err) {
+    console.error("POST /api/regno-series/:code/reserve error:", err);
+    res.status(500).json({ message: "Error reserving regnos" });
+  }
+});
+
+// ---------- GET /api/regno-series/reservations ----------
+// ?series=, newest first, with how many of each block are entered so far
+app.get("/api/regno-series/reservations", async (req, res) => {
+  try {
+    const params = [];
+    let where = "";
+    if (req.query.series) {
+      params.push(String(req.query.series).toLowerCase());
+      where = `WHERE r.series = $1`;
+    }
+    const { rows } = await pool.query(
+      `SELECT r.*,
+              (SELECT COUNT(DISTINCT u.regno) FROM t1."T1_USERS" u
+                WHERE u.regno BETWEEN r.range_start AND r.range_end)::int AS used
+       FROM t1."T1_REGNO_RESERVATIONS" r
+       ${where}
+       ORDER BY r.reserved_at DESC, r.id DESC
+       LIMIT 200`,
+      params
+    );
+    res.json({ reservations: rows });
+  } catch (err) {
+    console.error("GET /api/regno-series/reservations error:", err);
+    res.status(500).json({ message: "Error fetching reservations" });
+  }
+});
+
+// ============ BRANCHES ============
+// Franchise offices. Every member belongs to one branch; a staff account
+// either belongs to one (and then only reaches that branch's members,
+// payments, invoices, proposals and reports) or has no branch / a head
+// office branch and works across all of them. Only head office adds
+// branches and moves members between them.
+
+const BRANCH_COLUMNS = ["code", "name", "is_head_office", "address", "city", "phone", "email", "is_active"];
+
+// validate / normalize a branch payload; returns { values } or { error }
+function readBranchBody(body, { partial = false } = {}) {
+  const values = {};
+  for (const col of BRANCH_COLUMNS) {
+    if (body[col] !== undefined) values[col] = body[col];
+  }
+
+  if (values.code !== undefined) {
+    values.code = String(values.code || "").trim().toLowerCase();
+    if (!/^[a-z0-9_-]+$/.test(values.code)) return { error: "code must be letters, digits, - or _" };
+  }
+  if (values.name !== undefined) {
+    values.name = String(values.name || "").trim();
+    if (!values.name) return { error: "name is required" };
+  }
+  for (const col of ["address", "city", "phone", "email"]) {
+    if (values[col] !== undefined) values[col] = String(values[col] ?? "").trim() || null;
+  }
+  for (const col of ["is_head_office", "is_active"]) {
+    if (values[col] !== undefined) values[col] = values[col] === true || values[col] === "true";
+  }
+
+  if (!partial) {
+    if (!values.code) return { error: "code is required" };
+    if (!values.name) return { error: "name is required" };
+  }
+  return { values };
+}
+
+// ---------- Helper: branchForNewMember ----------
+// Where a new member goes: branch staff always add to their own branch,
+// head office to the one asked for or else the head office itself.
+// -> { branch } or { error }
+async function branchForNewMember(req, requested, db = pool) {
+  const scope = branchScopeOf(req);
+  const code = String(requested ?? "").trim().toLowerCase();
+  if (scope !== null) {
+    if (code && code !== scope) return { error: `you can only add members to branch "${scope}"` };
+    return { branch: scope };
+  }
+
+  const { rows } = code
+    ? await db.query(`SELECT code, is_active FROM t1."T1_BRANCHES" WHERE code = $1`, [code])
+    : await db.query(
+        `SELECT code, is_active FROM t1."T1_BRANCHES"
+         WHERE is_head_office = true AND is_active = true
+         ORDER BY code
+         LIMIT 1`
+      );
+  if (!rows[0]) return { error: code ? `branch "${code}" does not exist` : "No active head office branch" };
+  if (!rows[0].is_active) return { error: `branch "${code}" is not active` };
+  return { branch: rows[0].code };
+}
+
+// ---------- GET /api/branches ----------
+// every branch with its live member count
+app.get("/api/branches", async (req, res) => {
+  try {
+    const { rows } = await pool.query(
+      `SELECT b.*,
+              (SELECT COUNT(*) FROM t1."T1_USERS" u
+                WHERE u.branch = b.code AND u.is_deleted = false)::int AS members
+       FROM t1."T1_BRANCHES" b
+       ORDER BY b.is_head_office DESC, b.name`
+    );
+    res.json({ branches: rows });
+  } catch (err) {
+    console.error("GET /api/branches error:", err);
+    res.status(500).json({ message: "Error fetching branches" });
+  }
+});
+
+// ---------- POST /api/branches (head office admin) ----------
+// body: { code, name, is_head_office?, address?, city?, phone?, email? }
+app.post("/api/branches", requireRole("admin"), requireHeadOffice, async (req, res) => {
+  try {
+    const { values, error } = readBranchBody(req.body || {});
+    if (error) return res.status(400).json({ message: error });
+
+    const cols = Object.keys(values);
+    const { rows } = await pool.query(
+      `INSERT INTO t1."T1_BRANCHES" (${cols.map((c) => `"${c}"`).join(", ")})
+       VALUES (${cols.map((_, i) => `$${i + 1}`).join(", ")})
+       RETURNING *`,
+      Object.values(values)
+    );
+    res.status(201).json(rows[0]);
+  } catch (err) {
+    if (err.code === "23505") return res.status(409).json({ message: "A branch with this code already exists" });
+    console.error("POST /api/branches error:", err);
+    res.status(400).json({ message: "Bad request creating branch" });
+  }
+});
+
+// ---------- PUT /api/branches/:code (head office admin) ----------
+// body: any of the POST fields but code. The last active head office can't
+// be demoted or closed, or nobody would be left to see across branches.
+app.put("/api/branches/:code", requireRole("admin"), requireHeadOffice, async (req, res) => {
+  try {
+    const code = String(req.params.code).toLowerCase();
+    const { values, error } = readBranchBody(req.body || {}, { partial: true });
+    if (error) return res.status(400).json({ message: error });
+    delete values.code;
+    const cols = Object.keys(values);
+    if (!cols.length) return res.status(400).json({ message: "No valid fields provided for update" });
+
+    const result = await withTransaction(async (client) => {
+      await client.query(`LOCK TABLE t1."T1_BRANCHES" IN SHARE ROW EXCLUSIVE MODE`);
+      const { rows } = await client.query(`SELECT * FROM t1."T1_BRANCHES" WHERE code = $1`, [code]);
+      const current = rows[0];
+      if (!current) return { status: 404, message: "Branch not found" };
+
+      const merged = { ...current, ...values };
+      if (current.is_head_office && current.is_active && !(merged.is_head_office && merged.is_active)) {
+        const others = await client.query(
+          `SELECT 1 FROM t1."T1_BRANCHES" WHERE code <> $1 AND is_head_office = true AND is_active = true`,
+          [code]
+        );
+        if (!others.rowCount) return { status: 400, message: "This is the only active head office" };
+      }
+
+      const updated = await client.query(
+        `UPDATE t1."T1_BRANCHES"
+         SET ${cols.map((c, i) => `"${c}" = $${i + 1}`).join(", ")}, updated_at = now()
+         WHERE code = $${cols.length + 1}
+         RETURNING *`,
+        [...Object.values(values), code]
+      );
+      return { branch: updated.rows[0] };
+    });
+
+    if (result.status) return res.status(result.status).json({ message: result.message });
+    res.json(result.branch);
+  } catch (err) {
+    console.error("PUT /api/branches/:code error:", err);
+    res.status(400).json({ message: "Bad request updating branch" });
+  }
+});
+
+// ---------- POST /api/users/:regno/transfer (head office) ----------
+// body: { branch, note? }. Moves the member; past payments and invoices stay
+// with the branch that took them. An assignee who can't see the new branch
+// is cleared.
+app.post("/api/users/:regno/transfer", requireRole("manager"), requireHeadOffice, async (req, res) => {
+  try {
+    const regno = parseInt(req.params.regno, 10);
+    if (isNaN(regno)) return res.status(400).json({ message: "Invalid regno" });
+    const branch = String(req.body?.branch || "").trim().toLowerCase();
+    if (!branch) return res.status(400).json({ message: "branch is required" });
+
+    const result = await withTransaction(async (client) => {
+      const target = await client.query(`SELECT * FROM t1."T1_BRANCHES" WHERE code = $1`, [branch]);
+      if (!target.rows[0]) return { status: 400, message: `branch "${branch}" does not exist` };
+      if (!target.rows[0].is_active) return { status: 400, message: `branch "${branch}" is not active` };
+
+      const curRes = await client.query(
+        `SELECT * FROM t1."T1_USERS" WHERE regno = $1 AND is_deleted = false LIMIT 1 FOR UPDATE`,
+        [regno]
+      );
+      const current = curRes.rows[0];
+      if (!current) return { status: 404, message: "User not found" };
+      if (current.branch === branch) return { status: 409, message: `Member is already in branch "${branch}"` };
+
+      const { rows } = await client.query(
+        `UPDATE t1."T1_USERS" u
+         SET branch = $1,
+             assigned_to = CASE WHEN EXISTS (
+               SELECT 1 FROM t1."T1_STAFF" s
+               LEFT JOIN t1."T1_BRANCHES" b ON b.code = s.branch
+               WHERE s.username = u.assigned_to
+                 AND (s.branch IS NULL OR s.branch = $1 OR COALESCE(b.is_head_office, false))
+             ) THEN assigned_to END,
+             modified_by = $2, "updated_at" = now()
+         WHERE id = $3
+         RETURNING *`,
+        [branch, actorOf(req), current.id]
+      );
+      const note = String(req.body?.note || "").trim() || `transferred from ${current.branch ?? "no branch"} to ${branch}`;
+      await recordAudit(client, "transfer", current, rows[0], actorOf(req), note);
+      return { user: rowToUser(rows[0]) };
+    });
+
+    if (result.status) return res.status(result.status).json({ message: result.message });
+    res.json(result);
+  } catch (err) {
+    console.error("POST /api/users/:regno/transfer error:", err);
+    res.status(500).json({ message: "Error transferring member" });
+  }
+});
+
+// ============ BACKGROUND JOBS ============
+// Periodic maintenance. The in-process scheduler runs SCHEDULED_JOBS every
+// JOB_INTERVAL_MINUTES (0 = off). Where the app does not stay up (Vercel), an
+// external cron calls /api/jobs/:name with CRON_SECRET, either as
+// "X-Cron-Secret: <secret>" or "Authorization: Bearer <secret>" (Vercel Cron,
+// see vercel.json).
+
+const SCHEDULED_JOBS = String(process.env.SCHEDULED_JOBS ?? "expire-plans")
+  .split(",")
+  .map((j) => j.trim())
+  .filter(Boolean);
+const JOB_INTERVAL_MINUTES = Number(process.env.JOB_INTERVAL_MINUTES ?? 60);
+
+// pseudo staff member for requests authenticated by CRON_SECRET
+const CRON_STAFF = { id: null, username: "cron", role: "manager" };
+
+function isCronRequest(req) {
+  const secret = process.env.CRON_SECRET;
+  const given = req.get("x-cron-secret") || bearerToken(req);
+  if (!secret || !given) return false;
+  // compare digests so the lengths always match
+  return crypto.timingSafeEqual(Buffer.from(hashToken(given)), Buffer.from(hashToken(secret)));
+}
+
+// Brings the stored plan_status in line with expiry_date for every member in
+// one statement -> { expired, reactivated }
+async function expirePlans() {
+  const { rows } = await pool.query(
+    `UPDATE t1."T1_USERS"
+     SET plan_status = ${PLAN_STATUS_SQL}, updated_at = now()
+     WHERE expiry_date IS NOT NULL
+       AND plan_status IS DISTINCT FROM ${PLAN_STATUS_SQL}
+     RETURNING plan_status`
+  );
+  const expired = rows.filter((r) => r.plan_status === "expired").length;
+  return { expired, reactivated: rows.length - expired };
+}
+
+const JOBS = {
+  "expire-plans": expirePlans,
+  reminders: async () => ({ ...(await generateReminders()), delivery: await dispatchOutbox() }),
+};
+
+// runs a job and logs it in T1_JOB_RUNS; resolves to the run row
+async function runJob(name, triggeredBy) {
+  const { rows } = await pool.query(
+    `INSERT INTO t1."T1_JOB_RUNS" (job, triggered_by) VALUES ($1, $2) RETURNING id`,
+    [name, triggeredBy]
+  );
+  const runId = rows[0].id;
+  let status = "ok";
+  let result = null;
+  let error = null;
+  try {
+    result = await JOBS[name]();
+  } catch (err) {
+    console.error(`Job ${name} failed:`, err);
+    status = "error";
+    error = String(err.message || err);
+  }
+  const finished = await pool.query(
+    `UPDATE t1."T1_JOB_RUNS"
+     SET finished_at = now(), status = $2, result = $3, error = $4
+     WHERE id = $1
+     RETURNING *`,
+    [runId, status, result, error]
+  );
+  return finished.rows[0];
+}
+
+function startScheduler() {
+  if (!(JOB_INTERVAL_MINUTES > 0) || !SCHEDULED_JOBS.length) return;
+  const unknown = SCHEDULED_JOBS.filter((j) => !JOBS[j]);
+  if (unknown.length) console.error(`SCHEDULED_JOBS: unknown job(s) ${unknown.join(", ")}`);
+
+  let running = false;
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await ensureSchema();
+      for (const name of SCHEDULED_JOBS) {
+        if (JOBS[name]) await runJob(name, "scheduler");
+      }
+    } catch (err) {
+      console.error("Scheduler error:", err.message);
+    } finally {
+      running = false;
+    }
+  };
+  tick();
+  setInterval(tick, JOB_INTERVAL_MINUTES * 60 * 1000).unref();
+}
+
+// ---------- POST /api/jobs/:name ----------
+// run a job now (managers, or an external cron with CRON_SECRET)
+async function handleRunJob(req, res) {
+  try {
+    const { name } = req.params;
+    if (!JOBS[name]) {
+      return res.status(404).json({ message: `Unknown job. Available: ${Object.keys(JOBS).join(", ")}` });
+    }
+    const run = await runJob(name, actorOf(req));
+    res.status(run.status === "ok" ? 200 : 500).json(run);
+  } catch (err) {
+    console.error(`${req.method} /api/jobs/:name error:`, err);
+    res.status(500).json({ message: "Error running job" });
+  }
+}
+app.post("/api/jobs/:name", requireRole("manager"), handleRunJob);
+
+// ---------- GET /api/jobs/runs ----------
+// recent runs, newest first: ?job=&limit=
+app.get("/api/jobs/runs", requireRole("manager"), async (req, res) => {
+  try {
+    const perPage = Math.min(1000, Math.max(1, parseInt(req.query.limit, 10) || 50));
+    const params = [perPage];
+    let where = "";
+    if (req.query.job) {
+      params.push(String(req.query.job));
+      where = `WHERE job = $2`;
+    }
+    const { rows } = await pool.query(
+      `SELECT * FROM t1."T1_JOB_RUNS" ${where} ORDER BY started_at DESC, id DESC LIMIT $1`,
+      params
+    );
+    res.json({ runs: rows });
+  } catch (err) {
+    console.error("GET /api/jobs/runs error:", err);
+    res.status(500).json({ message: "Error fetching job runs" });
+  }
+});
+
+// ---------- GET /api/jobs/:name ----------
+// Vercel Cron can only send GET; staff sessions still have to POST
+app.get("/api/jobs/:name", (req, res, next) => {
+  if (req.staff !== CRON_STAFF) return res.status(405).json({ message: "Use POST to run a job" });
+  next();
+}, handleRunJob);
+
 // 404 handler
 app.use((req, res) => {
   res.status(404).json({ message: `Route not found: ${req.method} ${req.originalUrl}` });
@@ -922,5 +7810,6 @@ export default app
 if (process.env.NODE_ENV !== 'test') {
   app.listen(PORT, () => {
     console.log(`Server listening on port ${PORT}`);
+    startScheduler();
   });
 }
\ No newline at end of file